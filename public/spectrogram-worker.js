@@ -0,0 +1,135 @@
+// Client-side spectrogram computation, used when a task has no precomputed images
+// (see computeSpectrogramImage in src/AudioAnnotator/spectrogram.js).
+// This file is served as is, without build step.
+
+// Maximal number of pixels of the resulting image
+var MAX_PIXELS = 8 * 1024 * 1024;
+// Displayed dynamic range (in dB)
+var DYNAMIC_RANGE = 90;
+// Colormap anchors (viridis), from low to high energy
+var COLORMAP = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37],
+];
+
+// In-place iterative radix-2 FFT, re and im lengths must be a power of 2
+function fft(re, im) {
+  var n = re.length;
+  var i, j, k, tmp, size, bit;
+
+  // Bit reversal permutation
+  for (i = 1, j = 0; i < n; i++) {
+    bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+      tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+    }
+  }
+
+  for (size = 2; size <= n; size <<= 1) {
+    var angle = -2 * Math.PI / size;
+    var wRe = Math.cos(angle);
+    var wIm = Math.sin(angle);
+    for (i = 0; i < n; i += size) {
+      var curRe = 1;
+      var curIm = 0;
+      for (k = 0; k < size / 2; k++) {
+        var a = i + k;
+        var b = a + size / 2;
+        var tRe = re[b] * curRe - im[b] * curIm;
+        var tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        var nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+function colorize(value, pixels, offset) {
+  var pos = Math.min(Math.max(value, 0), 1) * (COLORMAP.length - 1);
+  var idx = Math.min(Math.floor(pos), COLORMAP.length - 2);
+  var frac = pos - idx;
+  for (var c = 0; c < 3; c++) {
+    pixels[offset + c] = COLORMAP[idx][c] + (COLORMAP[idx + 1][c] - COLORMAP[idx][c]) * frac;
+  }
+  pixels[offset + 3] = 255;
+}
+
+/**
+ * Short-time Fourier transform of the samples, rendered as RGBA pixels.
+ * Time goes left to right, frequency bottom to top.
+ * When there are more frames than the image can hold, frames are spread over the whole file.
+ */
+function computeSpectrogram(samples, sampleRate, params, minFrequency, maxFrequency) {
+  var nfft = params.nfft;
+  var winsize = Math.min(params.winsize, nfft);
+  var minBin = Math.max(0, Math.floor(minFrequency * nfft / sampleRate));
+  var maxBin = Math.min(nfft / 2, Math.ceil(maxFrequency * nfft / sampleRate));
+  var height = Math.max(1, maxBin - minBin);
+
+  var hop = Math.max(1, Math.round(winsize * (1 - params.overlap / 100)));
+  var naturalWidth = Math.max(1, Math.floor((samples.length - winsize) / hop) + 1);
+  var width = Math.max(1, Math.min(naturalWidth, Math.floor(MAX_PIXELS / height)));
+  var frameStep = (samples.length - winsize) / Math.max(1, width - 1);
+  if (width === naturalWidth) {
+    frameStep = hop;
+  }
+
+  // Hann window
+  var hann = new Float32Array(winsize);
+  for (var w = 0; w < winsize; w++) {
+    hann[w] = 0.5 - 0.5 * Math.cos(2 * Math.PI * w / Math.max(1, winsize - 1));
+  }
+
+  var powers = new Float32Array(width * height);
+  var re = new Float32Array(nfft);
+  var im = new Float32Array(nfft);
+  var maxDb = -Infinity;
+  var x, y;
+
+  for (x = 0; x < width; x++) {
+    var start = Math.max(0, Math.floor(x * frameStep));
+    re.fill(0);
+    im.fill(0);
+    for (var s = 0; s < winsize && start + s < samples.length; s++) {
+      re[s] = samples[start + s] * hann[s];
+    }
+    fft(re, im);
+
+    for (y = 0; y < height; y++) {
+      var bin = minBin + y;
+      var db = 10 * Math.log10(re[bin] * re[bin] + im[bin] * im[bin] + 1e-12);
+      powers[x * height + y] = db;
+      if (db > maxDb) maxDb = db;
+    }
+  }
+
+  var pixels = new Uint8ClampedArray(width * height * 4);
+  for (x = 0; x < width; x++) {
+    for (y = 0; y < height; y++) {
+      var value = (powers[x * height + y] - maxDb + DYNAMIC_RANGE) / DYNAMIC_RANGE;
+      // Highest frequencies on the first row
+      colorize(value, pixels, ((height - 1 - y) * width + x) * 4);
+    }
+  }
+
+  return { width: width, height: height, pixels: pixels };
+}
+
+self.addEventListener('message', function(event) {
+  var data = event.data;
+  var result = computeSpectrogram(data.samples, data.sampleRate, data.params, data.minFrequency, data.maxFrequency);
+  self.postMessage(result, [result.pixels.buffer]);
+});
@@ -0,0 +1,31 @@
+// Background sync of annotation submissions queued while offline
+// (see src/AudioAnnotator/uploads.js and registerBackgroundSync in src/registerServiceWorker.js).
+// This file is served as is, without build step.
+//
+// Authentication tokens are not stored in the browser: the worker cannot send submissions itself,
+// it wakes up the open annotator pages when the connection comes back, so that they send them.
+
+// Must match src/AudioAnnotator/uploads.js
+var SYNC_TAG = 'aplose-submissions';
+
+self.addEventListener('install', function() {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', function(event) {
+  event.waitUntil(self.clients.claim());
+});
+
+function notifyPages() {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function(clients) {
+    clients.forEach(function(client) {
+      client.postMessage(SYNC_TAG);
+    });
+  });
+}
+
+self.addEventListener('sync', function(event) {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(notifyPages());
+  }
+});
@@ -1,6 +1,7 @@
 // @flow
 import React, { Component } from 'react';
 import request from 'superagent';
+import * as utils from './utils';
 
 if (!process.env.REACT_APP_API_URL) throw new Error('REACT_APP_API_URL missing in env');
 const API_URL = process.env.REACT_APP_API_URL + '/annotation-campaign/';
@@ -15,27 +16,16 @@ type DownloadButtonProps = {
 };
 class DownloadButton extends Component<DownloadButtonProps> {
   getDownload = request.get(this.props.url)
-  url = ''
 
   componentWillUnmount() {
     this.getDownload.abort();
-    URL.revokeObjectURL(this.url);
   }
 
   onClick = () => {
     return this.getDownload
     .set('Authorization', 'Bearer ' + this.props.app_token)
     .then(res => {
-      this.url = URL.createObjectURL(new File([res.text], this.props.filename, {type : res.header['content-type']}));
-      // Using <a>-linking trick https://stackoverflow.com/a/19328891/2730032
-      let a = document.createElement('a');
-      a.style.display = "none";
-      a.href = this.url;
-      a.type = res.header['content-type'];
-      a.download = this.props.filename;
-      if (!document.body) throw new Error("Unexpectedly missing <body>");
-      document.body.appendChild(a);
-      a.click();
+      utils.downloadFile(res.text, this.props.filename, res.header['content-type']);
     })
   }
 
@@ -0,0 +1,468 @@
+// @flow
+import React, { Component } from 'react';
+
+import type { Annotation } from './AudioAnnotator';
+import { buildTagTree, flattenTagTree, isTagAncestor } from './tags';
+import { getLabels, isTimeOnly, formatAnnotationTime, formatAnnotationFrequency, overlapsArea } from './annotations';
+
+// Tag filter value for annotations without tag
+const UNTAGGED_FILTER: string = '-';
+
+type SortColumn = 'time' | 'frequency' | 'tag' | 'confidence';
+
+// Values of the inline edition form, as typed (times in seconds, frequencies in Hz)
+type EditedBounds = {
+  id: string,
+  startTime: string,
+  endTime: string,
+  startFrequency: string,
+  endFrequency: string,
+};
+
+type AnnotationListProps = {
+  annotations: Array<Annotation>,
+  tags: Array<string>,
+  confidenceLevels: Array<string>,
+  boundaries: { +startFrequency: number, +endFrequency: number },
+  duration: number,
+  // Annotation clicked, with Ctrl (or Cmd) to add it to (or remove it from) the selection
+  onAnnotationSelected: (Annotation, boolean) => void,
+  // Range of annotations selected with Shift + click, replacing the selection or added to it with Ctrl (or Cmd)
+  onAnnotationsSelected: (Array<Annotation>, boolean) => void,
+  onAnnotationUpdated: (Annotation, string) => void,
+};
+
+type AnnotationListState = {
+  tagFilter: string, // all tags if empty
+  fromTime: string,
+  toTime: string,
+  sortColumn: SortColumn,
+  isSortDescending: boolean,
+  edited: ?EditedBounds,
+  editError: ?string,
+};
+
+/**
+ * Annotations of the task, which can be filtered, sorted, and edited (time and frequency bounds)
+ */
+class AnnotationList extends Component<AnnotationListProps, AnnotationListState> {
+  // Last annotation clicked, start of Shift + click range selections
+  selectionAnchor: ?string;
+
+  constructor(props: AnnotationListProps) {
+    super(props);
+
+    this.state = {
+      tagFilter: '',
+      fromTime: '',
+      toTime: '',
+      sortColumn: 'time',
+      isSortDescending: false,
+      edited: undefined,
+      editError: undefined,
+    };
+
+    this.selectionAnchor = undefined;
+  }
+
+  /**
+   * Annotations matching the filters, in the chosen order
+   */
+  getDisplayedAnnotations = (): Array<Annotation> => {
+    const { tagFilter, sortColumn } = this.state;
+    const fromTime: number = (this.state.fromTime.trim() !== '') ? Number(this.state.fromTime) : -Infinity;
+    const toTime: number = (this.state.toTime.trim() !== '') ? Number(this.state.toTime) : Infinity;
+    const levels: Array<string> = this.props.confidenceLevels;
+    const getLevel = (ann: Annotation): number => ann.confidence ? levels.indexOf(ann.confidence) : -1;
+
+    const compare = (a: Annotation, b: Annotation): number => {
+      switch (sortColumn) {
+        case 'frequency':
+          return a.startFrequency - b.startFrequency || a.endFrequency - b.endFrequency;
+        case 'tag':
+          return getLabels(a).join(', ').localeCompare(getLabels(b).join(', '));
+        case 'confidence':
+          return getLevel(a) - getLevel(b);
+        default:
+          return a.startTime - b.startTime || a.endTime - b.endTime;
+      }
+    };
+
+    return this.props.annotations
+      .filter(ann => {
+        const labels: Array<string> = getLabels(ann);
+        if (tagFilter === UNTAGGED_FILTER) {
+          return labels.length === 0;
+        }
+        return tagFilter === '' || labels.some(label => label === tagFilter || isTagAncestor(tagFilter, label));
+      })
+      .filter(ann => isNaN(fromTime) || isNaN(toTime) || overlapsArea(ann, {
+        startTime: fromTime,
+        endTime: toTime,
+        startFrequency: -Infinity,
+        endFrequency: Infinity,
+      }))
+      .sort((a, b) => this.state.isSortDescending ? compare(b, a) : compare(a, b));
+  }
+
+  sortBy = (column: SortColumn) => {
+    this.setState({
+      sortColumn: column,
+      isSortDescending: (column === this.state.sortColumn) ? !this.state.isSortDescending : false,
+    });
+  }
+
+  changeTagFilter = (event: SyntheticInputEvent<HTMLSelectElement>) => {
+    this.setState({tagFilter: event.target.value});
+  }
+
+  changeFromTime = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.setState({fromTime: event.target.value});
+  }
+
+  changeToTime = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.setState({toTime: event.target.value});
+  }
+
+  clearFilters = () => {
+    this.setState({tagFilter: '', fromTime: '', toTime: ''});
+  }
+
+  onRowClick = (annotation: Annotation, event: SyntheticMouseEvent<HTMLElement>) => {
+    const displayed: Array<Annotation> = this.getDisplayedAnnotations();
+    const anchorIdx: number = displayed.findIndex(ann => ann.id === this.selectionAnchor);
+
+    if (event.shiftKey && anchorIdx >= 0) {
+      const clickedIdx: number = displayed.findIndex(ann => ann.id === annotation.id);
+      this.props.onAnnotationsSelected(
+        displayed.slice(Math.min(anchorIdx, clickedIdx), Math.max(anchorIdx, clickedIdx) + 1),
+        !!(event.ctrlKey || event.metaKey)
+      );
+    } else {
+      this.selectionAnchor = annotation.id;
+      this.props.onAnnotationSelected(annotation, !!(event.ctrlKey || event.metaKey));
+    }
+  }
+
+  /**
+   * Polygons and contours are reshaped on the spectrogram, whole recording annotations have no bounds
+   */
+  isEditable = (annotation: Annotation): boolean => {
+    return annotation.type !== 'weak' && !annotation.vertices;
+  }
+
+  startEdit = (annotation: Annotation, event: SyntheticMouseEvent<HTMLElement>) => {
+    // Editing does not change the selection
+    event.stopPropagation();
+
+    this.setState({
+      edited: {
+        id: annotation.id,
+        startTime: annotation.startTime.toFixed(3),
+        endTime: annotation.endTime.toFixed(3),
+        startFrequency: annotation.startFrequency.toFixed(2),
+        endFrequency: annotation.endFrequency.toFixed(2),
+      },
+      editError: undefined,
+    });
+  }
+
+  changeEditedValue = (field: $Keys<EditedBounds>, event: SyntheticInputEvent<HTMLInputElement>) => {
+    const edited: ?EditedBounds = this.state.edited;
+    if (edited) {
+      this.setState({edited: Object.assign({}, edited, { [field]: event.target.value })});
+    }
+  }
+
+  cancelEdit = () => {
+    this.setState({edited: undefined, editError: undefined});
+  }
+
+  /**
+   * Check the edited bounds against the recording duration and the frequency range of the task
+   * @return {?string} error message, undefined if the bounds are valid
+   */
+  validateBounds = (annotation: Annotation, bounds: EditedBounds): ?string => {
+    const { startFrequency, endFrequency } = this.props.boundaries;
+    const startTime: number = Number(bounds.startTime);
+    const endTime: number = (annotation.type === 'point') ? startTime : Number(bounds.endTime);
+
+    if ([bounds.startTime, bounds.endTime].some(value => value.trim() === '') || isNaN(startTime) || isNaN(endTime)) {
+      return 'Times must be numbers (in seconds).';
+    } else if (startTime < 0 || endTime > this.props.duration) {
+      return `Times must be between 0 and ${this.props.duration.toFixed(3)} s.`;
+    } else if (annotation.type !== 'point' && startTime >= endTime) {
+      return 'The end time must be after the start time.';
+    }
+
+    if (!isTimeOnly(annotation)) {
+      const minFrequency: number = Number(bounds.startFrequency);
+      const maxFrequency: number = Number(bounds.endFrequency);
+      if ([bounds.startFrequency, bounds.endFrequency].some(value => value.trim() === '') ||
+        isNaN(minFrequency) || isNaN(maxFrequency)) {
+        return 'Frequencies must be numbers (in Hz).';
+      } else if (minFrequency < startFrequency || maxFrequency > endFrequency) {
+        return `Frequencies must be between ${startFrequency} and ${endFrequency} Hz.`;
+      } else if (minFrequency >= maxFrequency) {
+        return 'The max frequency must be above the min frequency.';
+      }
+    }
+    return undefined;
+  }
+
+  saveEdit = () => {
+    const edited: ?EditedBounds = this.state.edited;
+    const annotation: ?Annotation = edited ? this.props.annotations.find(ann => ann.id === edited.id) : undefined;
+    if (!edited || !annotation) {
+      this.cancelEdit();
+      return;
+    }
+
+    const editError: ?string = this.validateBounds(annotation, edited);
+    if (editError) {
+      this.setState({editError});
+      return;
+    }
+
+    const startTime: number = Number(edited.startTime);
+    const updated: Annotation = Object.assign({}, annotation, {
+      startTime,
+      endTime: (annotation.type === 'point') ? startTime : Number(edited.endTime),
+    }, isTimeOnly(annotation) ? {} : {
+      startFrequency: Number(edited.startFrequency),
+      endFrequency: Number(edited.endFrequency),
+    });
+
+    this.setState({edited: undefined, editError: undefined});
+    this.props.onAnnotationUpdated(updated, 'edit');
+  }
+
+  onEditKeyDown = (event: SyntheticKeyboardEvent<HTMLInputElement>) => {
+    if (event.key === 'Enter') {
+      this.saveEdit();
+    } else if (event.key === 'Escape') {
+      this.cancelEdit();
+    }
+  }
+
+  render() {
+    const displayed: Array<Annotation> = this.getDisplayedAnnotations();
+    const hasConfidence: boolean = this.props.confidenceLevels.length > 0;
+    const tagOptions: Array<string> = flattenTagTree(buildTagTree(this.props.tags));
+
+    return (
+      <div className="annotation-list">
+        <div className="form-inline annotation-filters">
+          <select
+            className="form-control form-control-sm"
+            onChange={this.changeTagFilter}
+            title="Show annotations with this tag (or one of its child tags)"
+            value={this.state.tagFilter}
+          >
+            <option value="">All tags</option>
+            <option value={UNTAGGED_FILTER}>Untagged</option>
+            {tagOptions.map(tag => <option key={`filter-${tag}`} value={tag}>{tag}</option>)}
+          </select>
+          <label htmlFor="filter-from-time">From</label>
+          <input
+            id="filter-from-time"
+            className="form-control form-control-sm"
+            type="number"
+            min="0"
+            step="any"
+            onChange={this.changeFromTime}
+            placeholder="0"
+            value={this.state.fromTime}
+          />
+          <label htmlFor="filter-to-time">to</label>
+          <input
+            id="filter-to-time"
+            className="form-control form-control-sm"
+            type="number"
+            min="0"
+            step="any"
+            onChange={this.changeToTime}
+            placeholder={this.props.duration.toFixed(0)}
+            value={this.state.toTime}
+          />
+          <label htmlFor="filter-to-time">s</label>
+          <button
+            className="btn btn-sm btn-secondary"
+            onClick={this.clearFilters}
+            type="button"
+          >Clear</button>
+        </div>
+
+        <table className="table table-hover">
+          <thead>
+            <tr className="text-center table-light">
+              <th colSpan={hasConfidence ? 5 : 4}>
+                Annotations ({displayed.length}&nbsp;/&nbsp;{this.props.annotations.length})
+              </th>
+            </tr>
+            <tr className="sortable-columns">
+              {this.renderColumnHeader('time', 'Time')}
+              {this.renderColumnHeader('frequency', 'Frequency')}
+              {this.renderColumnHeader('tag', 'Tags')}
+              {hasConfidence && this.renderColumnHeader('confidence', 'Confidence')}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {displayed.map(annotation => this.renderAnnotation(annotation))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  renderColumnHeader = (column: SortColumn, title: string) => {
+    let sortIcon: string = 'fa-sort';
+    if (this.state.sortColumn === column) {
+      sortIcon = this.state.isSortDescending ? 'fa-sort-desc' : 'fa-sort-asc';
+    }
+
+    return (
+      <th
+        key={`sort-${column}`}
+        className={`sort-${column}`}
+        onClick={() => this.sortBy(column)}
+        title={`Sort by ${title.toLowerCase()}`}
+      >{title}&nbsp;<i className={`fa ${sortIcon}`}></i></th>
+    );
+  }
+
+  renderAnnotation = (annotation: Annotation) => {
+    const edited: ?EditedBounds = this.state.edited;
+    if (edited && edited.id === annotation.id) {
+      return this.renderEditedAnnotation(annotation, edited);
+    }
+
+    const labels: Array<string> = getLabels(annotation);
+    const isWeak: boolean = annotation.type === 'weak';
+
+    return (
+      <tr
+        key={`listann-${annotation.id}`}
+        className={annotation.active ? 'table-active' : undefined}
+        onClick={(event) => this.onRowClick(annotation, event)}
+      >
+        {isWeak &&
+          <td colSpan="2">
+            <i className="fa fa-file-audio-o"></i>&nbsp;
+            Whole recording
+          </td>
+        }
+        {!isWeak &&
+          <td>
+            <i className="fa fa-clock-o"></i>&nbsp;
+            {formatAnnotationTime(annotation)}
+          </td>
+        }
+        {!isWeak &&
+          <td>
+            <i className="fa fa-arrow-up"></i>&nbsp;
+            {formatAnnotationFrequency(annotation)}
+          </td>
+        }
+        <td>
+          <i className="fa fa-tag"></i>&nbsp;
+          {(labels.length > 0) ? labels.join(', ') : '-'}
+          {annotation.comment &&
+            <span>&nbsp;<i className="fa fa-comment-o" title={annotation.comment}></i></span>
+          }
+          {annotation.unmatchedLabels &&
+            <span>&nbsp;<i
+              className="fa fa-exclamation-triangle text-danger"
+              title={`Unknown imported tags: ${annotation.unmatchedLabels.join(', ')}`}
+            ></i></span>
+          }
+        </td>
+        {(this.props.confidenceLevels.length > 0) &&
+          <td>
+            <i className="fa fa-signal"></i>&nbsp;
+            {annotation.confidence || '-'}
+          </td>
+        }
+        <td>
+          {this.isEditable(annotation) &&
+            <button
+              className="btn-simple fa fa-pencil edit-bounds"
+              onClick={(event) => this.startEdit(annotation, event)}
+              title="Edit times and frequencies"
+              type="button"
+            ></button>
+          }
+        </td>
+      </tr>
+    );
+  }
+
+  renderEditedAnnotation = (annotation: Annotation, edited: EditedBounds) => {
+    const labels: Array<string> = getLabels(annotation);
+    const editError: ?string = this.state.editError;
+    const inputClass: string = `form-control form-control-sm ${editError ? 'is-invalid' : ''}`;
+
+    const renderInput = (field: $Keys<EditedBounds>, title: string) => (
+      <input
+        className={inputClass}
+        type="number"
+        step="any"
+        onChange={(event) => this.changeEditedValue(field, event)}
+        onKeyDown={this.onEditKeyDown}
+        title={title}
+        value={edited[field]}
+      />
+    );
+
+    const rows: Array<React$Node> = [
+      <tr key={`listann-${annotation.id}`} className="table-active edited-annotation">
+        <td>
+          {renderInput('startTime', 'Start time (s)')}
+          {(annotation.type !== 'point') && renderInput('endTime', 'End time (s)')}
+        </td>
+        <td>
+          {isTimeOnly(annotation) ?
+            formatAnnotationFrequency(annotation) :
+            [
+              <span key="min">{renderInput('startFrequency', 'Min frequency (Hz)')}</span>,
+              <span key="max">{renderInput('endFrequency', 'Max frequency (Hz)')}</span>,
+            ]
+          }
+        </td>
+        <td>
+          <i className="fa fa-tag"></i>&nbsp;
+          {(labels.length > 0) ? labels.join(', ') : '-'}
+        </td>
+        {(this.props.confidenceLevels.length > 0) &&
+          <td>{annotation.confidence || '-'}</td>
+        }
+        <td className="text-nowrap">
+          <button
+            className="btn-simple fa fa-check save-bounds"
+            onClick={this.saveEdit}
+            title="Save (Enter)"
+            type="button"
+          ></button>
+          <button
+            className="btn-simple fa fa-times cancel-bounds"
+            onClick={this.cancelEdit}
+            title="Cancel (Escape)"
+            type="button"
+          ></button>
+        </td>
+      </tr>,
+    ];
+
+    if (editError) {
+      rows.push(
+        <tr key={`listann-${annotation.id}-error`} className="edit-error">
+          <td className="text-danger" colSpan={(this.props.confidenceLevels.length > 0) ? 5 : 4}>{editError}</td>
+        </tr>
+      );
+    }
+    return rows;
+  }
+}
+
+export default AnnotationList;
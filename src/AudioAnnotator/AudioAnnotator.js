@@ -6,6 +6,36 @@ import * as utils from '../utils';
 
 import AudioPlayer from './AudioPlayer';
 import Workbench from './Workbench';
+import { isAudioDecodingSupported, isPitchControlSupported } from './audioData';
+import type { AnnotationHistory, HistoryEntry, HistoryStep } from './history';
+import { emptyHistory, recordAction, undoAction, redoAction, canUndo, canRedo } from './history';
+import type { ShortcutBindings } from './shortcuts';
+import { comboFromEvent, findAction, loadBindings, saveBindings } from './shortcuts';
+import ShortcutsHelp from './ShortcutsHelp';
+import TagPicker from './TagPicker';
+import AnnotationList from './AnnotationList';
+import type { PlaybackRange, TimeRange } from './playback';
+import { getRegionPlayback, isPastRange, parsePadding } from './playback';
+import { buildTagTree, flattenTagTree, toggleLabel, matchTag } from './tags';
+import type { ImportedSelection } from './annotations';
+import {
+  getLabels, withLabels, toRawAnnotation, shiftAnnotation, clampFrequencies, formatAnnotationTime,
+  formatAnnotationFrequency, getMaxAnnotationId,
+} from './annotations';
+import { getRavenFilename, isRavenTable, toRavenTable, parseRavenTable } from './raven';
+import { getAudacityFilename, toAudacityLabels, parseAudacityLabels } from './audacity';
+import type { AnnotationEvent, AnnotationEventType } from './events';
+import { createEvent, getDeletedAnnotations } from './events';
+import type { ReferenceFeedback } from './feedback';
+import { compareToReference } from './feedback';
+import { checkImageCors } from './images';
+import type { Draft } from './drafts';
+import { loadDraft, saveDraft, clearDraft, isDraftDifferent } from './drafts';
+import type { Submission, UploadResult } from './uploads';
+import { SYNC_TAG, isNetworkError, queueSubmission, getPendingSubmissions, sendPendingSubmissions } from './uploads';
+import type { TaskListItem } from './taskCache';
+import { cacheTask, getCachedTask, cacheCampaignTasks, getNextTaskIds, findNextCachedTask } from './taskCache';
+import { registerBackgroundSync } from '../registerServiceWorker';
 
 import type { ToastMsg } from '../Toast';
 import Toast from '../Toast';
@@ -16,10 +46,23 @@ import '../css/annotator.css';
 // API constants
 if (!process.env.REACT_APP_API_URL) throw new Error('REACT_APP_API_URL missing in env');
 const API_URL = process.env.REACT_APP_API_URL + '/annotation-task';
+const CAMPAIGN_TASKS_API_URL = API_URL + '/campaign/ID/my-list';
 
 // Playback rates
 const AVAILABLE_RATES: Array<number> = [0.25, 0.5, 1.0, 1.5, 2.0, 3.0, 4.0];
 
+// Delay before saving a local draft after an edit (in ms)
+const DRAFT_SAVE_DELAY: number = 1000;
+
+// Delay between two attempts to send pending submissions (in ms)
+const UPLOAD_RETRY_DELAY: number = 30000;
+
+// Number of next tasks kept locally to go on annotating while offline
+const NB_PREFETCHED_TASKS: number = 2;
+
+// Largest number of copies made by a single duplication
+const MAX_DUPLICATES: number = 100;
+
 
 export type SpectroUrlsParams = {
   nfft: number,
@@ -28,9 +71,29 @@ export type SpectroUrlsParams = {
   urls: Array<string>,
 };
 
+// 'box': time / frequency box drawn on the spectrogram
+// 'weak': presence of the labels in the whole recording
+// 'point' / 'interval': time-only events (startTime = endTime for points), spanning the whole frequency range
+// 'polygon': shape given by its vertices, with its bounding box as time / frequency bounds
+// 'contour': frequency track of a tonal sound, its vertices being in time order
+export type AnnotationType = 'box' | 'weak' | 'point' | 'interval' | 'polygon' | 'contour';
+
+export type Vertex = {
+  time: number,
+  frequency: number,
+};
+
+// Annotations expected by a campaign: boxes ('strong'), presence / absence of each tag ('weak'), or both
+export type AnnotationMode = 'strong' | 'weak' | 'both';
+
 export type RawAnnotation = {
   id: string,
-  annotation: string,
+  annotation: string, // main label, first of labels
+  labels: Array<string>, // full label paths (e.g. 'Odontocete > Sperm whale')
+  confidence: ?string, // level of the confidence scale of the campaign
+  comment: ?string,
+  type: AnnotationType,
+  vertices: ?Array<Vertex>, // polygons only
   startTime: number,
   endTime: number,
   startFrequency: number,
@@ -39,9 +102,12 @@ export type RawAnnotation = {
 
 export type Annotation = RawAnnotation & {
   active: boolean,
+  // Tag names of an imported annotation which are not in the annotation set, until it is tagged
+  unmatchedLabels?: Array<string>,
 };
 
-type AnnotationTask = {
+export type AnnotationTask = {
+  // Label paths, parent and child tags separated by ' > '
   annotationTags: Array<string>,
   boundaries: {
     startTime: string,
@@ -54,6 +120,11 @@ type AnnotationTask = {
   prevAnnotations: Array<RawAnnotation>,
   campaignId: number,
   instructionsUrl: ?string,
+  annotationMode: ?AnnotationMode, // 'strong' by default
+  // Confidence scale of the campaign, from the lowest level (none if empty)
+  confidenceLevels: ?Array<string>,
+  // Only for reference tasks, to give feedback to annotators
+  referenceAnnotations: ?Array<RawAnnotation>,
 };
 
 type AudioAnnotatorProps = {
@@ -63,6 +134,9 @@ type AudioAnnotatorProps = {
     },
   },
   app_token: string,
+  history: {
+    push: (string) => void,
+  },
 };
 
 type AudioAnnotatorState = {
@@ -71,19 +145,69 @@ type AudioAnnotatorState = {
   tagColors: Map<string, string>,
   isLoading: boolean,
   isPlaying: boolean,
-  stopTime: ?number,
+  playRange: ?PlaybackRange,
+  // Region playback settings: looping, and padding before / after regions (in seconds)
+  isLooping: boolean,
+  preRoll: string,
+  postRoll: string,
+  // A–B loop drawn on the time axis, played by the play button
+  abLoop: ?TimeRange,
   currentTime: number,
   duration: number,
   playbackRate: number,
+  // Pitch correction of rate changes, the pitch is shifted as on a tape otherwise
+  preservesPitch: boolean,
+  // Whether the browser can switch pitch correction, checked once mounted
+  isPitchControlSupported: boolean,
   frequencyRange: number,
   task: ?AnnotationTask,
   taskStartTime: number,
   annotations: Array<Annotation>,
+  taskComment: string,
+  // Duplication form: number of copies and interval between their start times (in seconds, annotation length if empty)
+  duplicateCount: string,
+  duplicateInterval: string,
+  // Bulk actions form: time shift of the selected annotations (in seconds)
+  timeShift: string,
+  history: AnnotationHistory,
+  shortcuts: ShortcutBindings,
+  showShortcuts: boolean,
+  draft: ?Draft,
+  pendingUploads: Array<Submission>,
+  feedback: ?ReferenceFeedback,
 };
 
 class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState> {
-  audioContext: AudioContext;
   audioPlayer: AudioPlayer;
+  workbench: ?Workbench;
+
+  /**
+   * Local draft management
+   * @property {boolean} isDraftChecked drafts are only saved once the stored one has been checked
+   * @property {?TimeoutID} draftTimer pending draft save
+   * @property {boolean} isSubmitted the task has been submitted (or queued), its draft is not saved anymore
+   */
+  isDraftChecked: boolean;
+  draftTimer: ?TimeoutID;
+  isSubmitted: boolean;
+  uploadTimer: ?IntervalID;
+
+  // User actions on the current task
+  events: Array<AnnotationEvent>;
+
+  // Navigation to the next task, once the feedback of a reference task is closed
+  afterFeedback: ?() => void;
+
+  // Copied annotation, kept when going to the next task
+  clipboard: ?RawAnnotation;
+
+  // Id of the next new annotation, only going up during a task so that ids of deleted annotations are never reused
+  nextAnnotationId: number;
+
+  // Annotations drawn on the spectrogram (presence annotations excepted), computed again when annotations change only:
+  // the same array on playhead updates lets drawings be kept (waveform track)
+  drawnAnnotations: Array<Annotation>;
+  drawnAnnotationsSource: ?Array<Annotation>;
 
   constructor(props: AudioAnnotatorProps) {
     super(props);
@@ -96,63 +220,315 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
       tagColors: new Map(),
       isLoading: true,
       isPlaying: false,
-      stopTime: undefined,
+      playRange: undefined,
+      isLooping: false,
+      preRoll: '0',
+      postRoll: '0',
+      abLoop: undefined,
       currentTime: 0,
       duration: 0,
       playbackRate: 1.0,
+      preservesPitch: false,
+      isPitchControlSupported: false,
       frequencyRange: 0,
       task: undefined,
       taskStartTime: now.getTime(),
       annotations: [],
+      taskComment: '',
+      duplicateCount: '1',
+      duplicateInterval: '',
+      timeShift: '',
+      history: emptyHistory(),
+      shortcuts: loadBindings(),
+      showShortcuts: false,
+      draft: undefined,
+      pendingUploads: [],
+      feedback: undefined,
     };
+
+    this.isDraftChecked = false;
+    this.draftTimer = undefined;
+    this.isSubmitted = false;
+    this.uploadTimer = undefined;
+    this.events = [];
+    this.afterFeedback = undefined;
+    this.clipboard = undefined;
+    this.nextAnnotationId = 1;
+    this.drawnAnnotations = [];
+    this.drawnAnnotationsSource = undefined;
   }
 
   componentDidMount() {
+    this.loadTask(this.props.match.params.annotation_task_id);
+    this.setState({isPitchControlSupported: isPitchControlSupported(document.createElement('audio'))});
+
+    document.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('pagehide', this.onPageHide);
+
+    // Submissions queued while offline
+    this.loadPendingUploads();
+    window.addEventListener('online', this.retryUploads);
+    this.uploadTimer = setInterval(this.retryUploads, UPLOAD_RETRY_DELAY);
+    if (navigator.serviceWorker) {
+      navigator.serviceWorker.addEventListener('message', this.onWorkerMessage);
+    }
+  }
+
+  componentDidUpdate(prevProps: AudioAnnotatorProps, prevState: AudioAnnotatorState) {
     const taskId: number = this.props.match.params.annotation_task_id;
 
+    if (taskId !== prevProps.match.params.annotation_task_id) {
+      // Draft of the previous task is saved before switching
+      if (this.draftTimer) {
+        this.flushDraft(prevProps.match.params.annotation_task_id);
+      }
+      this.loadTask(taskId);
+    } else if (this.isEdited(prevState)) {
+      this.scheduleDraftSave();
+    }
+  }
+
+  componentWillUnmount() {
+    this.flushDraft();
+
+    document.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('pagehide', this.onPageHide);
+
+    window.removeEventListener('online', this.retryUploads);
+    if (this.uploadTimer) {
+      clearInterval(this.uploadTimer);
+    }
+    if (navigator.serviceWorker) {
+      navigator.serviceWorker.removeEventListener('message', this.onWorkerMessage);
+    }
+  }
+
+  loadTask = (taskId: number) => {
+    const now: Date = new Date();
+
+    this.isDraftChecked = false;
+    this.isSubmitted = false;
+    this.events = [];
+    this.afterFeedback = undefined;
+    this.setState({
+      isLoading: true,
+      taskStartTime: now.getTime(),
+      annotations: [],
+      taskComment: '',
+      history: emptyHistory(),
+      draft: undefined,
+      feedback: undefined,
+      playRange: undefined,
+      abLoop: undefined,
+    });
+
     // Retrieve current task
     request.get(API_URL + '/' + taskId.toString())
       .set('Authorization', 'Bearer ' + this.props.app_token)
       .then(result => {
         const task: AnnotationTask = result.body.task;
+        this.setTask(taskId, task);
 
-        if (task.annotationTags.length > 0 && task.spectroUrls.length > 0) {
-          // Computing duration (in seconds)
-          const startDate = new Date(task.boundaries.startTime);
-          const endDate = new Date(task.boundaries.endTime)
-          const duration: number = (endDate.getTime() - startDate.getTime()) / 1000;
-          const frequencyRange: number = task.boundaries.endFrequency - task.boundaries.startFrequency;
-
-          // Load previous annotations
-          const annotations: Array<Annotation> = task.prevAnnotations.map((ann: RawAnnotation) =>
-            Object.assign({}, ann, {active: false})
-          );
-
-          // Finally, setting state
-          this.setState({
-            tagColors: utils.buildTagColors(task.annotationTags),
-            task,
-            duration,
-            frequencyRange,
-            isLoading: false,
-            error: undefined,
-            annotations,
-          });
-        } else {
-          this.setState({isLoading: false, error: 'Not enough data to retrieve spectrograms'});
-        }
+        // Keep this task and the next ones for offline use
+        this.runForUser(user => cacheTask(taskId, user, task)).catch(() => undefined);
+        this.prefetchNextTasks(taskId, task);
       })
       .catch(err => {
         if (err.status && err.status === 401) {
           // Server returned 401 which means token was revoked
           document.cookie = 'token=;max-age=0';
           window.location.reload();
+        } else if (isNetworkError(err)) {
+          // Offline: use the local copy of the task if any
+          this.runForUser(user => getCachedTask(taskId, user))
+            .then((task: ?AnnotationTask) => {
+              if (task) {
+                this.setTask(taskId, task);
+              } else {
+                this.setState({isLoading: false, error: this.buildErrorMessage(err)});
+              }
+            })
+            .catch(() => this.setState({isLoading: false, error: this.buildErrorMessage(err)}));
         } else {
           this.setState({isLoading: false, error: this.buildErrorMessage(err)});
         }
       });
   }
 
+  setTask = (taskId: number, task: AnnotationTask) => {
+    // Without precomputed spectrograms, they are computed from the audio file
+    const hasSpectrograms: boolean = task.spectroUrls.length > 0 || isAudioDecodingSupported();
+
+    if (task.annotationTags.length > 0 && hasSpectrograms) {
+      // Computing duration (in seconds)
+      const startDate = new Date(task.boundaries.startTime);
+      const endDate = new Date(task.boundaries.endTime)
+      const duration: number = (endDate.getTime() - startDate.getTime()) / 1000;
+      const frequencyRange: number = task.boundaries.endFrequency - task.boundaries.startFrequency;
+
+      // Load previous annotations
+      const annotations: Array<Annotation> = task.prevAnnotations.map((ann: RawAnnotation) =>
+        Object.assign({}, toRawAnnotation(ann), {active: false})
+      );
+      this.nextAnnotationId = getMaxAnnotationId(annotations) + 1;
+
+      // Finally, setting state
+      this.setState({
+        // Parent tags get their own color, even if they are not listed
+        tagColors: utils.buildTagColors(flattenTagTree(buildTagTree(task.annotationTags))),
+        task,
+        duration,
+        frequencyRange,
+        isLoading: false,
+        error: undefined,
+        annotations,
+        history: emptyHistory(),
+      }, () => this.checkDraft(taskId));
+    } else {
+      this.setState({isLoading: false, error: 'Not enough data to retrieve spectrograms'});
+    }
+  }
+
+  /**
+   * Download the next tasks of the campaign, so that they can be annotated while offline.
+   * Audio files and spectrograms are requested too, they stay available if the server allows HTTP caching.
+   */
+  prefetchNextTasks = (taskId: number, task: AnnotationTask) => {
+    this.runForUser(user => request.get(CAMPAIGN_TASKS_API_URL.replace('ID', task.campaignId.toString()))
+      .set('Authorization', 'Bearer ' + this.props.app_token)
+      .then(result => {
+        const tasks: Array<TaskListItem> = result.body;
+        const nextIds: Array<number> = getNextTaskIds(tasks, taskId, []).slice(0, NB_PREFETCHED_TASKS);
+
+        return Promise.all([cacheCampaignTasks(task.campaignId, user, tasks)].concat(nextIds.map(nextId =>
+          request.get(API_URL + '/' + nextId.toString())
+            .set('Authorization', 'Bearer ' + this.props.app_token)
+            .then(nextResult => {
+              const nextTask: AnnotationTask = nextResult.body.task;
+              nextTask.spectroUrls.forEach(conf => {
+                // Same request mode as the displayed images, for the browser cache to be used
+                checkImageCors(conf.urls[0]).then(isCors => {
+                  const image = new Image();
+                  if (isCors) {
+                    image.crossOrigin = 'anonymous';
+                  }
+                  image.src = conf.urls[0];
+                });
+              });
+              return Promise.all([
+                cacheTask(nextId, user, nextTask),
+                request.get(nextTask.audioUrl).responseType('blob'),
+              ]);
+            })
+        )));
+      }))
+      .catch(() => {
+        // Prefetching is best effort, annotation goes on online
+      });
+  }
+
+  getUser = (): ?string => {
+    return utils.getTokenUser(this.props.app_token);
+  }
+
+  /**
+   * Run an operation on the data stored for the user on this computer (drafts, queued submissions, cached tasks).
+   * Without a known user, nothing is stored nor read: another user's records could be used otherwise.
+   */
+  runForUser = <T>(operation: (user: string) => Promise<T>): Promise<T> => {
+    const user: ?string = this.getUser();
+    return user ? operation(user) : Promise.reject(new Error('Unknown user: annotations cannot be kept on this computer'));
+  }
+
+  /**
+   * Look for a local draft of the task, offering to restore it if it differs from server annotations
+   */
+  checkDraft = (taskId: number) => {
+    this.runForUser(user => loadDraft(taskId, user))
+      .then((draft: ?Draft) => {
+        if (taskId !== this.props.match.params.annotation_task_id) {
+          // Another task has been opened meanwhile
+          return;
+        }
+        this.isDraftChecked = true;
+        if (draft && isDraftDifferent(draft, this.state.annotations, this.state.taskComment)) {
+          this.setState({draft});
+        }
+      })
+      .catch(() => {
+        // Drafts are not available (no IndexedDB support, private browsing...)
+        this.isDraftChecked = true;
+      });
+  }
+
+  /**
+   * Whether the user changed the annotations (history entries, undo and redo) or the task comment,
+   * loading a task or selecting annotations not being edits
+   */
+  isEdited = (prevState: AudioAnnotatorState): boolean => {
+    const history: AnnotationHistory = this.state.history;
+    const isHistoryChanged: boolean = history !== prevState.history && (canUndo(history) || canRedo(history));
+    const isCommentChanged: boolean = !this.state.isLoading && !prevState.isLoading &&
+      this.state.taskComment !== prevState.taskComment;
+    return isHistoryChanged || isCommentChanged;
+  }
+
+  scheduleDraftSave = () => {
+    // Submitted annotations (and those shown with the reference) are not drafts anymore
+    if (this.isSubmitted || this.state.feedback) {
+      return;
+    }
+    if (this.draftTimer) {
+      clearTimeout(this.draftTimer);
+    }
+    this.draftTimer = setTimeout(() => this.flushDraft(), DRAFT_SAVE_DELAY);
+  }
+
+  onPageHide = () => {
+    this.flushDraft();
+  }
+
+  /**
+   * Save pending changes to the local draft now
+   * @param {number} taskId task of the annotations, current one by default
+   */
+  flushDraft = (taskId: number = this.props.match.params.annotation_task_id) => {
+    if (this.draftTimer) {
+      clearTimeout(this.draftTimer);
+      this.draftTimer = undefined;
+
+      // A stored draft waiting for the user's decision must not be overwritten
+      if (this.isDraftChecked && !this.isSubmitted && !this.state.draft && this.state.task) {
+        const { annotations, taskComment } = this.state;
+        this.runForUser(user => saveDraft(taskId, user, annotations, taskComment))
+          .catch(() => {
+            // Drafts are a safety net only, editing goes on without them
+          });
+      }
+    }
+  }
+
+  restoreDraft = () => {
+    const draft: ?Draft = this.state.draft;
+
+    if (draft) {
+      const annotations: Array<Annotation> = draft.annotations.map((ann: RawAnnotation) =>
+        Object.assign({}, toRawAnnotation(ann), {active: false})
+      );
+      this.nextAnnotationId = Math.max(this.nextAnnotationId, getMaxAnnotationId(annotations) + 1);
+      this.commitAnnotations('restore draft', annotations, {draft: undefined, taskComment: draft.taskComment || ''});
+    }
+  }
+
+  discardDraft = () => {
+    const taskId: number = this.props.match.params.annotation_task_id;
+    this.runForUser(user => clearDraft(taskId, user))
+      .catch(() => {
+        // Will be overwritten by the next save anyway
+      });
+    this.setState({draft: undefined});
+  }
+
   buildErrorMessage = (err: any) => {
     if (err !== null && typeof err === 'object' && err.status && err.message) {
       return 'Status: ' + err.status.toString() +
@@ -180,15 +556,32 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
   }
 
   play = (annotation: ?Annotation) => {
+    const audioElement: HTMLAudioElement = this.audioPlayer.audioElement;
+    const abLoop: ?TimeRange = this.state.abLoop;
+    let playRange: ?PlaybackRange = undefined;
+
     if (annotation) {
-      this.audioPlayer.audioElement.currentTime = annotation.startTime;
+      this.recordEvent('play-region', annotation);
+      playRange = getRegionPlayback(
+        annotation,
+        parsePadding(this.state.preRoll),
+        parsePadding(this.state.postRoll),
+        this.state.duration,
+        this.state.isLooping
+      );
+      audioElement.currentTime = playRange.startTime;
       this.activateAnnotation(annotation);
+    } else if (abLoop) {
+      playRange = Object.assign({}, abLoop, { isLooped: true });
+      if (audioElement.currentTime < abLoop.startTime || audioElement.currentTime >= abLoop.endTime) {
+        audioElement.currentTime = abLoop.startTime;
+      }
     }
-    this.audioPlayer.audioElement.play();
+    audioElement.play();
 
     this.setState({
       isPlaying: true,
-      stopTime: annotation ? annotation.endTime : undefined,
+      playRange,
     });
   }
 
@@ -197,50 +590,416 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
 
     this.setState({
       isPlaying: false,
-      stopTime: undefined,
+      playRange: undefined,
     });
   }
 
   updateProgress = (seconds: number) => {
-    if (this.state.stopTime && (seconds > this.state.stopTime)) {
-      this.pause();
+    const playRange: ?PlaybackRange = this.state.playRange;
+
+    if (playRange && isPastRange(playRange, seconds)) {
+      if (playRange.isLooped) {
+        this.seekTo(playRange.startTime);
+      } else {
+        this.pause();
+      }
     } else {
       this.setState({currentTime: seconds});
     }
   }
 
-  saveAnnotation = (annotation: Annotation) => {
-    const maxId: ?number = this.state.annotations
-      .map(ann => parseInt(ann.id, 10))
-      .sort((a, b) => b - a)
-      .shift();
+  onPlaybackEnded = () => {
+    // Looped ranges ending with the recording start again
+    const playRange: ?PlaybackRange = this.state.playRange;
+
+    if (playRange && playRange.isLooped) {
+      this.seekTo(playRange.startTime);
+      this.audioPlayer.audioElement.play();
+    } else {
+      this.setState({
+        isPlaying: false,
+        playRange: undefined,
+      });
+    }
+  }
+
+  toggleLooping = () => {
+    this.setState({isLooping: !this.state.isLooping});
+  }
+
+  changePreRoll = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.setState({preRoll: event.target.value});
+  }
+
+  changePostRoll = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.setState({postRoll: event.target.value});
+  }
+
+  changeABLoop = (abLoop: ?TimeRange) => {
+    // The loop being played is replaced
+    const playRange: ?PlaybackRange = this.state.playRange;
+    const isPlayingLoop: boolean = !!playRange && !!this.state.abLoop &&
+      playRange.startTime === this.state.abLoop.startTime && playRange.endTime === this.state.abLoop.endTime;
+
+    this.setState({
+      abLoop,
+      playRange: (isPlayingLoop && abLoop) ? Object.assign({}, abLoop, { isLooped: true }) : playRange,
+    });
+  }
+
+  clearABLoop = () => {
+    this.changeABLoop(undefined);
+  }
+
+  recordEvent = (type: AnnotationEventType, annotation: ?Annotation) => {
+    this.events.push(createEvent(type, annotation));
+  }
+
+  /**
+   * Replace the annotations and record the change in the edit history
+   * @param {string} action name of the action, as shown in undo / redo titles
+   * @param {Array<Annotation>} annotations new annotations
+   * @param {Object} otherState other state fields to set along
+   */
+  commitAnnotations = (action: string, annotations: Array<Annotation>, otherState: $Shape<AudioAnnotatorState> = {}) => {
+    this.setState(Object.assign({}, otherState, {
+      annotations,
+      history: recordAction(this.state.history, action, this.state.annotations),
+    }));
+  }
+
+  /**
+   * New unique annotation id (ids of deleted annotations are not reused)
+   */
+  getNextAnnotationId = (): string => {
+    const id: number = this.nextAnnotationId;
+    this.nextAnnotationId += 1;
+    return id.toString();
+  }
+
+  /**
+   * Add annotations made by the application (import, copies) with unique ids, the last one being selected
+   * @param {string} action name of the action, as shown in undo / redo titles
+   * @param {AnnotationEventType} eventType event recorded for each new annotation
+   * @param {Array<Annotation>} newAnnotations annotations to add, their ids being replaced
+   * @param {Object} otherState other state fields to set along
+   */
+  addAnnotations = (
+    action: string,
+    eventType: AnnotationEventType,
+    newAnnotations: Array<Annotation>,
+    otherState: $Shape<AudioAnnotatorState> = {}
+  ) => {
+    const added: Array<Annotation> = newAnnotations.map((ann, idx) => Object.assign({}, ann, {
+      id: this.getNextAnnotationId(),
+      active: idx === newAnnotations.length - 1,
+    }));
+    const annotations: Array<Annotation> = this.state.annotations
+      .map(ann => Object.assign({}, ann, { active: false }))
+      .concat(added);
+
+    added.forEach(ann => this.recordEvent(eventType, ann));
+    this.commitAnnotations(action, annotations, otherState);
+  }
 
+  saveAnnotation = (annotation: Annotation) => {
     const newAnnotation: Annotation = Object.assign(
-      {}, annotation, { id: maxId ? (maxId + 1).toString() : '1' }
+      {}, annotation, { id: this.getNextAnnotationId(), active: true }
     );
+    const annotations: Array<Annotation> = this.state.annotations
+      .map(ann => Object.assign({}, ann, { active: false }))
+      .concat(newAnnotation);
+
+    this.recordEvent(this.state.isPlaying ? 'online-create' : 'offline-create', newAnnotation);
 
     if (this.state.annotations.length === 0) {
-      this.setState({
+      this.commitAnnotations('create', annotations, {
         toastMsg: {msg: 'Select a tag to annotate the box.', lvl: 'primary'},
       });
+    } else {
+      this.commitAnnotations('create', annotations);
     }
+  }
 
-    this.activateAnnotation(newAnnotation);
+  /**
+   * Mark a tag as present in the whole recording (with a weak annotation), or as absent
+   */
+  togglePresence = (tag: string) => {
+    const task: ?AnnotationTask = this.state.task;
+    const presence: ?Annotation = this.state.annotations
+      .find(ann => ann.type === 'weak' && getLabels(ann).includes(tag));
+
+    if (presence) {
+      this.deleteAnnotation(presence);
+    } else if (task) {
+      const newAnnotation: Annotation = withLabels({
+        id: this.getNextAnnotationId(),
+        annotation: '',
+        labels: [],
+        confidence: undefined,
+        comment: undefined,
+        type: 'weak',
+        vertices: undefined,
+        startTime: 0,
+        endTime: this.state.duration,
+        startFrequency: task.boundaries.startFrequency,
+        endFrequency: task.boundaries.endFrequency,
+        active: true,
+      }, [tag]);
+      const annotations: Array<Annotation> = this.state.annotations
+        .map(ann => Object.assign({}, ann, { active: false }))
+        .concat(newAnnotation);
+
+      this.recordEvent(this.state.isPlaying ? 'online-create' : 'offline-create', newAnnotation);
+      this.commitAnnotations('presence', annotations, {
+        toastMsg: undefined,
+      });
+    }
   }
 
-  updateAnnotation = (annotation: Annotation) => {
+  updateAnnotation = (annotation: Annotation, action: string = 'update') => {
+    if (action === 'move' || action === 'resize' || action === 'reshape' || action === 'edit') {
+      this.recordEvent('region-moved-end', annotation);
+    }
+
     const annotations: Array<Annotation> = this.state.annotations
       .filter(ann => ann.id !== annotation.id)
       .concat(annotation);
 
-    this.setState({annotations});
+    this.commitAnnotations(action, annotations);
   }
 
   deleteAnnotation = (annotation: Annotation) => {
+    this.deleteAnnotations([annotation]);
+  }
+
+  deleteAnnotations = (deleted: Array<Annotation>) => {
+    const ids: Array<string> = deleted.map(ann => ann.id);
     const annotations: Array<Annotation> = this.state.annotations
-      .filter(ann => ann.id !== annotation.id);
+      .filter(ann => !ids.includes(ann.id));
 
-    this.setState({annotations});
+    deleted.forEach(ann => this.recordEvent('delete', ann));
+    this.commitAnnotations('delete', annotations);
+  }
+
+  /**
+   * Move the selected annotations along time, as set in the bulk actions form.
+   * Nothing is moved if an annotation would leave the recording.
+   */
+  shiftSelectedAnnotations = () => {
+    const selected: Array<Annotation> = this.getSelectedAnnotations()
+      .filter(ann => ann.type !== 'weak');
+    const delta: number = Number(this.state.timeShift);
+
+    if (selected.length === 0 || this.state.timeShift.trim() === '' || isNaN(delta) || delta === 0) {
+      return;
+    }
+    if (selected.some(ann => ann.startTime + delta < 0 || ann.endTime + delta > this.state.duration)) {
+      this.setState({
+        toastMsg: {msg: 'Some annotations would be moved out of the recording.', lvl: 'danger'},
+      });
+      return;
+    }
+
+    const moved: Array<Annotation> = selected.map(ann => shiftAnnotation(ann, delta));
+    const ids: Array<string> = moved.map(ann => ann.id);
+
+    moved.forEach(ann => this.recordEvent('region-moved-end', ann));
+    const annotations: Array<Annotation> = this.state.annotations
+      .filter(ann => !ids.includes(ann.id))
+      .concat(moved);
+    this.commitAnnotations('move', annotations, {
+      toastMsg: undefined,
+    });
+  }
+
+  changeTimeShift = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.setState({timeShift: event.target.value});
+  }
+
+  undo = () => {
+    const step: ?HistoryStep = undoAction(this.state.history, this.state.annotations);
+
+    if (step) {
+      this.recordEvent('undo');
+      this.setState({
+        annotations: step.annotations,
+        history: step.history,
+        toastMsg: undefined,
+      });
+    }
+  }
+
+  redo = () => {
+    const step: ?HistoryStep = redoAction(this.state.history, this.state.annotations);
+
+    if (step) {
+      this.recordEvent('redo');
+      this.setState({
+        annotations: step.annotations,
+        history: step.history,
+        toastMsg: undefined,
+      });
+    }
+  }
+
+  onKeyDown = (event: KeyboardEvent) => {
+    // Do not hijack shortcuts while the user is typing or rebinding them
+    const target: any = event.target;
+    if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) {
+      return;
+    }
+    if (this.state.showShortcuts || !this.state.task || this.state.feedback) {
+      return;
+    }
+
+    const combo: ?string = comboFromEvent(event);
+    const action: ?string = combo ? findAction(this.state.shortcuts, combo) : undefined;
+
+    if (action) {
+      event.preventDefault();
+      // A focused button would also be clicked by Space / Enter
+      if (target && target.tagName === 'BUTTON') {
+        target.blur();
+      }
+      this.runShortcut(action);
+    }
+  }
+
+  runShortcut = (action: string) => {
+    const tagMatch = action.match(/^tag-(\d+)$/);
+    const task: ?AnnotationTask = this.state.task;
+
+    if (tagMatch && task) {
+      const tag: ?string = task.annotationTags[parseInt(tagMatch[1], 10) - 1];
+      if (tag && this.getAnnotationMode() === 'weak') {
+        this.togglePresence(tag);
+      } else if (tag) {
+        this.toggleTag(tag);
+      }
+      return;
+    }
+
+    switch (action) {
+      case 'play-pause':
+        this.playPause();
+        break;
+      case 'next-annotation':
+        this.activateSiblingAnnotation(1);
+        break;
+      case 'previous-annotation':
+        this.activateSiblingAnnotation(-1);
+        break;
+      case 'delete-annotation': {
+        const selected: Array<Annotation> = this.getSelectedAnnotations();
+        if (selected.length > 0) {
+          this.deleteAnnotations(selected);
+        }
+        break;
+      }
+      case 'copy-annotation':
+        this.copyAnnotation();
+        break;
+      case 'paste-annotation':
+        this.pasteAnnotation();
+        break;
+      case 'duplicate-annotation':
+        this.duplicateAnnotation();
+        break;
+      case 'zoom-in':
+        if (this.workbench) this.workbench.zoom(1);
+        break;
+      case 'zoom-out':
+        if (this.workbench) this.workbench.zoom(-1);
+        break;
+      case 'undo':
+        this.undo();
+        break;
+      case 'redo':
+        this.redo();
+        break;
+      case 'submit':
+        this.checkAndSubmitAnnotations();
+        break;
+      case 'show-shortcuts':
+        this.toggleShortcuts();
+        break;
+      default:
+        break;
+    }
+  }
+
+  toggleShortcuts = () => {
+    this.setState({showShortcuts: !this.state.showShortcuts});
+  }
+
+  changeShortcuts = (shortcuts: ShortcutBindings) => {
+    saveBindings(shortcuts);
+    this.setState({shortcuts});
+  }
+
+  /**
+   * Annotation selected by the user (not by the application)
+   * @param {Annotation} annotation clicked annotation
+   * @param {boolean} isExtending add the annotation to the selection, or remove it if it is already selected
+   */
+  selectAnnotation = (annotation: Annotation, isExtending: boolean = false) => {
+    this.recordEvent('select-for-edit', annotation);
+
+    if (isExtending) {
+      this.setState({
+        annotations: this.state.annotations.map(ann =>
+          (ann.id === annotation.id) ? Object.assign({}, ann, { active: !ann.active }) : ann
+        ),
+      });
+    } else {
+      this.activateAnnotation(annotation);
+    }
+  }
+
+  /**
+   * Add annotations to the selection (rubber band on the spectrogram),
+   * or select only them (range of the annotation list)
+   */
+  selectAnnotations = (selected: Array<Annotation>, isExtending: boolean = true) => {
+    const ids: Array<string> = selected.map(ann => ann.id);
+
+    selected.forEach(ann => this.recordEvent('select-for-edit', ann));
+    this.setState({
+      annotations: this.state.annotations.map(ann => {
+        const active: boolean = ids.includes(ann.id) || (isExtending && ann.active);
+        return (active !== ann.active) ? Object.assign({}, ann, { active }) : ann;
+      }),
+    });
+  }
+
+  /**
+   * Annotation clicked in the list, scrolled into view on the spectrogram
+   */
+  selectListAnnotation = (annotation: Annotation, isExtending: boolean) => {
+    this.selectAnnotation(annotation, isExtending);
+    if (this.workbench && annotation.type !== 'weak') {
+      this.workbench.showAnnotation(annotation);
+    }
+  }
+
+  getDrawnAnnotations = (): Array<Annotation> => {
+    if (this.drawnAnnotationsSource !== this.state.annotations) {
+      this.drawnAnnotationsSource = this.state.annotations;
+      this.drawnAnnotations = this.state.annotations.filter(ann => ann.type !== 'weak');
+    }
+    return this.drawnAnnotations;
+  }
+
+  getSelectedAnnotations = (): Array<Annotation> => {
+    return this.state.annotations.filter(ann => ann.active);
+  }
+
+  /**
+   * Selected annotations whose tags can be changed, presence annotations standing for a single tag
+   */
+  getRetaggableAnnotations = (): Array<Annotation> => {
+    return this.getSelectedAnnotations().filter(ann => ann.type !== 'weak');
   }
 
   activateAnnotation = (annotation: Annotation) => {
@@ -255,37 +1014,380 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
     this.setState({annotations});
   }
 
+  /**
+   * Activate the annotation following (or preceding) the active one, by start time
+   * @param {number} direction 1 for next annotation, -1 for previous one
+   */
+  activateSiblingAnnotation = (direction: number) => {
+    const sorted: Array<Annotation> = this.state.annotations
+      .slice()
+      .sort((a, b) => a.startTime - b.startTime);
+
+    if (sorted.length > 0) {
+      const activeIdx: number = sorted.findIndex(ann => ann.active);
+      let newIdx: number = (direction > 0) ? 0 : sorted.length - 1;
+      if (activeIdx >= 0) {
+        newIdx = (activeIdx + direction + sorted.length) % sorted.length;
+      }
+      this.selectAnnotation(sorted[newIdx]);
+    }
+  }
+
+  /**
+   * Add a tag to the selected annotations, or remove it if all of them have it
+   */
   toggleTag = (tag: string) => {
+    const selected: Array<Annotation> = this.getRetaggableAnnotations();
+
+    if (selected.length > 0) {
+      const isRemoved: boolean = selected.every(ann => getLabels(ann).includes(tag));
+      const retagged: Array<Annotation> = selected
+        .filter(ann => isRemoved || !getLabels(ann).includes(tag))
+        .map(ann => Object.assign(
+          {},
+          withLabels(ann, toggleLabel(getLabels(ann), tag)),
+          { unmatchedLabels: undefined }
+        ));
+      const retaggedIds: Array<string> = retagged.map(ann => ann.id);
+
+      retagged.forEach(ann => this.recordEvent(isRemoved ? 'remove-annotation-label' : 'add-annotation-label', ann));
+      const annotations: Array<Annotation> = this.state.annotations
+        .filter(ann => !retaggedIds.includes(ann.id))
+        .concat(retagged);
+
+      this.commitAnnotations('tag', annotations, {
+        toastMsg: undefined,
+      });
+    }
+  }
+
+  setConfidence = (confidence: string) => {
     const activeAnn: ?Annotation = this.state.annotations
       .find(ann => ann.active);
 
-    if (activeAnn) {
-      const newTag: string = (activeAnn.annotation === tag) ? '' : tag;
-      const newAnnotation: Annotation = Object.assign(
-        {}, activeAnn, { annotation: newTag, }
-      );
+    if (activeAnn && activeAnn.confidence !== confidence) {
+      const newAnnotation: Annotation = Object.assign({}, activeAnn, { confidence });
+      this.recordEvent('change-annotation-confidence', newAnnotation);
       const annotations: Array<Annotation> = this.state.annotations
         .filter(ann => !ann.active)
         .concat(newAnnotation);
 
-      this.setState({
-        annotations,
+      this.commitAnnotations('confidence', annotations, {
         toastMsg: undefined,
       });
     }
   }
 
+  setComment = (event: SyntheticFocusEvent<HTMLTextAreaElement>) => {
+    const activeAnn: ?Annotation = this.state.annotations
+      .find(ann => ann.active);
+    const comment: ?string = event.currentTarget.value.trim() || undefined;
+
+    if (activeAnn && activeAnn.comment !== comment) {
+      const newAnnotation: Annotation = Object.assign({}, activeAnn, { comment });
+      this.recordEvent('change-annotation-comment', newAnnotation);
+      const annotations: Array<Annotation> = this.state.annotations
+        .filter(ann => !ann.active)
+        .concat(newAnnotation);
+
+      this.commitAnnotations('comment', annotations);
+    }
+  }
+
+  exportRavenTable = () => {
+    const task: ?AnnotationTask = this.state.task;
+
+    if (task) {
+      utils.downloadFile(
+        toRavenTable(this.state.annotations, task.boundaries),
+        getRavenFilename(task.audioUrl),
+        'text/plain'
+      );
+    }
+  }
+
+  exportAudacityLabels = () => {
+    const task: ?AnnotationTask = this.state.task;
+
+    if (task) {
+      utils.downloadFile(
+        toAudacityLabels(this.state.annotations),
+        getAudacityFilename(task.audioUrl),
+        'text/plain'
+      );
+    }
+  }
+
+  onFileDragOver = (event: SyntheticDragEvent<HTMLDivElement>) => {
+    // Allows dropping files on the page
+    event.preventDefault();
+  }
+
+  onFileDrop = (event: SyntheticDragEvent<HTMLDivElement>) => {
+    const files: FileList = event.dataTransfer.files;
+
+    if (files.length > 0) {
+      event.preventDefault();
+      this.readAnnotationFile(files[0]);
+    }
+  }
+
+  selectAnnotationFile = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    const files: FileList = event.target.files;
+
+    if (files.length > 0) {
+      this.readAnnotationFile(files[0]);
+    }
+    // The same file can be selected again
+    event.target.value = '';
+  }
+
+  /**
+   * Read a Raven selection table or an Audacity label track
+   */
+  parseAnnotationFile = (content: string): Array<ImportedSelection> => {
+    return isRavenTable(content) ? parseRavenTable(content) : parseAudacityLabels(content);
+  }
+
+  readAnnotationFile = (file: File) => {
+    const reader: FileReader = new FileReader();
+
+    reader.onload = () => {
+      // Files are read as text
+      const content: string = (typeof reader.result === 'string') ? reader.result : '';
+      try {
+        this.importSelections(this.parseAnnotationFile(content));
+      } catch (err) {
+        this.setState({
+          toastMsg: {msg: `Cannot import ${file.name}: ${err.message}`, lvl: 'danger'},
+        });
+      }
+    };
+    reader.onerror = () => {
+      this.setState({
+        toastMsg: {msg: `Cannot read ${file.name}.`, lvl: 'danger'},
+      });
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Add annotations read from a file, matching their tag names with the tags of the annotation set.
+   * Annotations with unknown tag names are flagged and must be tagged before submitting.
+   */
+  importSelections = (selections: Array<ImportedSelection>) => {
+    const task: ?AnnotationTask = this.state.task;
+    if (!task) {
+      return;
+    }
+    if (this.getAnnotationMode() === 'weak') {
+      this.setState({
+        toastMsg: {msg: 'Only presence / absence annotations are expected for this campaign.', lvl: 'danger'},
+      });
+      return;
+    }
+
+    const { startFrequency, endFrequency } = task.boundaries;
+    const duration: number = (this.state.duration > 0) ? this.state.duration : Infinity;
+    const clamp = (value: number, min: number, max: number) => Math.min(Math.max(value, min), max);
+
+    const imported: Array<Annotation> = selections
+      .filter(selection => selection.startTime < duration)
+      .map(selection => {
+        const matches: Array<?string> = selection.labels.map(name => matchTag(task.annotationTags, name));
+        const labels: Array<string> = matches.reduce(
+          (tags, tag) => (tag && !tags.includes(tag)) ? toggleLabel(tags, tag) : tags, []
+        );
+        const unmatchedLabels: Array<string> = selection.labels.filter((name, idx) => !matches[idx]);
+        const selectionStart: ?number = selection.startFrequency;
+        const selectionEnd: ?number = selection.endFrequency;
+        const endTime: number = Math.min(selection.endTime, duration);
+
+        // Files without frequencies only have time events
+        let type: AnnotationType = 'box';
+        if (typeof selectionStart !== 'number' || typeof selectionEnd !== 'number') {
+          type = (selection.startTime === endTime) ? 'point' : 'interval';
+        }
+
+        return Object.assign({}, withLabels({
+          id: '',
+          annotation: '',
+          labels: [],
+          confidence: undefined,
+          comment: undefined,
+          type,
+          vertices: undefined,
+          startTime: selection.startTime,
+          endTime,
+          startFrequency: (typeof selectionStart === 'number') ?
+            clamp(selectionStart, startFrequency, endFrequency) : startFrequency,
+          endFrequency: (typeof selectionEnd === 'number') ?
+            clamp(selectionEnd, startFrequency, endFrequency) : endFrequency,
+          active: false,
+        }, labels), {
+          unmatchedLabels: (unmatchedLabels.length > 0) ? unmatchedLabels : undefined,
+        });
+      });
+
+    if (imported.length === 0) {
+      this.setState({
+        toastMsg: {msg: 'No annotation to import in this file.', lvl: 'danger'},
+      });
+      return;
+    }
+
+    const unmatched: Array<Annotation> = imported.filter(ann => ann.unmatchedLabels);
+    let toastMsg: ToastMsg = {msg: `${imported.length} annotations imported.`, lvl: 'primary'};
+    if (unmatched.length > 0) {
+      const names: Array<string> = unmatched
+        .reduce((all, ann) => all.concat(ann.unmatchedLabels || []), [])
+        .filter((name, idx, all) => all.indexOf(name) === idx);
+      toastMsg = {
+        msg: `${imported.length} annotations imported, ${unmatched.length} with unknown tags (${names.join(', ')}): tag them before submitting.`,
+        lvl: 'danger',
+      };
+    }
+
+    this.addAnnotations('import', 'import', imported, { toastMsg });
+  }
+
+  copyAnnotation = () => {
+    const selected: Array<Annotation> = this.getSelectedAnnotations();
+    const activeAnn: ?Annotation = (selected.length === 1) ? selected[0] : undefined;
+
+    if (activeAnn && activeAnn.type !== 'weak') {
+      this.clipboard = toRawAnnotation(activeAnn);
+      this.setState({
+        toastMsg: {msg: 'Annotation copied, paste it at the mouse position or at the playhead.', lvl: 'primary'},
+      });
+    }
+  }
+
+  /**
+   * Paste the copied annotation at the mouse position on the spectrogram, or else at the playhead.
+   * The copy keeps its tags, confidence level and frequency band (within the task range), not its comment.
+   */
+  pasteAnnotation = () => {
+    const clipboard: ?RawAnnotation = this.clipboard;
+    const task: ?AnnotationTask = this.state.task;
+    if (!clipboard || !task || this.getAnnotationMode() === 'weak') {
+      return;
+    }
+
+    const pointerTime: ?number = this.workbench ? this.workbench.getPointerTime() : undefined;
+    const time: number = (typeof pointerTime === 'number') ? pointerTime : this.state.currentTime;
+    const length: number = clipboard.endTime - clipboard.startTime;
+    // The whole copy stays in the recording
+    const startTime: number = Math.max(0, Math.min(time, this.state.duration - length));
+
+    // The annotation may have been copied in another task, with other boundaries
+    const { startFrequency, endFrequency } = task.boundaries;
+    const moved: RawAnnotation = shiftAnnotation(clipboard, startTime - clipboard.startTime);
+    const copy: Annotation = Object.assign({}, clampFrequencies(moved, startFrequency, endFrequency), {
+      comment: undefined,
+      active: true,
+    });
+    this.addAnnotations('paste', 'paste', [copy], {
+      toastMsg: undefined,
+    });
+  }
+
+  /**
+   * Copies of the selected annotation at a fixed interval after it, as set in the duplication form
+   */
+  duplicateAnnotation = () => {
+    const selected: Array<Annotation> = this.getSelectedAnnotations();
+    const activeAnn: ?Annotation = (selected.length === 1) ? selected[0] : undefined;
+    if (!activeAnn || activeAnn.type === 'weak') {
+      return;
+    }
+
+    const count: number = Number(this.state.duplicateCount);
+    const interval: number = (this.state.duplicateInterval.trim() !== '') ?
+      Number(this.state.duplicateInterval) :
+      activeAnn.endTime - activeAnn.startTime;
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_DUPLICATES) {
+      this.setState({
+        toastMsg: {msg: `The number of copies must be between 1 and ${MAX_DUPLICATES}.`, lvl: 'danger'},
+      });
+      return;
+    } else if (isNaN(interval) || interval <= 0) {
+      this.setState({
+        toastMsg: {msg: 'The interval between copies must be positive.', lvl: 'danger'},
+      });
+      return;
+    }
+
+    const duration: number = (this.state.duration > 0) ? this.state.duration : Infinity;
+    const copies: Array<Annotation> = [...Array(count)]
+      .map((_, i) => Object.assign({}, shiftAnnotation(activeAnn, (i + 1) * interval), { comment: undefined }))
+      .filter(copy => copy.endTime <= duration);
+
+    if (copies.length === 0) {
+      this.setState({
+        toastMsg: {msg: 'No copy fits before the end of the recording.', lvl: 'danger'},
+      });
+      return;
+    }
+
+    const nbOutside: number = count - copies.length;
+    this.addAnnotations('duplicate', 'duplicate', copies, {
+      toastMsg: (nbOutside > 0) ?
+        {msg: `${nbOutside} copies past the end of the recording were not added.`, lvl: 'primary'} :
+        undefined,
+    });
+  }
+
+  changeDuplicateCount = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.setState({duplicateCount: event.target.value});
+  }
+
+  changeDuplicateInterval = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.setState({duplicateInterval: event.target.value});
+  }
+
+  changeTaskComment = (event: SyntheticInputEvent<HTMLTextAreaElement>) => {
+    this.setState({taskComment: event.target.value});
+  }
+
+  getAnnotationMode = (): AnnotationMode => {
+    const task: ?AnnotationTask = this.state.task;
+    return (task && task.annotationMode) ? task.annotationMode : 'strong';
+  }
+
+  getConfidenceLevels = (): Array<string> => {
+    const task: ?AnnotationTask = this.state.task;
+    return (task && task.confidenceLevels) ? task.confidenceLevels : [];
+  }
+
   checkAndSubmitAnnotations = () => {
     const emptyAnnotations = this.state.annotations
-      .filter((ann: Annotation) => ann.annotation.length === 0);
+      .filter((ann: Annotation) => getLabels(ann).length === 0);
+    const confidenceLevels: Array<string> = this.getConfidenceLevels();
+    const unratedAnnotations = this.state.annotations
+      .filter((ann: Annotation) => confidenceLevels.length > 0 && !confidenceLevels.includes(ann.confidence));
+    // Imported tags missing from the campaign are dropped on submission, annotators have to check them first
+    const unmatchedAnnotations = this.state.annotations
+      .filter((ann: Annotation) => ann.unmatchedLabels && ann.unmatchedLabels.length > 0);
 
     if (emptyAnnotations.length > 0) {
       this.activateAnnotation(emptyAnnotations.shift());
       this.setState({
         toastMsg: {msg: 'Make sure all your annotations are tagged.', lvl: 'danger'},
       });
+    } else if (unmatchedAnnotations.length > 0) {
+      this.activateAnnotation(unmatchedAnnotations.shift());
+      this.setState({
+        toastMsg: {msg: 'Some imported tags are unknown in this campaign: change the tags of this annotation.', lvl: 'danger'},
+      });
+    } else if (unratedAnnotations.length > 0) {
+      this.activateAnnotation(unratedAnnotations.shift());
+      this.setState({
+        toastMsg: {msg: 'Make sure all your annotations have a confidence level.', lvl: 'danger'},
+      });
     } else {
-      this.submitAnnotations();
+      return this.submitAnnotations();
     }
   }
 
@@ -294,54 +1396,172 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
 
     const cleanAnnotations: Array<RawAnnotation> = this.state.annotations
       .sort((a, b) => a.startTime - b.startTime)
-      .map(ann => {
-        return {
-          id: ann.id,
-          startTime: ann.startTime,
-          endTime: ann.endTime,
-          annotation: ann.annotation,
-          startFrequency: ann.startFrequency,
-          endFrequency: ann.endFrequency,
-        };
-      });
+      .map(toRawAnnotation);
     const now: Date = new Date();
     const taskStartTime: number = Math.floor(this.state.taskStartTime / 1000);
     const taskEndTime: number = Math.floor(now.getTime() / 1000);
 
-    request.post(API_URL + '/' + taskId.toString() + '/update-results')
+    // Draft is kept until the server accepts the annotations
+    this.flushDraft();
+
+    const url: string = API_URL + '/' + taskId.toString() + '/update-results';
+    const payload = {
+      annotations: cleanAnnotations,
+      task_comment: this.state.taskComment.trim(),
+      task_start_time: taskStartTime,
+      task_end_time: taskEndTime,
+      annotation_events: this.events,
+      deleted_annotations: getDeletedAnnotations(this.events, cleanAnnotations),
+    };
+
+    return request.post(url)
       .set('Authorization', 'Bearer ' + this.props.app_token)
-      .send({
-        annotations: cleanAnnotations,
-        task_start_time: taskStartTime,
-        task_end_time: taskEndTime,
-      })
+      .send(payload)
       .then(result => {
         const nextTask: number = result.body.next_task;
         const campaignId: number = result.body.campaign_id;
-
-        if (nextTask) {
-          window.location.href = '/audio-annotator/' + nextTask.toString();
-        } else {
-          window.location.href = '/annotation_tasks/' + campaignId.toString();
-        }
+        this.isSubmitted = true;
+
+        // Leave the page once the draft is cleared
+        return this.runForUser(user => clearDraft(taskId, user))
+          .catch(() => undefined)
+          .then(() => this.leaveTask(() => {
+            if (nextTask) {
+              window.location.href = '/audio-annotator/' + nextTask.toString();
+            } else {
+              window.location.href = '/annotation_tasks/' + campaignId.toString();
+            }
+          }));
       })
       .catch(err => {
         if (err.status && err.status === 401) {
           // Server returned 401 which means token was revoked
           document.cookie = 'token=;max-age=0';
           window.location.reload();
+        } else if (isNetworkError(err)) {
+          this.queueSubmission(taskId, url, payload, err);
         } else {
           this.setState({isLoading: false, error: this.buildErrorMessage(err)});
         }
       });
   }
 
+  /**
+   * Keep a submission which could not reach the server, and go on with the next cached task
+   */
+  queueSubmission = (taskId: number, url: string, payload: Object, err: any) => {
+    const task: ?AnnotationTask = this.state.task;
+    if (!task) {
+      return;
+    }
+
+    this.runForUser(user => queueSubmission(taskId, user, url, payload)
+      .then(() => {
+        // The draft saved before submission is kept until the upload succeeds
+        this.isSubmitted = true;
+        return registerBackgroundSync(SYNC_TAG);
+      })
+      .then(() => getPendingSubmissions(user))
+      .then((pendingUploads: Array<Submission>) => {
+        this.setState({
+          pendingUploads,
+          toastMsg: {msg: 'Connection lost: annotations will be uploaded as soon as possible.', lvl: 'primary'},
+        });
+        return findNextCachedTask(task.campaignId, user, taskId, pendingUploads.map(submission => submission.taskId));
+      }))
+      .then((nextTask: ?number) => this.leaveTask(() => {
+        // Stay in the application: reloading the page requires a connection
+        if (nextTask) {
+          this.props.history.push('/audio-annotator/' + nextTask.toString());
+        } else {
+          this.props.history.push('/annotation_tasks/' + task.campaignId.toString());
+        }
+      }))
+      .catch(() => {
+        // Queue is not available: annotations stay on screen (and in the draft)
+        this.setState({toastMsg: {msg: `Submission failed: ${this.buildErrorMessage(err)}`, lvl: 'danger'}});
+      });
+  }
+
+  /**
+   * Go on with the next task, after showing feedback for reference tasks
+   * @param {Function} navigate navigation to the next task
+   */
+  leaveTask = (navigate: () => void) => {
+    const task: ?AnnotationTask = this.state.task;
+
+    if (task && task.referenceAnnotations) {
+      this.afterFeedback = navigate;
+      this.setState({
+        feedback: compareToReference(this.state.annotations, task.referenceAnnotations.map(toRawAnnotation)),
+        toastMsg: undefined,
+      });
+    } else {
+      navigate();
+    }
+  }
+
+  closeFeedback = () => {
+    const navigate: ?() => void = this.afterFeedback;
+    this.afterFeedback = undefined;
+    if (navigate) {
+      navigate();
+    }
+  }
+
+  loadPendingUploads = () => {
+    this.runForUser(user => getPendingSubmissions(user))
+      .then((pendingUploads: Array<Submission>) => {
+        this.setState({pendingUploads});
+        if (pendingUploads.length > 0) {
+          this.retryUploads();
+        }
+      })
+      .catch(() => {
+        // No queue without IndexedDB
+      });
+  }
+
+  retryUploads = () => {
+    if (this.state.pendingUploads.length > 0 && navigator.onLine !== false) {
+      this.runForUser(user => sendPendingSubmissions(user, this.props.app_token))
+        .then((result: UploadResult) => {
+          this.setState({pendingUploads: result.pending});
+          if (result.rejected.length > 0) {
+            const errors: string = result.rejected
+              .map(submission => `task ${submission.taskId} (${submission.error || ''})`)
+              .join(', ');
+            this.setState({toastMsg: {
+              msg: `Upload rejected by the server for ${errors}: open the task again to restore its draft.`,
+              lvl: 'danger',
+            }});
+          }
+        })
+        .catch(() => {
+          // Retried later
+        });
+    }
+  }
+
+  onWorkerMessage = (event: MessageEvent) => {
+    // Connection is back (background sync)
+    if (event.data === SYNC_TAG) {
+      this.retryUploads();
+    }
+  }
+
   changePlaybackRate = (event: SyntheticInputEvent<HTMLSelectElement>) => {
     this.setState({
       playbackRate: parseFloat(event.target.value),
     });
   }
 
+  changePitchMode = (event: SyntheticInputEvent<HTMLSelectElement>) => {
+    this.setState({
+      preservesPitch: event.target.value === 'preserve',
+    });
+  }
+
   render() {
     if (this.state.isLoading) {
       return <p>Loading...</p>;
@@ -352,31 +1572,46 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
     } else {
       const task: AnnotationTask = this.state.task;
       const playStatusClass = this.state.isPlaying ? "fa-pause-circle" : "fa-play-circle";
-      const sortedAnnotations: Array<Annotation> = this.state.annotations
-        .sort((a, b) => a.startTime - b.startTime);
 
       const playbackRateOptions = AVAILABLE_RATES.map(rate => (
         <option key={`rate-${rate}`} value={rate.toString()}>{rate.toString()}x</option>
       ));
-      let playbackRateSelect = undefined;
-      // $FlowFixMe
-      if (this.audioPlayer && this.audioPlayer.audioElement.mozPreservesPitch !== undefined) {
-        playbackRateSelect = (
+      const playbackRateSelect = (
+        <select
+          className="form-control select-rate"
+          value={this.state.playbackRate.toString()}
+          onChange={this.changePlaybackRate}
+          title="Playback rate"
+        >{playbackRateOptions}</select>
+      );
+      let pitchModeSelect = undefined;
+      if (this.state.isPitchControlSupported) {
+        pitchModeSelect = (
           <select
-            className="form-control select-rate"
-            defaultValue={this.state.playbackRate}
-            onChange={this.changePlaybackRate}
-          >{playbackRateOptions}</select>
+            className="form-control select-pitch"
+            value={this.state.preservesPitch ? 'preserve' : 'tape'}
+            onChange={this.changePitchMode}
+            title="Pitch when the playback rate changes"
+          >
+            <option value="tape">Tape</option>
+            <option value="preserve">Keep pitch</option>
+          </select>
         );
       }
 
       return (
-        <div className="annotator container-fluid">
+        <div
+          className="annotator container-fluid"
+          onDragOver={this.onFileDragOver}
+          onDrop={this.onFileDrop}
+        >
           <div className="row">
-            <h1 className="col-sm-6">APLOSE</h1>
-            <p className="col-sm-4 annotator-nav">
+            <h1 className="col-sm-4">APLOSE</h1>
+            <p className="col-sm-6 annotator-nav">
               {this.renderUserGuideLink()}
+              {this.renderShortcutsLink()}
               {this.renderInstructionsLink()}
+              {this.renderPendingUploads()}
             </p>
             <ul className="col-sm-2 annotator-nav">
               <li><Link
@@ -389,30 +1624,45 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
             </ul>
           </div>
 
+          {this.renderDraftPrompt()}
+          {this.renderFeedbackSummary()}
+
           <AudioPlayer
             // controls
             listenInterval={10}
             onListen={(seconds) => this.updateProgress(seconds)}
             onLoadedMetadata={() => this.updateProgress(0)}
+            onEnded={this.onPlaybackEnded}
             preload="auto"
             ref={(element) => { if (element) this.audioPlayer = element; } }
             playbackRate={this.state.playbackRate}
+            preservesPitch={this.state.preservesPitch}
             src={task.audioUrl}
           ></AudioPlayer>
 
           <Workbench
+            ref={(element) => { this.workbench = element; } }
             tagColors={this.state.tagColors}
             currentTime={this.state.currentTime}
             duration={this.state.duration}
             startFrequency={task.boundaries.startFrequency}
             frequencyRange={this.state.frequencyRange}
+            audioUrl={task.audioUrl}
             spectroUrlsParams={task.spectroUrls}
-            annotations={this.state.annotations}
+            annotations={this.getDrawnAnnotations()}
+            confidenceLevels={this.getConfidenceLevels()}
+            canDraw={this.getAnnotationMode() !== 'weak'}
+            feedback={this.state.feedback}
             onAnnotationCreated={this.saveAnnotation}
             onAnnotationUpdated={this.updateAnnotation}
             onAnnotationDeleted={this.deleteAnnotation}
-            onAnnotationSelected={this.activateAnnotation}
+            onAnnotationStarted={() => this.recordEvent('start-to-create')}
+            onAnnotationMoveStarted={(annotation) => this.recordEvent('region-moved-start', annotation)}
+            onAnnotationSelected={this.selectAnnotation}
+            onAnnotationsSelected={this.selectAnnotations}
             onAnnotationPlayed={this.play}
+            abLoop={this.state.abLoop}
+            onABLoopChanged={this.changeABLoop}
             onSeek={this.seekTo}
           >
           </Workbench>
@@ -424,18 +1674,44 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
                 onClick={this.playPause}
               ></button>
             </p>
-            <p className="col-sm-1">
+            <p className="col-sm-1 playback-rate">
               {playbackRateSelect}
+              {pitchModeSelect}
+            </p>
+
+            <p className="col-sm-1 annotator-history">
+              <button
+                className="btn-simple fa fa-undo"
+                disabled={!canUndo(this.state.history)}
+                onClick={this.undo}
+                title={this.renderHistoryTitle('Undo', this.state.history.past)}
+                type="button"
+              ></button>
+              <button
+                className="btn-simple fa fa-repeat"
+                disabled={!canRedo(this.state.history)}
+                onClick={this.redo}
+                title={this.renderHistoryTitle('Redo', this.state.history.future)}
+                type="button"
+              ></button>
             </p>
 
-            <p className="col-sm-3 text-center">
+            <div className="col-sm-3 d-flex task-submit">
+              <textarea
+                className="form-control form-control-sm task-comment"
+                onChange={this.changeTaskComment}
+                placeholder="Comment on this recording (optional)"
+                rows="2"
+                value={this.state.taskComment}
+              ></textarea>
               <button
                 className="btn btn-submit"
+                disabled={!!this.state.feedback}
                 onClick={this.checkAndSubmitAnnotations}
                 type="button"
               >Submit &amp; load next recording</button>
-            </p>
-            <div className="col-sm-4">
+            </div>
+            <div className="col-sm-3">
               <Toast toastMsg={this.state.toastMsg}></Toast>
             </div>
             <p className="col-sm-3 text-right">
@@ -445,24 +1721,39 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
             </p>
           </div>
 
+          {this.renderPlaybackOptions()}
+
           <div className="row">
             <div className="col-sm-6">
-              {this.renderActiveAnnotation()}
+              {this.renderPresenceChecklist()}
+              {(this.getSelectedAnnotations().length > 1) ?
+                this.renderSelectedAnnotations() :
+                this.renderActiveAnnotation()
+              }
             </div>
             <div className="col-sm-6">
-              <table className="table table-hover">
-                <thead>
-                  <tr className="text-center table-light">
-                    <th colSpan="3">Annotations</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {sortedAnnotations.map(annotation => this.renderListAnnotation(annotation))}
-                </tbody>
-              </table>
+              <AnnotationList
+                annotations={this.state.annotations}
+                tags={task.annotationTags}
+                confidenceLevels={this.getConfidenceLevels()}
+                boundaries={task.boundaries}
+                duration={this.state.duration}
+                onAnnotationSelected={this.selectListAnnotation}
+                onAnnotationsSelected={this.selectAnnotations}
+                onAnnotationUpdated={this.updateAnnotation}
+              ></AnnotationList>
+              {this.renderAnnotationFiles()}
             </div>
           </div>
 
+          {this.state.showShortcuts &&
+            <ShortcutsHelp
+              bindings={this.state.shortcuts}
+              tags={task.annotationTags}
+              onBindingsChanged={this.changeShortcuts}
+              onClose={this.toggleShortcuts}
+            ></ShortcutsHelp>
+          }
         </div>
       );
     }
@@ -475,48 +1766,53 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
       const ann: Annotation = activeAnn;
       const task: AnnotationTask = this.state.task;
 
-      const tags = task.annotationTags.map((tag, idx) => {
-        const color: string = utils.getTagColor(this.state.tagColors, tag);
-
-        const style = {
-          inactive: {
-            backgroundColor: color,
-            border: 'none',
-            color: '#ffffff',
-          },
-          active: {
-            backgroundColor: 'transparent',
-            border: `1px solid ${color}`,
-            color: color,
-          },
-        };
-        return (
-          <li key={`tag-${idx.toString()}`}>
-            <button
-              className="btn"
-              style={(ann.annotation === tag) ? style.active : style.inactive}
-              onClick={() => this.toggleTag(tag)}
-              type="button"
-            >{tag}</button>
-          </li>
-        );
-      });
-
       return (
         <div className="card">
           <h6 className="card-header text-center">Selected annotation</h6>
-          <div className="card-body d-flex justify-content-between">
-            <p className="card-text">
-              <i className="fa fa-clock-o"></i>&nbsp;
-              {utils.formatTimestamp(ann.startTime)}&nbsp;&gt;&nbsp;
-              {utils.formatTimestamp(ann.endTime)}<br />
-              <i className="fa fa-arrow-up"></i>&nbsp;
-              {ann.startFrequency.toFixed(2)}&nbsp;&gt;&nbsp;
-              {ann.endFrequency.toFixed(2)} Hz
-            </p>
-            <ul className="card-text annotation-tags">
-              {tags}
-            </ul>
+          {(ann.type === 'weak') ?
+            <div className="card-body d-flex justify-content-between">
+              <p className="card-text">
+                <i className="fa fa-file-audio-o"></i>&nbsp;
+                Present in the whole recording:<br />
+                <i className="fa fa-tag"></i>&nbsp;
+                {getLabels(ann).join(', ')}
+              </p>
+              {this.renderConfidenceSelect(ann)}
+            </div> :
+            <div className="card-body d-flex justify-content-between">
+              <p className="card-text">
+                <i className="fa fa-clock-o"></i>&nbsp;
+                {formatAnnotationTime(ann)}<br />
+                <i className="fa fa-arrow-up"></i>&nbsp;
+                {formatAnnotationFrequency(ann)}
+                {ann.unmatchedLabels &&
+                  <span className="unmatched-labels text-danger">
+                    <br />
+                    <i className="fa fa-exclamation-triangle"></i>&nbsp;
+                    Unknown imported tags: {ann.unmatchedLabels.join(', ')}
+                  </span>
+                }
+              </p>
+              {this.renderConfidenceSelect(ann)}
+              <TagPicker
+                tags={task.annotationTags}
+                labels={getLabels(ann)}
+                tagColors={this.state.tagColors}
+                onTagToggled={this.toggleTag}
+              ></TagPicker>
+            </div>
+          }
+          <div className="card-footer">
+            <textarea
+              // Reset when another annotation is selected or the comment is undone
+              key={`comment-${ann.id}-${ann.comment || ''}`}
+              className="form-control form-control-sm annotation-comment"
+              defaultValue={ann.comment || ''}
+              onBlur={this.setComment}
+              placeholder="Comment (optional), saved when leaving the field"
+              rows="2"
+            ></textarea>
+            {(ann.type !== 'weak') && this.renderCopyActions(ann)}
           </div>
         </div>
       );
@@ -532,30 +1828,285 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
     }
   }
 
-  renderListAnnotation = (annotation: Annotation) => {
+  /**
+   * Bulk actions on several selected annotations
+   */
+  renderSelectedAnnotations = () => {
+    const task: ?AnnotationTask = this.state.task;
+    const selected: Array<Annotation> = this.getSelectedAnnotations();
+    if (!task) {
+      return null;
+    }
+
+    // Labels shared by all the retagged annotations are shown as selected
+    const retaggable: Array<Annotation> = this.getRetaggableAnnotations();
+    const commonLabels: Array<string> = (retaggable.length > 0) ?
+      getLabels(retaggable[0]).filter(label => retaggable.every(ann => getLabels(ann).includes(label))) :
+      [];
+
+    return (
+      <div className="card selected-annotations">
+        <h6 className="card-header text-center">{selected.length} selected annotations</h6>
+        <div className="card-body">
+          <p className="card-text">
+            <i className="fa fa-tag"></i>&nbsp;
+            Clicking a tag adds it to all selected annotations, or removes it if they all have it.
+          </p>
+          <TagPicker
+            tags={task.annotationTags}
+            labels={commonLabels}
+            tagColors={this.state.tagColors}
+            onTagToggled={this.toggleTag}
+          ></TagPicker>
+        </div>
+        <div className="card-footer form-inline bulk-actions">
+          <label htmlFor="time-shift">Move by</label>
+          <input
+            id="time-shift"
+            className="form-control form-control-sm"
+            type="number"
+            step="any"
+            onChange={this.changeTimeShift}
+            placeholder="0.0"
+            value={this.state.timeShift}
+          />
+          <label htmlFor="time-shift">s</label>
+          <button
+            className="btn btn-sm btn-secondary"
+            onClick={this.shiftSelectedAnnotations}
+            title="Move the selected annotations along time (negative values move them backward)"
+            type="button"
+          ><i className="fa fa-arrows-h"></i>&nbsp;Move</button>
+          <button
+            className="btn btn-sm btn-danger"
+            onClick={() => this.deleteAnnotations(selected)}
+            type="button"
+          ><i className="fa fa-trash"></i>&nbsp;Delete {selected.length} annotations</button>
+        </div>
+      </div>
+    );
+  }
+
+  renderPresenceChecklist = () => {
+    const task: ?AnnotationTask = this.state.task;
+
+    if (task && this.getAnnotationMode() !== 'strong') {
+      const presentTags: Array<string> = this.state.annotations
+        .filter(ann => ann.type === 'weak')
+        .reduce((tags, ann) => tags.concat(getLabels(ann)), []);
+
+      return (
+        <div className="card presence-checklist">
+          <h6 className="card-header text-center">Present in the whole recording</h6>
+          <div className="card-body">
+            <ul className="card-text presence-tags">
+              {task.annotationTags.map((tag, idx) => (
+                <li key={`presence-${idx.toString()}`}>
+                  <label style={{color: utils.getTagColor(this.state.tagColors, tag)}}>
+                    <input
+                      checked={presentTags.includes(tag)}
+                      onChange={() => this.togglePresence(tag)}
+                      type="checkbox"
+                    />&nbsp;{tag}
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      );
+    }
+  }
+
+  renderCopyActions = (ann: Annotation) => {
     return (
-      <tr
-        key={`listann-${annotation.id}`}
-        onClick={() => this.activateAnnotation(annotation)}
-      >
-        <td>
-          <i className="fa fa-clock-o"></i>&nbsp;
-          {utils.formatTimestamp(annotation.startTime)}&nbsp;&gt;&nbsp;
-          {utils.formatTimestamp(annotation.endTime)}
-        </td>
-        <td>
-          <i className="fa fa-arrow-up"></i>&nbsp;
-          {annotation.startFrequency.toFixed(2)}&nbsp;&gt;&nbsp;
-          {annotation.endFrequency.toFixed(2)} Hz
-        </td>
-        <td>
-          <i className="fa fa-tag"></i>&nbsp;
-          {(annotation.annotation !== '') ? annotation.annotation : '-'}
-        </td>
-      </tr>
+      <div className="form-inline annotation-copy">
+        <button
+          className="btn btn-sm btn-secondary"
+          onClick={this.copyAnnotation}
+          title="Copy the annotation, to paste it at the mouse position or at the playhead"
+          type="button"
+        ><i className="fa fa-files-o"></i>&nbsp;Copy</button>
+        <button
+          className="btn btn-sm btn-secondary"
+          onClick={this.pasteAnnotation}
+          title="Paste the copied annotation at the playhead"
+          type="button"
+        ><i className="fa fa-clipboard"></i>&nbsp;Paste</button>
+        <label htmlFor="duplicate-count">Duplicate</label>
+        <input
+          id="duplicate-count"
+          className="form-control form-control-sm"
+          type="number"
+          min="1"
+          max={MAX_DUPLICATES}
+          onChange={this.changeDuplicateCount}
+          value={this.state.duplicateCount}
+        />
+        <label htmlFor="duplicate-interval">times, every</label>
+        <input
+          id="duplicate-interval"
+          className="form-control form-control-sm"
+          type="number"
+          min="0"
+          step="any"
+          onChange={this.changeDuplicateInterval}
+          // Copies follow each other by default
+          placeholder={(ann.endTime - ann.startTime).toFixed(3)}
+          value={this.state.duplicateInterval}
+        />
+        <label htmlFor="duplicate-interval">s</label>
+        <button
+          className="btn btn-sm btn-secondary"
+          onClick={this.duplicateAnnotation}
+          title="Add copies of the annotation after it, at a fixed interval"
+          type="button"
+        >Duplicate</button>
+      </div>
     );
   }
 
+  renderPlaybackOptions = () => {
+    const abLoop: ?TimeRange = this.state.abLoop;
+
+    return (
+      <div className="row">
+        <div className="col-sm-12 form-inline playback-options">
+          <button
+            className={`btn btn-sm ${this.state.isLooping ? 'btn-primary' : 'btn-secondary'} toggle-loop`}
+            onClick={this.toggleLooping}
+            title="Play annotation regions again and again, until playback is paused"
+            type="button"
+          ><i className="fa fa-retweet"></i>&nbsp;Loop regions</button>
+          <label htmlFor="pre-roll">Play</label>
+          <input
+            id="pre-roll"
+            className="form-control form-control-sm"
+            type="number"
+            min="0"
+            step="any"
+            onChange={this.changePreRoll}
+            value={this.state.preRoll}
+          />
+          <label htmlFor="post-roll">s before and</label>
+          <input
+            id="post-roll"
+            className="form-control form-control-sm"
+            type="number"
+            min="0"
+            step="any"
+            onChange={this.changePostRoll}
+            value={this.state.postRoll}
+          />
+          <label htmlFor="post-roll">s after regions</label>
+          {abLoop ?
+            <span className="ab-loop">
+              A–B loop: {utils.formatTimestamp(abLoop.startTime)}&nbsp;&gt;&nbsp;{utils.formatTimestamp(abLoop.endTime)}
+              <button
+                className="btn btn-sm btn-secondary clear-ab-loop"
+                onClick={this.clearABLoop}
+                title="Play the whole recording again"
+                type="button"
+              >Clear</button>
+            </span> :
+            <small className="text-muted">Drag on the time axis to repeat a part of the recording.</small>
+          }
+        </div>
+      </div>
+    );
+  }
+
+  renderConfidenceSelect = (ann: Annotation) => {
+    const confidenceLevels: Array<string> = this.getConfidenceLevels();
+
+    if (confidenceLevels.length > 0) {
+      const isMissing: boolean = !confidenceLevels.includes(ann.confidence);
+      return (
+        <p className="card-text annotation-confidence">
+          <label htmlFor="annotation-confidence">Confidence</label>
+          <select
+            id="annotation-confidence"
+            className={`form-control form-control-sm ${isMissing ? 'is-invalid' : ''}`}
+            onChange={(event: SyntheticInputEvent<HTMLSelectElement>) => this.setConfidence(event.target.value)}
+            required
+            value={isMissing ? '' : ann.confidence}
+          >
+            <option value="" disabled>Choose...</option>
+            {confidenceLevels.map(level => <option key={`confidence-${level}`} value={level}>{level}</option>)}
+          </select>
+        </p>
+      );
+    }
+  }
+
+  renderAnnotationFiles = () => {
+    return (
+      <p className="annotation-files">
+        <label className="btn btn-sm btn-secondary" title="Raven selection table or Audacity label track">
+          <i className="fa fa-upload"></i>&nbsp;Import
+          <input
+            type="file"
+            accept=".txt,.tsv"
+            onChange={this.selectAnnotationFile}
+          />
+        </label>
+        <button
+          className="btn btn-sm btn-secondary"
+          onClick={this.exportRavenTable}
+          title="Raven selection table of the annotations (not including whole recording annotations)"
+          type="button"
+        ><i className="fa fa-download"></i>&nbsp;Export Raven table</button>
+        <button
+          className="btn btn-sm btn-secondary"
+          onClick={this.exportAudacityLabels}
+          title="Audacity label track of the annotations (not including whole recording annotations)"
+          type="button"
+        ><i className="fa fa-download"></i>&nbsp;Export Audacity labels</button>
+        <small className="text-muted">Files can also be dropped on the page.</small>
+      </p>
+    );
+  }
+
+  renderDraftPrompt = () => {
+    const draft: ?Draft = this.state.draft;
+
+    if (draft) {
+      const savedAt: string = new Date(draft.savedAt).toLocaleString();
+      return (
+        <div className="alert alert-warning draft-prompt" role="alert">
+          Annotations of this task that were not submitted have been found on this computer
+          ({draft.annotations.length} annotations{draft.taskComment ? ' and a comment on the recording' : ''},
+          saved on {savedAt}).
+          <button className="btn btn-sm btn-primary" onClick={this.restoreDraft} type="button">Restore</button>
+          <button className="btn btn-sm btn-secondary" onClick={this.discardDraft} type="button">Discard</button>
+        </div>
+      );
+    }
+  }
+
+  renderFeedbackSummary = () => {
+    const feedback: ?ReferenceFeedback = this.state.feedback;
+
+    if (feedback) {
+      return (
+        <div className="alert alert-info feedback-summary" role="alert">
+          This recording is a reference: your annotations have been compared to the expected ones.
+          <span className="feedback-hit">{feedback.hits.length} found</span>
+          <span className="feedback-miss">{feedback.misses.length} missed</span>
+          <span className="feedback-false-alarm">{feedback.falseAlarms.length} false alarms</span>
+          <button className="btn btn-sm btn-primary" onClick={this.closeFeedback} type="button">Continue</button>
+        </div>
+      );
+    }
+  }
+
+  renderHistoryTitle = (verb: string, entries: Array<HistoryEntry>) => {
+    const entry = entries[entries.length - 1];
+    const combos: Array<string> = this.state.shortcuts[verb.toLowerCase()] || [];
+    const shortcut: string = (combos.length > 0) ? ` (${combos[0]})` : '';
+    return entry ? `${verb} ${entry.action}${shortcut}` : verb;
+  }
+
   renderUserGuideLink = () => {
     return (
       <span>
@@ -568,6 +2119,42 @@ class AudioAnnotator extends Component<AudioAnnotatorProps, AudioAnnotatorState>
     );
   }
 
+  renderShortcutsLink = () => {
+    return (
+      <span>
+        <button
+          className="btn-simple btn-link"
+          onClick={this.toggleShortcuts}
+          type="button"
+        ><span className="fa fa-keyboard-o"></span>&nbsp;Keyboard shortcuts</button>
+      </span>
+    );
+  }
+
+  renderPendingUploads = () => {
+    const pendingUploads: Array<Submission> = this.state.pendingUploads;
+
+    if (pendingUploads.length > 0) {
+      const errors: Array<string> = pendingUploads
+        .filter(submission => submission.error)
+        .map(submission => `Task ${submission.taskId}: ${submission.error || ''}`);
+      const title: string = ['Click to retry now'].concat(errors).join('\n');
+
+      return (
+        <span className={`pending-uploads ${errors.length > 0 ? 'text-danger' : 'text-warning'}`}>
+          <button
+            className="btn-simple btn-link"
+            onClick={this.retryUploads}
+            title={title}
+            type="button"
+          ><span className="fa fa-cloud-upload"></span>&nbsp;
+            {pendingUploads.length} pending upload{pendingUploads.length > 1 ? 's' : ''}
+          </button>
+        </span>
+      );
+    }
+  }
+
   renderInstructionsLink = () => {
     if (this.state.task && this.state.task.instructionsUrl) {
       return (
@@ -1,5 +1,6 @@
 // @flow
 import * as React from 'react';
+import { setPreservesPitch } from './audioData';
 
 // Heavily inspired from ReactAudioPlayer
 // https://github.com/justinmc/react-audio-player
@@ -27,6 +28,8 @@ type AudioPlayerProps = {
   onVolumeChanged: any,
   onLoadedMetadata: any,
   playbackRate: number,
+  // Pitch correction when the playback rate changes (tape-like pitch shift otherwise)
+  preservesPitch: boolean,
   preload: string,
   src: string,
   style: any,
@@ -36,7 +39,6 @@ type AudioPlayerProps = {
 
 class AudioPlayer extends React.Component<AudioPlayerProps> {
 
-  // audioContext: AudioContext;
   audioElement: HTMLAudioElement;
   listenTracker: any;
 
@@ -63,6 +65,7 @@ class AudioPlayer extends React.Component<AudioPlayerProps> {
     onVolumeChanged: () => {},
     onLoadedMetadata: () => {},
     playbackRate: 1.0,
+    preservesPitch: false,
     preload: 'metadata',
     style: {},
     title: '',
@@ -72,13 +75,7 @@ class AudioPlayer extends React.Component<AudioPlayerProps> {
   componentDidMount() {
     this.updateVolume(this.props.volume);
     this.updatePlaybackRate(this.props.playbackRate);
-
-    // Do not preserve pitch when changing playback rate (experimental, so prevent flow errors)
-    // $FlowFixMe
-    if (this.audioElement.mozPreservesPitch !== undefined) {
-      // $FlowFixMe
-      this.audioElement.mozPreservesPitch = false;
-    }
+    setPreservesPitch(this.audioElement, this.props.preservesPitch);
   }
 
   componentDidUpdate(prevProps: AudioPlayerProps) {
@@ -88,6 +85,9 @@ class AudioPlayer extends React.Component<AudioPlayerProps> {
     if (this.props.playbackRate !== prevProps.playbackRate) {
       this.updatePlaybackRate(this.props.playbackRate);
     }
+    if (this.props.preservesPitch !== prevProps.preservesPitch) {
+      setPreservesPitch(this.audioElement, this.props.preservesPitch);
+    }
   }
 
   onAbort = (e: SyntheticEvent<HTMLAudioElement>) => {
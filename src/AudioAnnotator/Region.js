@@ -1,26 +1,89 @@
 // @flow
 import React, { Component } from 'react';
 
-import type { Annotation } from './AudioAnnotator';
+import type { Annotation, Vertex } from './AudioAnnotator';
+import { getLabels, isTimeOnly, withVertices } from './annotations';
+import { getTagName } from './tags';
+import { cleanContour } from './contour';
 
 // Component dimensions constants
 const HEADER_HEIGHT: number = 18;
 const HEADER_MARGIN: number = 3;
 
+// Header opacity of the lowest confidence level, and factor applied to inactive regions
+const MIN_CONFIDENCE_ALPHA: number = 0.3;
+const INACTIVE_ALPHA: number = 0x88 / 0xff;
+
+// Number of pixels the pointer has to travel before a drag starts
+const DRAG_THRESHOLD: number = 3;
+// Smallest size of a resized region (in pixels)
+const MIN_REGION_SIZE: number = 2;
+// Smallest width of time-only regions (in pixels), so that points are visible
+const MIN_MARKER_WIDTH: number = 3;
+
+// Drag handles: 'move' for the body, cardinal points for edges and corners,
+// 'vertex-N' for the Nth vertex of polygons
+const RESIZE_HANDLES: Array<string> = ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw'];
+// Intervals are only resized in time, points are only moved
+const INTERVAL_HANDLES: Array<string> = ['e', 'w'];
+
 type RegionProps = {
   annotation: Annotation,
   color: string,
+  // Confidence level, from 0 (excluded) to 1, shading the header
+  confidence?: ?number,
   timePxRatio: number,
   freqPxRatio: number,
   offsetTop: number,
   offsetLeft: number,
+  // Height of time-only annotations (in pixels), instead of their frequency range.
+  // Their header is inside the band, and their body lets pointer events through to the canvas (to draw over them)
+  bandHeight?: ?number,
+  duration: number,
+  startFrequency: number,
+  frequencyRange: number,
   onRegionDeleted: (Annotation) => void,
-  onRegionMoved: (Annotation) => void,
+  onRegionMoveStarted: (Annotation, string) => void,
+  onRegionMoved: (Annotation, string) => void,
   onRegionPlayed: (Annotation) => void,
-  onRegionClicked: (Annotation) => void,
+  // Clicked annotation, and whether a modifier key extends the selection (Shift, Ctrl or Cmd)
+  onRegionClicked: (Annotation, boolean) => void,
 };
 
-class Region extends Component<RegionProps> {
+type RegionState = {
+  dragged: ?Annotation,
+};
+
+function withAlpha(color: string, alpha: number): string {
+  return color + Math.round(alpha * 0xff).toString(16).padStart(2, '0');
+}
+
+class Region extends Component<RegionProps, RegionState> {
+
+  dragMode: ?string;
+  dragStartX: number;
+  dragStartY: number;
+  dragPxMove: number;
+  isDragStarted: boolean;
+
+  constructor(props: RegionProps) {
+    super(props);
+
+    this.state = {
+      dragged: undefined,
+    };
+
+    this.dragMode = undefined;
+    this.dragStartX = 0;
+    this.dragStartY = 0;
+    this.dragPxMove = 0;
+    this.isDragStarted = false;
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('pointermove', this.onDragUpdate);
+    document.removeEventListener('pointerup', this.onDragEnd);
+  }
 
   playAnnotation = () => {
     this.props.onRegionPlayed(this.props.annotation);
@@ -30,44 +93,191 @@ class Region extends Component<RegionProps> {
     this.props.onRegionDeleted(this.props.annotation);
   }
 
-  selectAnnotation = () => {
-    this.props.onRegionClicked(this.props.annotation);
+  selectAnnotation = (event: { +shiftKey: boolean, +ctrlKey: boolean, +metaKey: boolean }) => {
+    this.props.onRegionClicked(this.props.annotation, !!(event.shiftKey || event.ctrlKey || event.metaKey));
+  }
+
+  onDragStart = (mode: string, event: SyntheticPointerEvent<HTMLElement>) => {
+    // Do not start a new annotation on the canvas below
+    event.stopPropagation();
+    event.preventDefault();
+
+    this.dragMode = mode;
+    this.dragStartX = event.clientX;
+    this.dragStartY = event.clientY;
+    this.dragPxMove = 0;
+
+    // Listen at the document level: the pointer may leave the region while dragging
+    document.addEventListener('pointermove', this.onDragUpdate);
+    document.addEventListener('pointerup', this.onDragEnd);
+  }
+
+  computeDragged = (e: PointerEvent): Annotation => {
+    const ann: Annotation = this.props.annotation;
+    const minTime: number = 0;
+    const maxTime: number = this.props.duration;
+    const minFreq: number = this.props.startFrequency;
+    const maxFreq: number = this.props.startFrequency + this.props.frequencyRange;
+    const minDuration: number = MIN_REGION_SIZE / this.props.timePxRatio;
+    const minFreqRange: number = MIN_REGION_SIZE / this.props.freqPxRatio;
+
+    let deltaTime: number = (e.clientX - this.dragStartX) / this.props.timePxRatio;
+    // Frequencies grow upwards, time-only annotations keep the whole range
+    let deltaFreq: number = isTimeOnly(ann) ? 0 : (this.dragStartY - e.clientY) / this.props.freqPxRatio;
+
+    if (this.dragMode === 'move') {
+      // Keep the whole region inside task boundaries
+      deltaTime = Math.min(Math.max(deltaTime, minTime - ann.startTime), maxTime - ann.endTime);
+      deltaFreq = Math.min(Math.max(deltaFreq, minFreq - ann.startFrequency), maxFreq - ann.endFrequency);
+
+      return Object.assign({}, ann, {
+        startTime: ann.startTime + deltaTime,
+        endTime: ann.endTime + deltaTime,
+        startFrequency: ann.startFrequency + deltaFreq,
+        endFrequency: ann.endFrequency + deltaFreq,
+        vertices: ann.vertices ? ann.vertices.map(vertex => ({
+          time: vertex.time + deltaTime,
+          frequency: vertex.frequency + deltaFreq,
+        })) : ann.vertices,
+      });
+    }
+
+    const mode: string = this.dragMode || '';
+    const vertexMatch = mode.match(/^vertex-(\d+)$/);
+    const annVertices: ?Array<Vertex> = ann.vertices;
+
+    if (vertexMatch && annVertices) {
+      const movedIdx: number = parseInt(vertexMatch[1], 10);
+      const vertices: Array<Vertex> = annVertices.map((vertex, idx) => (idx !== movedIdx) ? vertex : {
+        time: Math.min(Math.max(vertex.time + deltaTime, minTime), maxTime),
+        frequency: Math.min(Math.max(vertex.frequency + deltaFreq, minFreq), maxFreq),
+      });
+      // Contours stay in time order, a point dragged past its neighbours replacing them at the same time
+      return withVertices(ann, (ann.type === 'contour') ? cleanContour(vertices) : vertices);
+    }
+
+    const resized: Annotation = Object.assign({}, ann);
+
+    if (mode.includes('w')) {
+      resized.startTime = Math.min(Math.max(ann.startTime + deltaTime, minTime), ann.endTime - minDuration);
+    }
+    if (mode.includes('e')) {
+      resized.endTime = Math.max(Math.min(ann.endTime + deltaTime, maxTime), ann.startTime + minDuration);
+    }
+    if (mode.includes('n')) {
+      resized.endFrequency = Math.max(Math.min(ann.endFrequency + deltaFreq, maxFreq), ann.startFrequency + minFreqRange);
+    }
+    if (mode.includes('s')) {
+      resized.startFrequency = Math.min(Math.max(ann.startFrequency + deltaFreq, minFreq), ann.endFrequency - minFreqRange);
+    }
+
+    return resized;
+  }
+
+  getHandles = (ann: Annotation): Array<string> => {
+    // Polygons are reshaped from their vertices
+    if (ann.type === 'point' || ann.vertices) {
+      return [];
+    }
+    return isTimeOnly(ann) ? INTERVAL_HANDLES : RESIZE_HANDLES;
+  }
+
+  getDragAction = (): string => {
+    const mode: string = this.dragMode || '';
+    if (mode.startsWith('vertex-')) {
+      return 'reshape';
+    }
+    return (mode === 'move') ? 'move' : 'resize';
+  }
+
+  onDragUpdate = (e: PointerEvent) => {
+    if (this.dragMode) {
+      this.dragPxMove = Math.max(
+        this.dragPxMove,
+        Math.abs(e.clientX - this.dragStartX) + Math.abs(e.clientY - this.dragStartY)
+      );
+
+      if (this.dragPxMove > DRAG_THRESHOLD) {
+        if (!this.isDragStarted) {
+          this.isDragStarted = true;
+          this.props.onRegionMoveStarted(this.props.annotation, this.getDragAction());
+        }
+        this.setState({dragged: this.computeDragged(e)});
+      }
+    }
+  }
+
+  onDragEnd = (e: PointerEvent) => {
+    document.removeEventListener('pointermove', this.onDragUpdate);
+    document.removeEventListener('pointerup', this.onDragEnd);
+
+    if (this.dragMode && this.dragPxMove > DRAG_THRESHOLD) {
+      this.props.onRegionMoved(this.computeDragged(e), this.getDragAction());
+    } else if (this.dragMode) {
+      // Pointer has not moved: simple click on the region
+      this.selectAnnotation(e);
+    }
+
+    this.dragMode = undefined;
+    this.dragPxMove = 0;
+    this.isDragStarted = false;
+    this.setState({dragged: undefined});
   }
 
   render() {
-    const isActive: boolean = this.props.annotation.active;
+    const annotation: Annotation = this.state.dragged || this.props.annotation;
+    const isActive: boolean = annotation.active;
+    const labels: Array<string> = getLabels(annotation);
+    const confidence: ?number = this.props.confidence;
+    const headerAlpha: number = (typeof confidence === 'number') ?
+      MIN_CONFIDENCE_ALPHA + (1 - MIN_CONFIDENCE_ALPHA) * confidence : 1;
 
-    const duration: number = this.props.annotation.endTime - this.props.annotation.startTime;
-    const freqRange: number = this.props.annotation.endFrequency - this.props.annotation.startFrequency;
+    const duration: number = annotation.endTime - annotation.startTime;
+    const freqRange: number = annotation.endFrequency - annotation.startFrequency;
 
-    const width: number = Math.floor(this.props.timePxRatio * duration);
-    const height: number = Math.floor(this.props.freqPxRatio * freqRange) + HEADER_HEIGHT + HEADER_MARGIN;
+    const isBand: boolean = typeof this.props.bandHeight === 'number';
+    const timeWidth: number = Math.floor(this.props.timePxRatio * duration);
+    const width: number = isBand ? Math.max(timeWidth, MIN_MARKER_WIDTH) : timeWidth;
+    const bodyHeight: number = (typeof this.props.bandHeight === 'number') ?
+      this.props.bandHeight : Math.floor(this.props.freqPxRatio * freqRange);
+    // Bands span the visible frequencies, header included
+    const height: number = isBand ? bodyHeight : bodyHeight + HEADER_HEIGHT + HEADER_MARGIN;
+
+    // Offsets given by props match the annotation as it is before the drag
+    const offsetLeft: number = this.props.offsetLeft +
+      (annotation.startTime - this.props.annotation.startTime) * this.props.timePxRatio;
+    const offsetTop: number = this.props.offsetTop +
+      (this.props.annotation.endFrequency - annotation.endFrequency) * this.props.freqPxRatio;
 
     const styles = {
       wrapper: {
-        left: Math.floor(this.props.offsetLeft),
-        top: Math.floor(this.props.offsetTop) - HEADER_HEIGHT - HEADER_MARGIN,
+        // Markers wider than the annotation are centered on it
+        left: Math.floor(offsetLeft) - Math.floor((width - timeWidth) / 2),
+        top: isBand ? Math.floor(offsetTop) : Math.floor(offsetTop) - HEADER_HEIGHT - HEADER_MARGIN,
         width: width,
         height: height,
       },
       header: {
         height: HEADER_HEIGHT,
         marginBottom: HEADER_MARGIN,
-        backgroundColor: isActive ? this.props.color : `${this.props.color}88`,
+        backgroundColor: withAlpha(this.props.color, isActive ? headerAlpha : headerAlpha * INACTIVE_ALPHA),
         border: isActive ? `2px solid ${this.props.color}` : `2px solid ${this.props.color}88`,
       },
       headerSpan: {
         height: `${HEADER_HEIGHT}px`,
       },
       body: {
-        border: isActive ? `2px solid ${this.props.color}` : `2px solid ${this.props.color}88`,
+        // Bounding box of polygons is only outlined
+        border: annotation.vertices ?
+          `1px dashed ${this.props.color}88` :
+          `2px solid ${isActive ? this.props.color : `${this.props.color}88`}`,
         height: height - HEADER_HEIGHT - HEADER_MARGIN,
       },
     };
 
     return (
       <div
-        className="region"
+        className={`region region-${annotation.type || 'box'}`}
         style={styles.wrapper}
       >
         <p
@@ -80,9 +290,15 @@ class Region extends Component<RegionProps> {
           ></button>
           <span
             className="flex-fill text-center"
-            onClick={this.selectAnnotation}
+            // Bands are moved by their header, a simple click selecting them
+            onClick={isBand ? undefined : this.selectAnnotation}
+            onPointerDown={isBand ? (e) => this.onDragStart('move', e) : undefined}
             style={styles.headerSpan}
-          >{this.props.annotation.annotation}</span>
+            title={labels.join('\n')}
+          >{labels.map(getTagName).join(', ')}</span>
+          {annotation.comment &&
+            <span className="fa fa-comment-o region-comment" title={annotation.comment}></span>
+          }
           <button
             className="btn-simple fa fa-times-circle"
             onClick={this.deleteAnnotation}
@@ -92,10 +308,65 @@ class Region extends Component<RegionProps> {
         <div
           className="region-body"
           style={styles.body}
-        ></div>
+          title={annotation.comment || undefined}
+          onPointerDown={(e) => this.onDragStart('move', e)}
+        >
+          {this.getHandles(annotation).map(handle => (
+            <div
+              key={`handle-${handle}`}
+              className={`region-handle region-handle-${handle}`}
+              onPointerDown={(e) => this.onDragStart(handle, e)}
+            ></div>
+          ))}
+          {annotation.vertices && this.renderShape(annotation, annotation.vertices, width, bodyHeight, isActive)}
+        </div>
       </div>
     );
   }
+
+  /**
+   * Polygon or contour line drawn over the bounding box of the annotation, with vertex handles
+   */
+  renderShape = (ann: Annotation, vertices: Array<Vertex>, width: number, height: number, isActive: boolean): Array<React$Node> => {
+    const positions: Array<{ x: number, y: number }> = vertices.map(vertex => ({
+      x: (vertex.time - ann.startTime) * this.props.timePxRatio,
+      y: (ann.endFrequency - vertex.frequency) * this.props.freqPxRatio,
+    }));
+
+    const points: string = positions.map(({ x, y }) => `${x},${y}`).join(' ');
+
+    const shape: Array<React$Node> = [
+      <svg
+        key="shape"
+        className="region-shape"
+        height={Math.max(height, 1)}
+        width={Math.max(width, 1)}
+      >
+        {(ann.type === 'contour') ?
+          <polyline
+            fill="none"
+            points={points}
+            stroke={this.props.color}
+            strokeWidth={isActive ? 3 : 2}
+          ></polyline> :
+          <polygon
+            fill={withAlpha(this.props.color, isActive ? 0.3 : 0.15)}
+            points={points}
+            stroke={this.props.color}
+            strokeWidth={2}
+          ></polygon>
+        }
+      </svg>,
+    ];
+    return shape.concat(positions.map(({ x, y }, idx) => (
+      <div
+        key={`vertex-${idx}`}
+        className={(ann.type === 'contour') ? 'region-vertex contour-vertex' : 'region-vertex'}
+        style={{left: x, top: y, borderColor: this.props.color}}
+        onPointerDown={(e) => this.onDragStart(`vertex-${idx}`, e)}
+      ></div>
+    )));
+  }
 }
 
 export default Region;
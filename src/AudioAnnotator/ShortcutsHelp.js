@@ -0,0 +1,132 @@
+// @flow
+import React, { Component } from 'react';
+
+import type { ShortcutBindings } from './shortcuts';
+import { SHORTCUT_ACTIONS, DEFAULT_BINDINGS, comboFromEvent, rebind } from './shortcuts';
+
+type ShortcutsHelpProps = {
+  bindings: ShortcutBindings,
+  tags: Array<string>,
+  onBindingsChanged: (ShortcutBindings) => void,
+  onClose: () => void,
+};
+
+type ShortcutsHelpState = {
+  listeningAction: ?string,
+};
+
+class ShortcutsHelp extends Component<ShortcutsHelpProps, ShortcutsHelpState> {
+
+  constructor(props: ShortcutsHelpProps) {
+    super(props);
+
+    this.state = {
+      listeningAction: undefined,
+    };
+  }
+
+  componentDidMount() {
+    // Capture phase: the overlay gets key events before the annotator
+    document.addEventListener('keydown', this.onKeyDown, true);
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onKeyDown, true);
+  }
+
+  onKeyDown = (event: KeyboardEvent) => {
+    const listeningAction: ?string = this.state.listeningAction;
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      if (listeningAction) {
+        this.setState({listeningAction: undefined});
+      } else {
+        this.props.onClose();
+      }
+    } else if (listeningAction) {
+      const combo: ?string = comboFromEvent(event);
+      if (combo) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.props.onBindingsChanged(rebind(this.props.bindings, listeningAction, combo));
+        this.setState({listeningAction: undefined});
+      }
+    }
+  }
+
+  resetBindings = () => {
+    this.props.onBindingsChanged(Object.assign({}, DEFAULT_BINDINGS));
+  }
+
+  getActionLabel = (action: string, label: string): string => {
+    const tagMatch = action.match(/^tag-(\d+)$/);
+    if (tagMatch) {
+      const tag: ?string = this.props.tags[parseInt(tagMatch[1], 10) - 1];
+      return tag ? `Toggle tag "${tag}"` : '';
+    }
+    return label;
+  }
+
+  render() {
+    const rows = SHORTCUT_ACTIONS
+      .map(({ action, label }) => ({ action, label: this.getActionLabel(action, label) }))
+      .filter(({ label }) => label.length > 0)
+      .map(({ action, label }) => {
+        const isListening: boolean = this.state.listeningAction === action;
+        const combos: Array<string> = this.props.bindings[action] || [];
+
+        return (
+          <tr key={`shortcut-${action}`}>
+            <td>{label}</td>
+            <td>
+              {isListening ?
+                <em>Press a key...</em> :
+                combos.map(combo => <kbd key={`combo-${combo}`}>{combo}</kbd>)
+              }
+            </td>
+            <td className="text-right">
+              <button
+                className="btn btn-sm btn-secondary"
+                onClick={() => this.setState({listeningAction: isListening ? undefined : action})}
+                type="button"
+              >{isListening ? 'Cancel' : 'Change'}</button>
+            </td>
+          </tr>
+        );
+      });
+
+    return (
+      <div className="shortcuts-overlay" onClick={this.props.onClose}>
+        <div className="card shortcuts-help" onClick={e => e.stopPropagation()}>
+          <h6 className="card-header text-center">
+            Keyboard shortcuts
+            <button
+              className="btn-simple fa fa-times float-right"
+              onClick={this.props.onClose}
+              title="Close (Escape)"
+              type="button"
+            ></button>
+          </h6>
+          <div className="card-body">
+            <table className="table table-sm">
+              <tbody>
+                {rows}
+              </tbody>
+            </table>
+            <p className="text-center">
+              <button
+                className="btn btn-sm btn-danger"
+                onClick={this.resetBindings}
+                type="button"
+              >Reset to defaults</button>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ShortcutsHelp;
@@ -0,0 +1,116 @@
+// @flow
+import React, { Component } from 'react';
+import * as utils from '../utils';
+
+import type { TagNode } from './tags';
+import { buildTagTree, isTagAncestor } from './tags';
+
+type TagPickerProps = {
+  tags: Array<string>,
+  labels: Array<string>,
+  tagColors: Map<string, string>,
+  onTagToggled: (string) => void,
+};
+
+type TagPickerState = {
+  collapsed: Array<string>,
+};
+
+/**
+ * Tag selection of an annotation, as a tree for hierarchical tag sets.
+ * Selected labels are outlined, their parents are shown with a dashed outline.
+ * Parents which are not tags of the annotation set only group their children, they cannot be chosen.
+ */
+class TagPicker extends Component<TagPickerProps, TagPickerState> {
+
+  constructor(props: TagPickerProps) {
+    super(props);
+
+    this.state = {
+      collapsed: [],
+    };
+  }
+
+  toggleCollapse = (path: string) => {
+    const collapsed: Array<string> = this.state.collapsed;
+
+    this.setState({
+      collapsed: collapsed.includes(path) ? collapsed.filter(p => p !== path) : collapsed.concat(path),
+    });
+  }
+
+  render() {
+    return (
+      <ul className="card-text annotation-tags">
+        {buildTagTree(this.props.tags).map(this.renderNode)}
+      </ul>
+    );
+  }
+
+  renderNode = (node: TagNode) => {
+    const color: string = utils.getTagColor(this.props.tagColors, node.path);
+    const isSelected: boolean = this.props.labels.includes(node.path);
+    const isParent: boolean = this.props.labels.some(label => isTagAncestor(node.path, label));
+    const isCollapsed: boolean = this.state.collapsed.includes(node.path);
+    const isTag: boolean = this.props.tags.includes(node.path);
+
+    const style = {
+      inactive: {
+        backgroundColor: color,
+        border: 'none',
+        color: '#ffffff',
+      },
+      active: {
+        backgroundColor: 'transparent',
+        border: `1px solid ${color}`,
+        color: color,
+      },
+      parent: {
+        backgroundColor: 'transparent',
+        border: `1px dashed ${color}`,
+        color: color,
+      },
+    };
+
+    let buttonStyle = style.inactive;
+    if (isSelected) {
+      buttonStyle = style.active;
+    } else if (isParent) {
+      buttonStyle = style.parent;
+    }
+
+    const tagButton = (
+      <button
+        className={isTag ? 'btn' : 'btn tag-group'}
+        style={buttonStyle}
+        onClick={() => this.props.onTagToggled(node.path)}
+        disabled={!isTag}
+        title={isTag ? node.path : `${node.path} (group of tags)`}
+        type="button"
+      >{node.name}</button>
+    );
+
+    if (node.children.length === 0) {
+      return <li key={`tag-${node.path}`}>{tagButton}</li>;
+    }
+
+    return (
+      <li key={`tag-${node.path}`} className="tag-parent">
+        <button
+          className={`btn-simple fa ${isCollapsed ? 'fa-caret-right' : 'fa-caret-down'}`}
+          onClick={() => this.toggleCollapse(node.path)}
+          title={isCollapsed ? 'Show child tags' : 'Hide child tags'}
+          type="button"
+        ></button>
+        {tagButton}
+        {!isCollapsed &&
+          <ul className="annotation-tags tag-children">
+            {node.children.map(this.renderNode)}
+          </ul>
+        }
+      </li>
+    );
+  }
+}
+
+export default TagPicker;
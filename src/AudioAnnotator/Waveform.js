@@ -0,0 +1,209 @@
+// @flow
+import React, { Component } from 'react';
+import * as utils from '../utils';
+
+import type { Annotation } from './AudioAnnotator';
+import type { AudioData } from './audioData';
+
+// Number of min / max pairs computed once from the samples,
+// enough for the widest canvas
+const NB_ENVELOPE_BUCKETS: number = 65536;
+
+export type Envelope = {
+  mins: Float32Array,
+  maxs: Float32Array,
+};
+
+/**
+ * Compute the min / max amplitude envelope of samples
+ * @param {Float32Array} samples audio samples
+ * @param {number} nbBuckets number of min / max pairs (capped by the number of samples)
+ * @return {Envelope}
+ */
+export function computeEnvelope(samples: Float32Array, nbBuckets: number): Envelope {
+  const size: number = Math.max(1, Math.min(nbBuckets, samples.length));
+  const mins: Float32Array = new Float32Array(size);
+  const maxs: Float32Array = new Float32Array(size);
+  const bucketSize: number = samples.length / size;
+
+  for (let i = 0; i < size; i++) {
+    const start: number = Math.floor(i * bucketSize);
+    const end: number = Math.max(start + 1, Math.floor((i + 1) * bucketSize));
+    let min: number = 0;
+    let max: number = 0;
+    for (let j = start; j < end && j < samples.length; j++) {
+      if (samples[j] < min) min = samples[j];
+      if (samples[j] > max) max = samples[j];
+    }
+    mins[i] = min;
+    maxs[i] = max;
+  }
+
+  return { mins, maxs };
+}
+
+/**
+ * Aggregate an envelope to (at most) the given number of columns
+ */
+export function resampleEnvelope(envelope: Envelope, width: number): Envelope {
+  return {
+    mins: computeEnvelope(envelope.mins, width).mins,
+    maxs: computeEnvelope(envelope.maxs, width).maxs,
+  };
+}
+
+type WaveformProps = {
+  audioData: ?AudioData,
+  error: ?string,
+  tagColors: Map<string, string>,
+  annotations: Array<Annotation>,
+  currentTime: number,
+  duration: number,
+  timePxRatio: number,
+  width: number,
+  height: number,
+  top: number,
+  onSeek: (number) => void,
+};
+
+class Waveform extends Component<WaveformProps> {
+
+  canvasRef: any;
+
+  /**
+   * Envelope and annotation extents are drawn once on an offscreen canvas,
+   * only the playhead is drawn on every update.
+   */
+  trackCanvas: ?HTMLCanvasElement;
+  baseEnvelope: ?Envelope;
+  trackAudioData: ?AudioData;
+  trackError: ?string;
+  trackAnnotations: ?Array<Annotation>;
+
+  constructor(props: WaveformProps) {
+    super(props);
+
+    this.canvasRef = React.createRef();
+  }
+
+  componentDidMount() {
+    this.renderCanvas();
+  }
+
+  componentDidUpdate() {
+    this.renderCanvas();
+  }
+
+  seekTo = (event: SyntheticPointerEvent<HTMLCanvasElement>) => {
+    const bounds: ClientRect = event.currentTarget.getBoundingClientRect();
+    this.props.onSeek((event.clientX - bounds.left) / this.props.timePxRatio);
+  }
+
+  getTrack(): HTMLCanvasElement {
+    const track: HTMLCanvasElement = this.trackCanvas || document.createElement('canvas');
+    const isUpToDate: boolean = !!this.trackCanvas &&
+      track.width === this.props.width &&
+      track.height === this.props.height &&
+      this.trackAudioData === this.props.audioData &&
+      this.trackError === this.props.error &&
+      this.trackAnnotations === this.props.annotations;
+
+    if (!isUpToDate) {
+      track.width = this.props.width;
+      track.height = this.props.height;
+      this.renderTrack(track);
+
+      this.trackCanvas = track;
+      this.trackAudioData = this.props.audioData;
+      this.trackError = this.props.error;
+      this.trackAnnotations = this.props.annotations;
+    }
+
+    return track;
+  }
+
+  renderTrack(track: HTMLCanvasElement) {
+    const context: CanvasRenderingContext2D = track.getContext('2d');
+    const middle: number = track.height / 2;
+    context.clearRect(0, 0, track.width, track.height);
+
+    // Annotation time extents
+    this.props.annotations.forEach((ann: Annotation) => {
+      const x: number = Math.floor(ann.startTime * this.props.timePxRatio);
+      const width: number = Math.max(1, Math.floor((ann.endTime - ann.startTime) * this.props.timePxRatio));
+      context.fillStyle = `${utils.getTagColor(this.props.tagColors, ann.annotation)}44`;
+      context.fillRect(x, 0, width, track.height);
+    });
+
+    const audioData: ?AudioData = this.props.audioData;
+    if (!audioData) {
+      // Nothing to draw yet, only show the zero line
+      context.fillStyle = '#bbbbbb';
+      context.fillRect(0, middle, track.width, 1);
+      if (this.props.error) {
+        context.fillStyle = '#c73e1d';
+        context.font = '12px Arial';
+        context.fillText(this.props.error, 10, middle - 10);
+      }
+      return;
+    }
+
+    const baseEnvelope: Envelope = (this.baseEnvelope && this.trackAudioData === audioData) ?
+      this.baseEnvelope : computeEnvelope(audioData.samples, NB_ENVELOPE_BUCKETS);
+    this.baseEnvelope = baseEnvelope;
+
+    // Audio may be slightly shorter or longer than the task duration
+    const audioDuration: number = audioData.samples.length / audioData.sampleRate;
+    const audioWidth: number = Math.max(1, Math.floor(audioDuration * this.props.timePxRatio));
+    const envelope: Envelope = resampleEnvelope(baseEnvelope, audioWidth);
+    // Short files may have less envelope points than pixels
+    const pxStep: number = audioWidth / envelope.maxs.length;
+
+    context.fillStyle = '#2a2d34';
+    context.beginPath();
+    context.moveTo(0, middle);
+    for (let i = 0; i < envelope.maxs.length; i++) {
+      context.lineTo(i * pxStep, middle - envelope.maxs[i] * middle);
+    }
+    for (let i = envelope.mins.length - 1; i >= 0; i--) {
+      context.lineTo(i * pxStep, middle - envelope.mins[i] * middle);
+    }
+    context.closePath();
+    context.fill();
+    // Keep silent parts visible
+    context.fillRect(0, middle, audioWidth, 1);
+  }
+
+  renderCanvas() {
+    const canvas: HTMLCanvasElement = this.canvasRef.current;
+    const context: CanvasRenderingContext2D = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    context.drawImage(this.getTrack(), 0, 0);
+
+    // Progress bar
+    const x: number = Math.floor(canvas.width * this.props.currentTime / this.props.duration);
+    context.fillStyle = 'rgba(0, 0, 0)';
+    context.fillRect(x, 0, 1, canvas.height);
+  }
+
+  render() {
+    const style = {
+      top: `${this.props.top}px`,
+      left: 0,
+    };
+
+    return (
+      <canvas
+        className="waveform"
+        ref={this.canvasRef}
+        height={this.props.height}
+        width={this.props.width}
+        style={style}
+        onClick={this.seekTo}
+      ></canvas>
+    );
+  }
+}
+
+export default Waveform;
@@ -2,22 +2,54 @@
 import React, { Component } from 'react';
 import * as utils from '../utils';
 
-import type { Annotation, SpectroUrlsParams } from './AudioAnnotator';
+import type { Annotation, RawAnnotation, SpectroUrlsParams, Vertex } from './AudioAnnotator';
+import type { ReferenceFeedback } from './feedback';
+import { getLabels, getConfidenceRatio, isTimeOnly, withVertices, overlapsArea } from './annotations';
+import { getTagName } from './tags';
+import type { AudioData } from './audioData';
+import { fetchAudioData, isAudioDecodingSupported } from './audioData';
+import type { SpectrogramParams } from './spectrogram';
+import { computeSpectrogramImage, DEFAULT_PARAMS, NFFT_VALUES, WINSIZE_VALUES, OVERLAP_VALUES } from './spectrogram';
+import { CONTOUR_STEP, SNAP_RANGE, findMaximumRow, cleanContour } from './contour';
+import type { TimeRange } from './playback';
+import type { WheelAction } from './zoom';
+import { checkImageCors } from './images';
+import { getFrequencyZoom, clampVisibleStartFrequency, zoomVisibleStartFrequency, getWheelAction } from './zoom';
+import { getLoopRange } from './playback';
 import Region from './Region';
+import Waveform from './Waveform';
 
 // Component dimensions constants
 const CANVAS_HEIGHT: number = 512;
 const CANVAS_WIDTH: number = 1813;
 const CONTROLS_AREA_SIZE: number = 80;
+const WAVEFORM_HEIGHT: number = 80;
 const TIME_AXIS_SIZE: number = 30;
 const FREQ_AXIS_SIZE: number = 35;
 const SCROLLBAR_RESERVED: number = 20;
 
+// Highest time zoom factor, keeps canvases under the width browsers accept (32767px)
+const MAX_TIME_ZOOM: number = 16;
+
+// Zoom factor applied by the zoom buttons and shortcuts
+const ZOOM_STEP: number = 2;
+
+// Wheel deltas (in pixels) doubling the time zoom, for mouse wheels and trackpad pinches
+const WHEEL_ZOOM_DELTA: number = 400;
+const PINCH_ZOOM_DELTA: number = 100;
+
+// Clicks closer than this (in pixels) to the first vertex close the polygon being drawn
+const POLYGON_CLOSE_DISTANCE: number = 6;
+
+// Drawing tools: time / frequency boxes, time-only points and intervals, polygons, or contours
+export type DrawingTool = 'box' | 'time' | 'polygon' | 'contour';
+
 type Spectrogram = {
   start: number,
   end: number,
   src: string,
-  image: ?Image,
+  // Computed spectrograms are drawn on a canvas
+  image: ?(Image | HTMLCanvasElement),
 };
 
 type SpectroParams = {
@@ -44,13 +76,28 @@ type WorkbenchProps = {
   duration: number,
   startFrequency: number,
   frequencyRange: number,
+  audioUrl: string,
   spectroUrlsParams: Array<SpectroUrlsParams>,
   annotations: Array<Annotation>,
+  // Confidence scale of the campaign, from the lowest level (empty without confidence)
+  confidenceLevels: Array<string>,
+  // New annotations can be drawn (not in presence / absence only campaigns)
+  canDraw: boolean,
+  // Comparison with reference annotations, shown instead of annotations
+  feedback: ?ReferenceFeedback,
+  onAnnotationStarted: () => void,
   onAnnotationCreated: (Annotation) => void,
-  onAnnotationUpdated: (Annotation) => void,
+  onAnnotationMoveStarted: (Annotation, string) => void,
+  onAnnotationUpdated: (Annotation, string) => void,
   onAnnotationDeleted: (Annotation) => void,
   onAnnotationPlayed: (Annotation) => void,
-  onAnnotationSelected: (Annotation) => void,
+  // Annotation clicked, with a modifier key to add it to (or remove it from) the selection
+  onAnnotationSelected: (Annotation, boolean) => void,
+  // Annotations in a rubber band drawn with Shift, added to the selection
+  onAnnotationsSelected: (Array<Annotation>) => void,
+  // A–B loop of the playback, set by dragging on the time axis
+  abLoop: ?TimeRange,
+  onABLoopChanged: (TimeRange) => void,
   onSeek: any,
 };
 
@@ -61,9 +108,28 @@ type WorkbenchState = {
   freqPxRatio: number,
   currentParams: SpectroParams,
   currentZoom: number,
+  freqZoom: number,
+  visibleStartFrequency: number,
   spectrograms: Array<SpectroDetails>,
+  tool: DrawingTool,
   newAnnotation: ?Annotation,
+  // Polygon being drawn, and pointer position for its next edge
+  polygonVertices: Array<Vertex>,
+  polygonCursor: ?Vertex,
+  // Contour being traced, and snapping of its points to the spectral maximum
+  contourVertices: Array<Vertex>,
+  snapToMaximum: boolean,
+  // Spectrogram pixels cannot be read when images come from a server without CORS headers,
+  // images are then loaded without CORS mode
+  isSnapAvailable: boolean,
+  // Rubber band selection, from the point where it started to the pointer
+  selectionBox: ?{ start: Vertex, end: Vertex },
+  // A–B loop being dragged on the time axis
+  loopDraft: ?TimeRange,
   loadingZoomLvl: number,
+  audioData: ?AudioData,
+  audioDataError: ?string,
+  isComputingSpectro: boolean,
 };
 
 class Workbench extends Component<WorkbenchProps, WorkbenchState> {
@@ -82,16 +148,41 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
 
   timeAxisRef: any;
   freqAxisRef: any;
+  freqScrollerRef: any;
+
+  /**
+   * Offscreen canvas with only the spectrogram images (without overlays), read to snap contour points.
+   * It is drawn again only when the drawn images or the view change, not on playhead updates.
+   */
+  spectroCanvas: HTMLCanvasElement;
+  spectroImages: ?Array<Spectrogram>;
+  spectroTimePxRatio: number;
+  spectroFreqPxRatio: number;
+  spectroVisibleStartFrequency: number;
+
+  // Time (in seconds) under the mouse pointer, when it is over the spectrogram, waveform or time axis
+  pointerTime: ?number;
 
   isDrawing: boolean;
   drawPxMove: number;
   drawStartTime: number;
   drawStartFrequency: number;
 
+  // Time where the A–B loop being dragged on the time axis started, undefined when not dragging
+  loopStartTime: ?number;
+
+  /**
+   * Pinch zoom state (touch screens and Safari gestures)
+   * @property {Map} touches horizontal positions of touch pointers on the canvas, by pointer id
+   */
+  touches: Map<number, number>;
+  pinchStartDistance: number;
+  pinchStartZoom: number;
+
   constructor(props: WorkbenchProps) {
     super(props);
 
-    let currentParams: SpectroParams = {nfft: 0, winsize: 0, overlap: 0, zoom: 0};
+    let currentParams: SpectroParams = Object.assign({}, DEFAULT_PARAMS, {zoom: 1});
     if (props.spectroUrlsParams.length > 0) {
       const params = props.spectroUrlsParams[0];
       currentParams = {
@@ -104,25 +195,48 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
 
     this.state = {
       wrapperWidth: CANVAS_WIDTH,
-      wrapperHeight: CANVAS_HEIGHT + TIME_AXIS_SIZE + SCROLLBAR_RESERVED,
+      wrapperHeight: CANVAS_HEIGHT + WAVEFORM_HEIGHT + TIME_AXIS_SIZE + SCROLLBAR_RESERVED,
       timePxRatio: CANVAS_WIDTH / props.duration,
       freqPxRatio: CANVAS_HEIGHT / props.frequencyRange,
       currentParams,
       currentZoom: 1,
+      freqZoom: 1,
+      visibleStartFrequency: props.startFrequency,
       spectrograms: [],
+      tool: 'box',
       newAnnotation: undefined,
+      polygonVertices: [],
+      polygonCursor: undefined,
+      contourVertices: [],
+      snapToMaximum: true,
+      isSnapAvailable: true,
+      selectionBox: undefined,
+      loopDraft: undefined,
       loadingZoomLvl: 1,
+      audioData: undefined,
+      audioDataError: undefined,
+      isComputingSpectro: false,
     };
 
     this.wrapperRef = React.createRef();
     this.canvasRef = React.createRef();
     this.timeAxisRef = React.createRef();
     this.freqAxisRef = React.createRef();
+    this.freqScrollerRef = React.createRef();
+    this.spectroCanvas = document.createElement('canvas');
+    this.spectroImages = undefined;
+
+    this.pointerTime = undefined;
 
     this.isDrawing = false;
     this.drawPxMove = 0;
     this.drawStartTime = 0;
     this.drawStartFrequency = 0;
+    this.loopStartTime = undefined;
+
+    this.touches = new Map();
+    this.pinchStartDistance = 0;
+    this.pinchStartZoom = 1;
   }
 
   buildSpectrogramsDetails(params: Array<SpectroUrlsParams>): Array<SpectroDetails> {
@@ -159,6 +273,67 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     });
   }
 
+  /**
+   * Spectrograms are computed in the browser when no precomputed image is available
+   */
+  isComputedSpectro(): boolean {
+    return this.props.spectroUrlsParams.length === 0;
+  }
+
+  isImageLoaded(image: ?(Image | HTMLCanvasElement)): boolean {
+    if (image instanceof HTMLCanvasElement) {
+      return true;
+    }
+    return !!image && image.complete;
+  }
+
+  computeSpectrogram() {
+    const audioData: ?AudioData = this.state.audioData;
+    const params: SpectroParams = this.state.currentParams;
+
+    if (!audioData || this.getSpectrosForCurrentDetails().length > 0) {
+      // Audio not decoded yet, or already computed with these params
+      return;
+    }
+
+    const spectroParams: SpectrogramParams = {
+      nfft: params.nfft,
+      winsize: params.winsize,
+      overlap: params.overlap,
+    };
+    const maxFrequency: number = this.props.startFrequency + this.props.frequencyRange;
+
+    this.setState({isComputingSpectro: true});
+    computeSpectrogramImage(audioData, spectroParams, this.props.startFrequency, maxFrequency)
+      .then((image: HTMLCanvasElement) => {
+        if (!this.canvasRef.current) {
+          return;
+        }
+
+        // A single image, scaled for every zoom factor
+        const details: SpectroDetails = Object.assign({}, spectroParams, {
+          zoom: 1,
+          urlPrefix: '',
+          urlFileName: '',
+          urlFileExtension: '',
+          images: [{start: 0, end: this.props.duration, src: '', image}],
+        });
+
+        this.setState({
+          spectrograms: this.state.spectrograms.concat(details),
+          isComputingSpectro: false,
+        });
+      })
+      .catch(err => {
+        if (this.canvasRef.current) {
+          this.setState({
+            isComputingSpectro: false,
+            audioDataError: `Spectrogram computation failed: ${err.message || err.toString()}`,
+          });
+        }
+      });
+  }
+
   onSpectroImageComplete = () => {
     // Re-render canvas with new image
     this.renderCanvas();
@@ -170,7 +345,7 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     if (details) {
       // Check if zoom lvl is loaded
       const isZoomLvlLoaded: boolean = details.images
-        .reduce((acc, cur) => acc && cur.image ? cur.image.complete : false, true);
+        .reduce((acc, cur) => acc && this.isImageLoaded(cur.image), true);
 
       if (isZoomLvlLoaded) {
         // Go on with next level if exists
@@ -195,8 +370,12 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     if (oldDetails) {
       const newImages: Array<Spectrogram> = oldDetails.images.map(spectro => {
         const image = new Image();
-        image.src = spectro.src;
+        // Pixels are read to snap contour points
+        if (this.state.isSnapAvailable) {
+          image.crossOrigin = 'anonymous';
+        }
         image.onload = this.onSpectroImageComplete;
+        image.src = spectro.src;
         return Object.assign({}, spectro, { image: image });
       });
 
@@ -211,12 +390,56 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
   componentDidMount() {
     // Handling spectrogram images
     const spectrograms: Array<SpectroDetails> = this.buildSpectrogramsDetails(this.props.spectroUrlsParams);
-    this.setState({spectrograms}, this.loadNextZoomLevel);
+    const firstImage: ?Spectrogram = spectrograms.flatMap(details => details.images)[0];
+    this.setState({spectrograms});
+    if (firstImage) {
+      // Images are loaded in CORS mode only when the server allows reading them
+      checkImageCors(firstImage.src).then(isCors => {
+        if (this.canvasRef.current) {
+          this.setState({isSnapAvailable: isCors}, this.loadNextZoomLevel);
+        }
+      });
+    }
+
+    // Decoding audio for the waveform
+    this.loadAudioData();
 
     // Add event listeners at the document level
     // (the user is able to release the click on any zone)
     document.addEventListener('pointermove', this.onUpdateNewAnnotation);
     document.addEventListener('pointerup', this.onEndNewAnnotation);
+    document.addEventListener('pointercancel', this.onEndNewAnnotation);
+    document.addEventListener('keydown', this.onKeyDown);
+
+    // Wheel listener must not be passive to prevent page scrolling and browser zoom (trackpad pinch)
+    const canvas: HTMLCanvasElement = this.canvasRef.current;
+    canvas.addEventListener('wheel', this.onWheelZoom, { passive: false });
+    // Safari reports trackpad pinches as gestures
+    canvas.addEventListener('gesturestart', this.onGestureStart);
+    canvas.addEventListener('gesturechange', this.onGestureChange);
+  }
+
+  loadAudioData() {
+    if (isAudioDecodingSupported()) {
+      const maxFrequency: number = this.props.startFrequency + this.props.frequencyRange;
+
+      fetchAudioData(this.props.audioUrl, maxFrequency)
+        .then(audioData => {
+          if (this.canvasRef.current) {
+            this.setState({audioData}, () => {
+              if (this.isComputedSpectro()) this.computeSpectrogram();
+            });
+          }
+        })
+        .catch(err => {
+          // The waveform stays empty, the spectrogram is enough to annotate
+          if (this.canvasRef.current) {
+            this.setState({audioDataError: `Waveform unavailable: ${err.message || err.toString()}`});
+          }
+        });
+    } else {
+      this.setState({audioDataError: 'Waveform unavailable: audio decoding is not supported by this browser'});
+    }
   }
 
   componentDidUpdate(prevProps: WorkbenchProps) {
@@ -230,6 +453,13 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
       wrapper.scrollLeft += CANVAS_WIDTH;
     }
 
+    // Keep vertical scrollbar in sync with the visible frequency band
+    const scroller: HTMLElement = this.freqScrollerRef.current;
+    const scrollTop: number = this.getFreqScrollTop();
+    if (Math.abs(scroller.scrollTop - scrollTop) >= 1) {
+      scroller.scrollTop = scrollTop;
+    }
+
     // Re-render
     this.renderCanvas();
     this.renderTimeAxis();
@@ -239,6 +469,25 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
   componentWillUnmount() {
     document.removeEventListener('pointermove', this.onUpdateNewAnnotation);
     document.removeEventListener('pointerup', this.onEndNewAnnotation);
+    document.removeEventListener('pointercancel', this.onEndNewAnnotation);
+    document.removeEventListener('keydown', this.onKeyDown);
+
+    const canvas: HTMLCanvasElement = this.canvasRef.current;
+    canvas.removeEventListener('wheel', this.onWheelZoom);
+    canvas.removeEventListener('gesturestart', this.onGestureStart);
+    canvas.removeEventListener('gesturechange', this.onGestureChange);
+  }
+
+  onWrapperPointerMove = (event: SyntheticPointerEvent<HTMLDivElement>) => {
+    this.pointerTime = this.getTimeFromClientX(event.clientX);
+  }
+
+  onWrapperPointerLeave = () => {
+    this.pointerTime = undefined;
+  }
+
+  getPointerTime = (): ?number => {
+    return this.pointerTime;
   }
 
   getTimeFromClientX = (clientX: number) => {
@@ -268,26 +517,159 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
       offset = 0;
     }
 
-    return this.props.startFrequency + offset / this.state.freqPxRatio;
+    return this.state.visibleStartFrequency + offset / this.state.freqPxRatio;
+  }
+
+  /**
+   * Vertical position of a frequency on the canvas (in pixels from the top)
+   */
+  getYFromFrequency = (frequency: number) => {
+    return CANVAS_HEIGHT - (frequency - this.state.visibleStartFrequency) * this.state.freqPxRatio;
+  }
+
+  getVisibleFrequencyRange = () => {
+    return this.props.frequencyRange / this.state.freqZoom;
+  }
+
+  /**
+   * Scroll position of the vertical scrollbar (top of the scrollbar is the highest frequency)
+   */
+  getFreqScrollTop = () => {
+    const maxStartFrequency: number = this.props.startFrequency + this.props.frequencyRange - this.getVisibleFrequencyRange();
+    return (maxStartFrequency - this.state.visibleStartFrequency) * this.state.freqPxRatio;
+  }
+
+  /**
+   * Keep the visible frequency band inside task boundaries
+   */
+  clampVisibleStartFrequency = (frequency: number, freqZoom: number) => {
+    return clampVisibleStartFrequency(frequency, freqZoom, this.props);
+  }
+
+  zoomFrequency = (direction: number, yFrom: ?number) => {
+    const oldZoom: number = this.state.freqZoom;
+    const newZoom: number = getFrequencyZoom(oldZoom, direction);
+
+    if (newZoom !== oldZoom) {
+      // Frequency staying at the same place: under the pointer, or center of the visible band
+      const anchor: number = yFrom ?
+        this.getFrequencyFromClientY(yFrom) :
+        this.state.visibleStartFrequency + this.getVisibleFrequencyRange() / 2;
+
+      this.setState({
+        freqZoom: newZoom,
+        freqPxRatio: CANVAS_HEIGHT * newZoom / this.props.frequencyRange,
+        visibleStartFrequency: zoomVisibleStartFrequency(this.state.visibleStartFrequency, anchor, oldZoom, newZoom, this.props),
+      });
+    }
+  }
+
+  /**
+   * Move the visible frequency band
+   * @param {number} deltaPx number of pixels to move, positive to go up
+   */
+  panFrequency = (deltaPx: number) => {
+    const newStart: number = this.state.visibleStartFrequency + deltaPx / this.state.freqPxRatio;
+    this.setState({
+      visibleStartFrequency: this.clampVisibleStartFrequency(newStart, this.state.freqZoom),
+    });
+  }
+
+  /**
+   * Scroll the spectrogram (and its visible frequency band) so that an annotation is in view
+   */
+  showAnnotation = (ann: Annotation) => {
+    const wrapper: HTMLElement = this.wrapperRef.current;
+    const left: number = ann.startTime * this.state.timePxRatio;
+    const right: number = ann.endTime * this.state.timePxRatio;
+
+    if (left < wrapper.scrollLeft || right > wrapper.scrollLeft + wrapper.clientWidth) {
+      wrapper.scrollLeft = Math.max(0, Math.floor((left + right - wrapper.clientWidth) / 2));
+    }
+
+    const visibleRange: number = this.getVisibleFrequencyRange();
+    const visibleEnd: number = this.state.visibleStartFrequency + visibleRange;
+    if (!isTimeOnly(ann) && (ann.startFrequency < this.state.visibleStartFrequency || ann.endFrequency > visibleEnd)) {
+      const newStart: number = (ann.startFrequency + ann.endFrequency - visibleRange) / 2;
+      this.setState({
+        visibleStartFrequency: this.clampVisibleStartFrequency(newStart, this.state.freqZoom),
+      });
+    }
+  }
+
+  onFreqScroll = (event: SyntheticUIEvent<HTMLElement>) => {
+    const deltaPx: number = this.getFreqScrollTop() - event.currentTarget.scrollTop;
+    if (Math.abs(deltaPx) >= 1) {
+      this.panFrequency(deltaPx);
+    }
   }
 
   seekTo = (event: SyntheticPointerEvent<HTMLCanvasElement>) => {
-    this.props.onSeek(this.getTimeFromClientX(event.clientX));
+    // Clicks add vertices while drawing polygons and contours, or points with the time tool,
+    // Shift + click selects annotations
+    const isDrawingClick: boolean = this.state.tool === 'polygon' || this.state.tool === 'contour' ||
+      (this.state.tool === 'time' && this.props.canDraw && !this.props.feedback);
+    if (!isDrawingClick && !event.shiftKey) {
+      this.props.onSeek(this.getTimeFromClientX(event.clientX));
+    }
   }
 
-  onWheelZoom = (event: SyntheticWheelEvent<HTMLCanvasElement>) => {
+  onKeyDown = (event: KeyboardEvent) => {
+    if (event.key === 'Escape' && this.state.polygonVertices.length > 0) {
+      this.cancelPolygon();
+    }
+  }
+
+  changeTool = (tool: DrawingTool) => {
+    this.setState({tool, polygonVertices: [], polygonCursor: undefined}, this.renderCanvas);
+  }
+
+  onWheelZoom = (event: WheelEvent) => {
+    // Horizontal scrolling (trackpads) moves along time
+    const action: ?WheelAction = getWheelAction(event, CANVAS_HEIGHT);
+    if (!action) {
+      return;
+    }
+
     // Prevent page scrolling
     event.preventDefault();
 
-    if (event.deltaY < 0) {
-      // Zoom in
-      this.zoom(1, event.clientX);
-    } else if (event.deltaY > 0) {
-      // Zoom out
-      this.zoom(-1, event.clientX);
+    if (action.type === 'pinch') {
+      this.setZoom(this.state.currentZoom * Math.pow(2, -action.delta / PINCH_ZOOM_DELTA), event.clientX);
+    } else if (action.type === 'frequency-pan') {
+      // Vertical panning, up when scrolling up
+      this.panFrequency(-action.delta);
+    } else if (action.type === 'frequency-zoom') {
+      if (action.delta !== 0) {
+        this.zoomFrequency(action.delta < 0 ? 1 : -1, event.clientY);
+      }
+    } else if (action.delta !== 0) {
+      // Time zoom, in when scrolling up
+      this.setZoom(this.state.currentZoom * Math.pow(2, -action.delta / WHEEL_ZOOM_DELTA), event.clientX);
     }
   }
 
+  onGestureStart = (event: any) => {
+    event.preventDefault();
+    this.pinchStartZoom = this.state.currentZoom;
+  }
+
+  onGestureChange = (event: any) => {
+    // Scale is relative to the start of the gesture
+    event.preventDefault();
+    this.setZoom(this.pinchStartZoom * event.scale, event.clientX);
+  }
+
+  getPinchDistance(): number {
+    const positions: Array<number> = Array.from(this.touches.values());
+    return Math.abs(positions[0] - positions[1]);
+  }
+
+  getPinchCenter(): number {
+    const positions: Array<number> = Array.from(this.touches.values());
+    return (positions[0] + positions[1]) / 2;
+  }
+
   getSpectrosForCurrentDetails(): Array<SpectroDetails> {
     return this.state.spectrograms.filter((details: SpectroDetails) =>
       (this.state.currentParams.nfft === details.nfft) &&
@@ -311,6 +693,16 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     );
   }
 
+  changeComputedParam = (param: string, event: SyntheticInputEvent<HTMLSelectElement>) => {
+    const newParams: SpectroParams = Object.assign({}, this.state.currentParams, {
+      [param]: parseInt(event.target.value, 10),
+    });
+    // Window cannot be longer than the FFT
+    newParams.winsize = Math.min(newParams.winsize, newParams.nfft);
+
+    this.setState({currentParams: newParams}, this.computeSpectrogram);
+  }
+
   changeCurrentParams = (event: SyntheticInputEvent<HTMLSelectElement>) => {
     const fullParams = this.props.spectroUrlsParams[parseInt(event.target.value, 10)];
     const newParams = {
@@ -325,49 +717,46 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     }, this.loadNextZoomLevel);
   }
 
+  /**
+   * Zoom in or out on time by one step
+   * @param {number} direction positive to zoom in, negative to zoom out
+   * @param {?number} xFrom client x-coordinate staying in place, zoom is centered on currentTime if not given
+   */
   zoom = (direction: number, xFrom: ?number) => {
+    this.setZoom(this.state.currentZoom * Math.pow(ZOOM_STEP, direction), xFrom);
+  }
+
+  setZoom = (zoom: number, xFrom: ?number) => {
     const canvas: HTMLCanvasElement = this.canvasRef.current;
     const timeAxis: HTMLCanvasElement = this.timeAxisRef.current;
 
-    const zoomLevels = this.getSpectrosForCurrentDetails()
-      .map(details => details.zoom)
-      .sort((a, b) => a - b);
-
-    const oldZoomIdx: number = zoomLevels.findIndex(factor => factor === this.state.currentZoom);
-    let newZoom: number = this.state.currentZoom;
-
-    // When zoom will be free: if (direction > 0 && oldZoomIdx < zoomLevels.length - 1)
-    if (direction > 0 && oldZoomIdx < 4 && oldZoomIdx < zoomLevels.length - 1) {
-      // Zoom in
-      newZoom = zoomLevels[oldZoomIdx+1];
-    } else if (direction < 0 && oldZoomIdx > 0) {
-      // Zoom out
-      newZoom = zoomLevels[oldZoomIdx-1];
-    }
+    // Zoom is free between 1 and the max factor, images of the closest level are scaled
+    const newZoom: number = Math.min(Math.max(zoom, 1), MAX_TIME_ZOOM);
 
     // If zoom factor has changed
-    if (newZoom !== this.state.currentZoom) {
+    if (Math.abs(newZoom - this.state.currentZoom) > 0.001) {
       // New timePxRatio
-      const timePxRatio: number = this.state.wrapperWidth * newZoom / this.props.duration;
+      const newWidth: number = Math.floor(this.state.wrapperWidth * newZoom);
+      const timePxRatio: number = newWidth / this.props.duration;
 
-      // Compute new center (before resizing)
+      // Compute new scroll position (before resizing)
       const wrapper: HTMLElement = this.wrapperRef.current;
-      const zoomRatio = newZoom / this.state.currentZoom;
+      const zoomRatio = newWidth / canvas.width;
 
-      let newCenter: number = 0;
+      let scroll: number = 0;
       if (xFrom) {
-        // x-coordinate has been given, center on it
+        // x-coordinate has been given, keep it at the same place on screen
         const bounds: ClientRect = canvas.getBoundingClientRect();
-        newCenter = (xFrom - bounds.left) * zoomRatio;
+        const wrapperBounds: ClientRect = wrapper.getBoundingClientRect();
+        scroll = Math.floor((xFrom - bounds.left) * zoomRatio - (xFrom - wrapperBounds.left));
       } else {
         // If no x-coordinate: center on currentTime
-        newCenter = this.props.currentTime * timePxRatio;
+        scroll = Math.floor(this.props.currentTime * timePxRatio - CANVAS_WIDTH / 2);
       }
-      const scroll = Math.floor(newCenter - CANVAS_WIDTH / 2);
 
       // Resize canvases and scroll
-      canvas.width = this.state.wrapperWidth * newZoom;
-      timeAxis.width = this.state.wrapperWidth * newZoom;
+      canvas.width = newWidth;
+      timeAxis.width = newWidth;
 
       wrapper.scrollLeft = scroll;
 
@@ -379,6 +768,49 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
   }
 
   onStartNewAnnotation = (event: SyntheticPointerEvent<HTMLCanvasElement>) => {
+    if (this.props.feedback) {
+      // Task has been submitted
+      return;
+    }
+
+    if (event.pointerType === 'touch') {
+      this.touches.set(event.pointerId, event.clientX);
+
+      if (this.touches.size === 2) {
+        // Second finger: pinch zoom instead of drawing
+        this.isDrawing = false;
+        this.drawPxMove = 0;
+        this.pinchStartDistance = this.getPinchDistance();
+        this.pinchStartZoom = this.state.currentZoom;
+        this.setState({newAnnotation: undefined, contourVertices: []});
+        return;
+      } else if (this.touches.size > 2) {
+        return;
+      }
+    }
+
+    if (event.shiftKey && this.state.polygonVertices.length === 0) {
+      const start: Vertex = this.getVertexFromClient(event.clientX, event.clientY);
+      this.setState({selectionBox: { start, end: start }});
+      return;
+    }
+
+    if (!this.props.canDraw) {
+      return;
+    }
+
+    if (this.state.tool === 'polygon') {
+      this.addPolygonVertex(event.clientX, event.clientY);
+      return;
+    }
+
+    if (this.state.tool === 'contour') {
+      this.isDrawing = true;
+      this.props.onAnnotationStarted();
+      this.setState({contourVertices: [this.snapVertex(this.getVertexFromClient(event.clientX, event.clientY))]});
+      return;
+    }
+
     const newTime: number = this.getTimeFromClientX(event.clientX);
     const newFrequency: number = this.getFrequencyFromClientY(event.clientY);
 
@@ -390,6 +822,11 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     const newAnnotation: Annotation = {
       id: '',
       annotation: '',
+      labels: [],
+      confidence: undefined,
+      comment: undefined,
+      type: 'box',
+      vertices: undefined,
       startTime: newTime,
       endTime: newTime,
       startFrequency: newFrequency,
@@ -400,13 +837,31 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     this.setState({newAnnotation});
   }
 
+  onTimeAxisPointerDown = (event: SyntheticPointerEvent<HTMLCanvasElement>) => {
+    // Points and intervals can also be drawn on the time axis, A–B loops are set there otherwise (or with Alt)
+    if (this.state.tool === 'time' && !event.altKey) {
+      this.onStartNewAnnotation(event);
+    } else if (event.button === 0) {
+      this.loopStartTime = this.getTimeFromClientX(event.clientX);
+    }
+  }
+
   computeNewAnnotation = (e: PointerEvent) => {
     const currentTime: number = this.getTimeFromClientX(e.clientX);
     const currentFrequency: number = this.getFrequencyFromClientY(e.clientY);
 
+    if (this.state.tool === 'time') {
+      return this.buildTimeAnnotation(Math.min(currentTime, this.drawStartTime), Math.max(currentTime, this.drawStartTime));
+    }
+
     const newAnnotation: Annotation = {
       id: '',
       annotation: '',
+      labels: [],
+      confidence: undefined,
+      comment: undefined,
+      type: 'box',
+      vertices: undefined,
       startTime: Math.min(currentTime, this.drawStartTime),
       endTime: Math.max(currentTime, this.drawStartTime),
       startFrequency: Math.min(currentFrequency, this.drawStartFrequency),
@@ -416,18 +871,234 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     return newAnnotation;
   }
 
+  /**
+   * Time-only annotation, a point if it has no duration
+   */
+  buildTimeAnnotation = (startTime: number, endTime: number): Annotation => {
+    return {
+      id: '',
+      annotation: '',
+      labels: [],
+      confidence: undefined,
+      comment: undefined,
+      type: (startTime === endTime) ? 'point' : 'interval',
+      vertices: undefined,
+      startTime,
+      endTime,
+      startFrequency: this.props.startFrequency,
+      endFrequency: this.props.startFrequency + this.props.frequencyRange,
+      active: false,
+    };
+  }
+
+  getVertexFromClient = (clientX: number, clientY: number): Vertex => {
+    return {
+      time: this.getTimeFromClientX(clientX),
+      frequency: this.getFrequencyFromClientY(clientY),
+    };
+  }
+
+  /**
+   * Distance between two vertices on screen (in pixels)
+   */
+  getVertexDistance = (a: Vertex, b: Vertex): number => {
+    return Math.hypot(
+      (a.time - b.time) * this.state.timePxRatio,
+      (a.frequency - b.frequency) * this.state.freqPxRatio
+    );
+  }
+
+  addPolygonVertex = (clientX: number, clientY: number) => {
+    const vertices: Array<Vertex> = this.state.polygonVertices;
+    const vertex: Vertex = this.getVertexFromClient(clientX, clientY);
+
+    if (vertices.length >= 3 && this.getVertexDistance(vertex, vertices[0]) <= POLYGON_CLOSE_DISTANCE) {
+      this.closePolygon();
+    } else if (vertices.length === 0 || this.getVertexDistance(vertex, vertices[vertices.length - 1]) > POLYGON_CLOSE_DISTANCE) {
+      // Second click of a double click does not add a vertex
+      if (vertices.length === 0) {
+        this.props.onAnnotationStarted();
+      }
+      this.setState({polygonVertices: vertices.concat(vertex), polygonCursor: vertex}, this.renderCanvas);
+    }
+  }
+
+  closePolygon = () => {
+    const vertices: Array<Vertex> = this.state.polygonVertices;
+
+    if (vertices.length >= 3) {
+      this.props.onAnnotationCreated(withVertices({
+        id: '',
+        annotation: '',
+        labels: [],
+        confidence: undefined,
+        comment: undefined,
+        type: 'polygon',
+        vertices: undefined,
+        startTime: 0,
+        endTime: 0,
+        startFrequency: 0,
+        endFrequency: 0,
+        active: false,
+      }, vertices));
+      this.cancelPolygon();
+    }
+  }
+
+  cancelPolygon = () => {
+    this.setState({polygonVertices: [], polygonCursor: undefined}, this.renderCanvas);
+  }
+
+  /**
+   * Move a point of a contour to the brightest pixel of the displayed spectrogram around it
+   */
+  snapVertex = (vertex: Vertex): Vertex => {
+    if (!this.state.snapToMaximum || !this.state.isSnapAvailable) {
+      return vertex;
+    }
+
+    const context: CanvasRenderingContext2D = this.spectroCanvas.getContext('2d');
+    const x: number = Math.floor(vertex.time * this.state.timePxRatio);
+    const top: number = Math.max(0, Math.round(this.getYFromFrequency(vertex.frequency)) - SNAP_RANGE);
+    const bottom: number = Math.min(CANVAS_HEIGHT, Math.round(this.getYFromFrequency(vertex.frequency)) + SNAP_RANGE + 1);
+
+    try {
+      const column: ImageData = context.getImageData(x, top, 1, bottom - top);
+      const y: number = top + findMaximumRow(column.data);
+      return {
+        time: vertex.time,
+        frequency: this.state.visibleStartFrequency + (CANVAS_HEIGHT - y) / this.state.freqPxRatio,
+      };
+    } catch (err) {
+      // Images from another origin cannot be read (tainted canvas): no snapping
+      this.setState({isSnapAvailable: false});
+      return vertex;
+    }
+  }
+
+  addContourVertex = (clientX: number, clientY: number) => {
+    const vertices: Array<Vertex> = this.state.contourVertices;
+    const vertex: Vertex = this.getVertexFromClient(clientX, clientY);
+    const last: Vertex = vertices[vertices.length - 1];
+
+    // Distance is measured from the traced point, before snapping
+    if (Math.abs(vertex.time - last.time) * this.state.timePxRatio >= CONTOUR_STEP) {
+      this.setState({contourVertices: vertices.concat(this.snapVertex(vertex))}, this.renderCanvas);
+    }
+  }
+
+  endContour = (isCancelled: boolean) => {
+    const vertices: Array<Vertex> = cleanContour(this.state.contourVertices);
+
+    if (!isCancelled && vertices.length >= 2) {
+      this.props.onAnnotationCreated(withVertices({
+        id: '',
+        annotation: '',
+        labels: [],
+        confidence: undefined,
+        comment: undefined,
+        type: 'contour',
+        vertices: undefined,
+        startTime: 0,
+        endTime: 0,
+        startFrequency: 0,
+        endFrequency: 0,
+        active: false,
+      }, vertices));
+    }
+    this.setState({contourVertices: []}, this.renderCanvas);
+  }
+
   onUpdateNewAnnotation = (e: PointerEvent) => {
+    const loopStartTime: ?number = this.loopStartTime;
+    if (typeof loopStartTime === 'number') {
+      this.setState({
+        loopDraft: getLoopRange(loopStartTime, this.getTimeFromClientX(e.clientX), this.props.duration),
+      }, this.renderTimeAxis);
+      return;
+    }
+
+    const selectionBox = this.state.selectionBox;
+    if (selectionBox) {
+      this.setState({
+        selectionBox: { start: selectionBox.start, end: this.getVertexFromClient(e.clientX, e.clientY) },
+      }, this.renderCanvas);
+      return;
+    }
+
+    if (this.state.polygonVertices.length > 0 && e.target === this.canvasRef.current) {
+      this.setState({polygonCursor: this.getVertexFromClient(e.clientX, e.clientY)}, this.renderCanvas);
+      return;
+    }
+
+    if (this.isDrawing && this.state.contourVertices.length > 0) {
+      this.addContourVertex(e.clientX, e.clientY);
+      return;
+    }
+
+    if (this.touches.has(e.pointerId)) {
+      this.touches.set(e.pointerId, e.clientX);
+      if (this.touches.size === 2 && this.pinchStartDistance > 0) {
+        this.setZoom(this.pinchStartZoom * this.getPinchDistance() / this.pinchStartDistance, this.getPinchCenter());
+        return;
+      }
+    }
+
     if (this.isDrawing && ++this.drawPxMove > 2) {
+      if (this.drawPxMove === 3) {
+        // Pointer moved enough: this is a new annotation, not a click
+        this.props.onAnnotationStarted();
+      }
       const newAnnotation: Annotation = this.computeNewAnnotation(e);
       this.setState({newAnnotation}, this.renderCanvas);
     }
   }
 
   onEndNewAnnotation = (e: PointerEvent) => {
-    if (this.isDrawing && this.drawPxMove > 2) {
-      this.props.onAnnotationCreated(this.computeNewAnnotation(e));
+    if (this.touches.delete(e.pointerId) && this.touches.size > 0) {
+      // End of a pinch: no annotation until all fingers are lifted
+      this.pinchStartDistance = 0;
+      return;
+    }
+
+    if (typeof this.loopStartTime === 'number') {
+      // Simple clicks on the time axis keep the current loop
+      const loopDraft: ?TimeRange = this.state.loopDraft;
+      if (loopDraft && e.type === 'pointerup') {
+        this.props.onABLoopChanged(loopDraft);
+      }
+      this.loopStartTime = undefined;
+      this.setState({loopDraft: undefined}, this.renderTimeAxis);
+      return;
+    }
+
+    const selectionBox = this.state.selectionBox;
+    if (selectionBox) {
+      const { start, end } = selectionBox;
+      const area = {
+        startTime: Math.min(start.time, end.time),
+        endTime: Math.max(start.time, end.time),
+        startFrequency: Math.min(start.frequency, end.frequency),
+        endFrequency: Math.max(start.frequency, end.frequency),
+      };
+      if (e.type === 'pointerup') {
+        this.props.onAnnotationsSelected(this.props.annotations.filter(ann => overlapsArea(ann, area)));
+      }
+      this.setState({selectionBox: undefined}, this.renderCanvas);
+    } else if (this.isDrawing && this.state.contourVertices.length > 0) {
+      this.endContour(e.type !== 'pointerup');
+    } else if (this.isDrawing && this.drawPxMove > 2) {
+      // Cancelled pointers (e.g. touch taken over by the browser) do not create annotations
+      if (e.type === 'pointerup') {
+        this.props.onAnnotationCreated(this.computeNewAnnotation(e));
+      }
 
       this.setState({newAnnotation: undefined}, this.renderCanvas);
+    } else if (this.isDrawing && this.state.tool === 'time' && e.type === 'pointerup') {
+      // Simple click with the time tool: point event
+      this.props.onAnnotationStarted();
+      this.props.onAnnotationCreated(this.buildTimeAnnotation(this.drawStartTime, this.drawStartTime));
+      this.setState({newAnnotation: undefined});
     }
 
     this.isDrawing = false;
@@ -464,6 +1135,14 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     const startTime: number = Math.ceil(this.getTimeFromClientX(bounds.left));
     const endTime: number = Math.floor(this.getTimeFromClientX(bounds.right));
 
+    // A–B loop
+    const loop: ?TimeRange = this.state.loopDraft || this.props.abLoop;
+    if (loop) {
+      const x: number = (loop.startTime - startTime) * this.state.timePxRatio;
+      context.fillStyle = 'rgba(0, 123, 255, 0.3)';
+      context.fillRect(x, 0, (loop.endTime - loop.startTime) * this.state.timePxRatio, timeAxis.height);
+    }
+
     context.fillStyle = 'rgba(0, 0, 0)';
     context.font = '10px Arial';
 
@@ -500,16 +1179,21 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     let step: number = 500; // step of scale (in hz)
     let bigStep: number = 2000;
 
-    if (this.props.frequencyRange <= 200) {
+    // Ticks are computed for the visible frequency band
+    const visibleRange: number = this.getVisibleFrequencyRange();
+    if (visibleRange <= 50) {
+      step = 1;
+      bigStep = 5;
+    } else if (visibleRange > 50 && visibleRange <= 200) {
       step = 5;
       bigStep = 20;
-    } else if (this.props.frequencyRange > 200 && this.props.frequencyRange <= 500) {
+    } else if (visibleRange > 200 && visibleRange <= 500) {
       step = 10;
       bigStep = 100;
-    } else if (this.props.frequencyRange > 500 && this.props.frequencyRange <= 2000) {
+    } else if (visibleRange > 500 && visibleRange <= 2000) {
       step = 20;
       bigStep = 100;
-    } else if (this.props.frequencyRange > 2000 && this.props.frequencyRange <= 20000) {
+    } else if (visibleRange > 2000 && visibleRange <= 20000) {
       step = 500;
       bigStep = 2000;
     } else {
@@ -518,16 +1202,16 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     }
 
     const bounds: ClientRect = freqAxis.getBoundingClientRect();
-    const startFreq: number = Math.ceil(this.props.startFrequency);
-    const endFreq: number = Math.floor(this.props.startFrequency + this.props.frequencyRange);
+    const startFreq: number = Math.ceil(this.state.visibleStartFrequency / step) * step;
+    const endFreq: number = Math.floor(this.state.visibleStartFrequency + visibleRange);
 
     context.fillStyle = 'rgba(0, 0, 0)';
     context.font = '10px Arial';
 
     let i: number = 0;
-    for (i = startFreq ; i <= endFreq ; i += 5) {
+    for (i = startFreq ; i <= endFreq ; i += step) {
       if (i % step === 0) {
-        const y: number = CANVAS_HEIGHT - (i - startFreq) * this.state.freqPxRatio - 2;
+        const y: number = this.getYFromFrequency(i) - 2;
 
         if (i % bigStep === 0) {
           // Bar
@@ -548,23 +1232,93 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     }
   }
 
+  /**
+   * Loaded images to draw for the current zoom factor, in drawing order.
+   * The best level is the lowest one at least as detailed as the zoom factor;
+   * while its images are loading, parts they cover are drawn from lower levels.
+   */
+  getImagesToDraw(): Array<Spectrogram> {
+    const levels: Array<SpectroDetails> = this.getSpectrosForCurrentDetails()
+      .sort((a, b) => a.zoom - b.zoom);
+    const bestIdx: number = levels.findIndex(details => details.zoom >= this.state.currentZoom - 0.001);
+    const usedLevels: Array<SpectroDetails> = bestIdx >= 0 ? levels.slice(0, bestIdx + 1) : levels;
+
+    const best: ?SpectroDetails = usedLevels[usedLevels.length - 1];
+    if (!best) {
+      return [];
+    }
+    const bestImages: Array<Spectrogram> = best.images.filter(spectro => this.isImageLoaded(spectro.image));
+
+    // Lower level images are skipped when the best level fully covers them
+    const isCovered = (spectro: Spectrogram) => best.images
+      .filter(img => img.end > spectro.start && img.start < spectro.end)
+      .every(img => this.isImageLoaded(img.image));
+
+    return usedLevels.slice(0, -1)
+      .flatMap(details => details.images)
+      .filter(spectro => this.isImageLoaded(spectro.image) && !isCovered(spectro))
+      .concat(bestImages);
+  }
+
+  getSpectroCanvas(width: number, height: number): HTMLCanvasElement {
+    const spectroCanvas: HTMLCanvasElement = this.spectroCanvas;
+    const images: Array<Spectrogram> = this.getImagesToDraw();
+    const previousImages: ?Array<Spectrogram> = this.spectroImages;
+    const isUpToDate: boolean = !!previousImages &&
+      spectroCanvas.width === width &&
+      spectroCanvas.height === height &&
+      this.spectroTimePxRatio === this.state.timePxRatio &&
+      this.spectroFreqPxRatio === this.state.freqPxRatio &&
+      this.spectroVisibleStartFrequency === this.state.visibleStartFrequency &&
+      previousImages.length === images.length &&
+      previousImages.every((spectro, idx) => spectro === images[idx]);
+
+    if (!isUpToDate) {
+      if (spectroCanvas.width !== width || spectroCanvas.height !== height) {
+        spectroCanvas.width = width;
+        spectroCanvas.height = height;
+      }
+      this.renderSpectroCanvas(spectroCanvas, images);
+
+      this.spectroImages = images;
+      this.spectroTimePxRatio = this.state.timePxRatio;
+      this.spectroFreqPxRatio = this.state.freqPxRatio;
+      this.spectroVisibleStartFrequency = this.state.visibleStartFrequency;
+    }
+
+    return spectroCanvas;
+  }
+
+  renderSpectroCanvas(spectroCanvas: HTMLCanvasElement, images: Array<Spectrogram>) {
+    const spectroContext: CanvasRenderingContext2D = spectroCanvas.getContext('2d');
+    spectroContext.clearRect(0, 0, spectroCanvas.width, spectroCanvas.height);
+    images.forEach(spectro => {
+      const image = spectro.image;
+      if (image) {
+        const x = spectro.start * this.state.timePxRatio;
+        const width = Math.ceil((spectro.end - spectro.start) * this.state.timePxRatio);
+        // Image covers the whole task frequency range, only the visible band is on the canvas
+        const y = this.getYFromFrequency(this.props.startFrequency + this.props.frequencyRange);
+        const height = this.props.frequencyRange * this.state.freqPxRatio;
+        spectroContext.drawImage(image, x, y, width, height);
+      }
+    });
+  }
+
   renderCanvas = () => {
     const canvas: HTMLCanvasElement = this.canvasRef.current;
     const context: CanvasRenderingContext2D = canvas.getContext('2d', { alpha: false });
     context.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Draw spectro images
-    const spectrograms = this.getSpectrosForCurrentDetails().find(details => details.zoom === this.state.currentZoom);
+    // Spectro images are drawn offscreen, so that they can be read without the overlays
+    context.drawImage(this.getSpectroCanvas(canvas.width, canvas.height), 0, 0);
 
-    if (spectrograms) {
-      spectrograms.images.forEach(spectro => {
-        if (spectro.image && spectro.image.complete) {
-          const image = spectro.image;
-          const x = spectro.start * this.state.timePxRatio;
-          const width = Math.floor((spectro.end - spectro.start) * this.state.timePxRatio);
-          context.drawImage(image, x, 0, width, canvas.height);
-        }
-      });
+    // A–B loop bounds
+    const abLoop: ?TimeRange = this.props.abLoop;
+    if (abLoop) {
+      context.fillStyle = 'rgba(0, 123, 255)';
+      context.fillRect(Math.floor(abLoop.startTime * this.state.timePxRatio), 0, 1, canvas.height);
+      context.fillRect(Math.floor(abLoop.endTime * this.state.timePxRatio), 0, 1, canvas.height);
     }
 
     // Progress bar
@@ -576,23 +1330,56 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
     if (this.state.newAnnotation) {
       const ann: Annotation = this.state.newAnnotation;
       const x: number = Math.floor(ann.startTime * this.state.timePxRatio);
-      const freqOffset: number = (ann.startFrequency - this.props.startFrequency) * this.state.freqPxRatio;
-      const y: number = Math.floor(canvas.height - freqOffset);
+      const y: number = Math.floor(this.getYFromFrequency(ann.startFrequency));
       const width: number = Math.floor((ann.endTime - ann.startTime) * this.state.timePxRatio);
       const height: number = - Math.floor((ann.endFrequency - ann.startFrequency) * this.state.freqPxRatio);
       context.strokeStyle = 'blue';
       context.strokeRect(x, y, width, height);
     }
+
+    // Render rubber band selection
+    if (this.state.selectionBox) {
+      const { start, end } = this.state.selectionBox;
+      const x: number = start.time * this.state.timePxRatio;
+      const y: number = this.getYFromFrequency(start.frequency);
+      context.strokeStyle = 'black';
+      context.setLineDash([4, 4]);
+      context.strokeRect(x, y, end.time * this.state.timePxRatio - x, this.getYFromFrequency(end.frequency) - y);
+      context.setLineDash([]);
+    }
+
+    // Render polygon or contour being drawn
+    if (this.state.polygonVertices.length > 0 || this.state.contourVertices.length > 0) {
+      const points: Array<Vertex> = this.state.contourVertices
+        .concat(this.state.polygonVertices, this.state.polygonCursor || []);
+      context.strokeStyle = 'blue';
+      context.fillStyle = 'blue';
+      context.beginPath();
+      points.forEach((vertex, idx) => {
+        const x: number = vertex.time * this.state.timePxRatio;
+        const y: number = this.getYFromFrequency(vertex.frequency);
+        if (idx === 0) {
+          context.moveTo(x, y);
+        } else {
+          context.lineTo(x, y);
+        }
+      });
+      context.stroke();
+      this.state.polygonVertices.forEach(vertex => {
+        context.fillRect(vertex.time * this.state.timePxRatio - 2, this.getYFromFrequency(vertex.frequency) - 2, 5, 5);
+      });
+    }
   }
 
   render() {
     const style = {
       workbench: {
-        height: `${CONTROLS_AREA_SIZE + CANVAS_HEIGHT + TIME_AXIS_SIZE + SCROLLBAR_RESERVED}px`,
-        width: `${FREQ_AXIS_SIZE + CANVAS_WIDTH}px`,
+        height: `${CONTROLS_AREA_SIZE + CANVAS_HEIGHT + WAVEFORM_HEIGHT + TIME_AXIS_SIZE + SCROLLBAR_RESERVED}px`,
+        width: `${FREQ_AXIS_SIZE + CANVAS_WIDTH + SCROLLBAR_RESERVED}px`,
       },
       wrapper: {
         top: `${CONTROLS_AREA_SIZE}px`,
+        right: `${SCROLLBAR_RESERVED}px`,
         height: `${this.state.wrapperHeight}px`,
         width: `${this.state.wrapperWidth}px`,
       },
@@ -601,13 +1388,25 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
         left: 0,
       },
       timeAxis: {
-        top: `${CANVAS_HEIGHT}px`,
+        top: `${CANVAS_HEIGHT + WAVEFORM_HEIGHT}px`,
         left: 0,
       },
       freqAxis: {
         top: `${CONTROLS_AREA_SIZE}px`,
         left: 0,
       },
+      freqScroller: {
+        top: `${CONTROLS_AREA_SIZE}px`,
+        height: `${CANVAS_HEIGHT}px`,
+        width: `${SCROLLBAR_RESERVED}px`,
+      },
+      freqScrollerContent: {
+        height: `${CANVAS_HEIGHT * this.state.freqZoom}px`,
+      },
+      regions: {
+        height: `${CANVAS_HEIGHT}px`,
+        width: `${Math.floor(this.state.wrapperWidth * this.state.currentZoom)}px`,
+      },
     };
 
     return (
@@ -616,18 +1415,24 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
         style={style.workbench}
       >
         <p className="workbench-controls">
-          <select defaultValue={this.state.currentParams} onChange={this.changeCurrentParams}>
-            {this.props.spectroUrlsParams.map((params, idx) => {
-              return (
-                <option key={`params-${idx}`} value={idx}>
-                  {`nfft: ${params.nfft} / winsize: ${params.winsize} / overlap: ${params.overlap}`}
-                </option>
-              );
-            })}
-          </select>
+          {this.renderTools()}
+          {this.isComputedSpectro() ? this.renderComputedParamsSelects() : this.renderParamsSelect()}
+          <span className="zoom-label">Time</span>
           <button className="btn-simple fa fa-search-plus" onClick={() => this.zoom(1)}></button>
           <button className="btn-simple fa fa-search-minus" onClick={() => this.zoom(-1)}></button>
-          <span>{this.state.currentZoom}x</span>
+          <span>{`${Math.round(this.state.currentZoom * 10) / 10}x`}</span>
+          <span className="zoom-label">Frequency</span>
+          <button
+            className="btn-simple fa fa-search-plus"
+            onClick={() => this.zoomFrequency(1)}
+            title="Zoom in frequency (Alt + mouse wheel)"
+          ></button>
+          <button
+            className="btn-simple fa fa-search-minus"
+            onClick={() => this.zoomFrequency(-1)}
+            title="Zoom out frequency (Alt + mouse wheel)"
+          ></button>
+          <span>{this.state.freqZoom}x</span>
         </p>
 
         <canvas
@@ -641,6 +1446,8 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
           className="canvas-wrapper"
           ref={this.wrapperRef}
           style={style.wrapper}
+          onPointerMove={this.onWrapperPointerMove}
+          onPointerLeave={this.onWrapperPointerLeave}
         >
           <canvas
             className="canvas"
@@ -649,28 +1456,177 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
             width={CANVAS_WIDTH}
             style={style.canvas}
             onClick={this.seekTo}
+            onDoubleClick={this.closePolygon}
             onPointerDown={this.onStartNewAnnotation}
-            onWheel={this.onWheelZoom}
           ></canvas>
 
+          <Waveform
+            audioData={this.state.audioData}
+            error={this.state.audioDataError}
+            tagColors={this.props.tagColors}
+            annotations={this.props.annotations}
+            currentTime={this.props.currentTime}
+            duration={this.props.duration}
+            timePxRatio={this.state.timePxRatio}
+            width={Math.floor(this.state.wrapperWidth * this.state.currentZoom)}
+            height={WAVEFORM_HEIGHT}
+            top={CANVAS_HEIGHT}
+            onSeek={this.props.onSeek}
+          ></Waveform>
+
           <canvas
             className="time-axis"
             ref={this.timeAxisRef}
             height={TIME_AXIS_SIZE}
             width={CANVAS_WIDTH}
             style={style.timeAxis}
+            onPointerDown={this.onTimeAxisPointerDown}
           ></canvas>
 
-          {this.props.annotations.map(annotation => this.renderRegion(annotation))}
+          <div className="regions" style={style.regions}>
+            {this.props.feedback ?
+              this.renderFeedback(this.props.feedback) :
+              this.props.annotations.map(annotation => this.renderRegion(annotation))
+            }
+          </div>
+        </div>
+
+        <div
+          className="freq-scroller"
+          ref={this.freqScrollerRef}
+          style={style.freqScroller}
+          onScroll={this.onFreqScroll}
+          title="Scroll frequencies (Shift + mouse wheel)"
+        >
+          <div style={style.freqScrollerContent}></div>
         </div>
       </div>
     );
   }
 
+  renderParamsSelect = () => {
+    return (
+      <select defaultValue={this.state.currentParams} onChange={this.changeCurrentParams}>
+        {this.props.spectroUrlsParams.map((params, idx) => {
+          return (
+            <option key={`params-${idx}`} value={idx}>
+              {`nfft: ${params.nfft} / winsize: ${params.winsize} / overlap: ${params.overlap}`}
+            </option>
+          );
+        })}
+      </select>
+    );
+  }
+
+  renderComputedParamsSelects = () => {
+    const params: SpectroParams = this.state.currentParams;
+    const isBusy: boolean = this.state.isComputingSpectro || !this.state.audioData;
+    const selects = [
+      { param: 'nfft', label: 'nfft', values: NFFT_VALUES, suffix: '' },
+      { param: 'winsize', label: 'winsize', values: WINSIZE_VALUES.filter(v => v <= params.nfft), suffix: '' },
+      { param: 'overlap', label: 'overlap', values: OVERLAP_VALUES, suffix: '%' },
+    ];
+
+    return (
+      <span className="computed-params">
+        {selects.map(select => (
+          <label key={`computed-${select.param}`}>
+            {select.label}:&nbsp;
+            <select
+              value={params[select.param]}
+              disabled={isBusy}
+              onChange={(e) => this.changeComputedParam(select.param, e)}
+            >
+              {select.values.map(value => (
+                <option key={`${select.param}-${value}`} value={value}>{`${value}${select.suffix}`}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        {isBusy && !this.state.audioDataError &&
+          <span className="fa fa-spinner fa-spin" title="Computing spectrogram..."></span>
+        }
+      </span>
+    );
+  }
+
+  renderTools = () => {
+    if (!this.props.canDraw) {
+      return null;
+    }
+
+    const tools = [
+      { tool: 'box', icon: 'fa-square-o', title: 'Boxes: drag on the spectrogram' },
+      { tool: 'time', icon: 'fa-arrows-h', title: 'Time only: click for a point, drag for an interval' },
+      { tool: 'polygon', icon: 'fa-star-o', title: 'Polygons: click to add vertices, double-click to close (Escape to cancel)' },
+      { tool: 'contour', icon: 'fa-pencil', title: 'Contours: drag along a whistle to trace its frequency' },
+    ];
+    return (
+      <span className="drawing-tools btn-group">
+        {tools.map(({ tool, icon, title }) => (
+          <button
+            key={`tool-${tool}`}
+            className={`btn btn-sm ${(this.state.tool === tool) ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => this.changeTool(tool)}
+            title={title}
+            type="button"
+          ><span className={`fa ${icon}`}></span></button>
+        ))}
+        {this.state.tool === 'contour' && this.state.isSnapAvailable &&
+          <label className="snap-to-maximum" title="Move contour points to the brightest pixel around the pointer">
+            <input
+              type="checkbox"
+              checked={this.state.snapToMaximum}
+              onChange={() => this.setState({snapToMaximum: !this.state.snapToMaximum})}
+            />
+            Snap to maximum
+          </label>
+        }
+        {this.state.tool === 'contour' && !this.state.isSnapAvailable &&
+          <span
+            className="snap-to-maximum text-muted"
+            title="The spectrogram server does not allow reading images from this site (CORS headers)"
+          >Snap to maximum unavailable</span>
+        }
+      </span>
+    );
+  }
+
+  renderFeedback = (feedback: ReferenceFeedback) => {
+    const boxes = [
+      { kind: 'hit', label: 'found', annotations: feedback.hits.map(hit => hit.annotation) },
+      { kind: 'miss', label: 'missed', annotations: feedback.misses },
+      { kind: 'false-alarm', label: 'false alarm', annotations: feedback.falseAlarms },
+    ];
+
+    return boxes.flatMap(({ kind, label, annotations }) => annotations.map((ann: RawAnnotation, idx: number) => {
+      const style = {
+        left: Math.floor(ann.startTime * this.state.timePxRatio),
+        top: Math.floor(this.getYFromFrequency(ann.endFrequency)),
+        width: Math.max(2, Math.floor((ann.endTime - ann.startTime) * this.state.timePxRatio)),
+        height: Math.max(2, Math.floor((ann.endFrequency - ann.startFrequency) * this.state.freqPxRatio)),
+      };
+      const labels: Array<string> = getLabels(ann);
+      return (
+        <div
+          key={`feedback-${kind}-${idx}`}
+          className={`feedback-box feedback-box-${kind}`}
+          style={style}
+          title={`${labels.join(', ')} (${label})`}
+        ><span>{labels.map(getTagName).join(', ')}</span></div>
+      );
+    }));
+  }
+
   renderRegion = (ann: Annotation) => {
-    // Top offset
-    const freqOffset: number = (ann.endFrequency - this.props.startFrequency) * this.state.freqPxRatio;
-    const offsetTop: number = CANVAS_HEIGHT - freqOffset;
+    // Regions out of the visible frequency band are not displayed
+    const visibleEndFrequency: number = this.state.visibleStartFrequency + this.getVisibleFrequencyRange();
+    if (ann.endFrequency < this.state.visibleStartFrequency || ann.startFrequency > visibleEndFrequency) {
+      return null;
+    }
+
+    // Top offset, time-only annotations span the visible band
+    const offsetTop: number = isTimeOnly(ann) ? 0 : this.getYFromFrequency(ann.endFrequency);
 
     // Left offset
     const offsetLeft: number = ann.startTime * this.state.timePxRatio;
@@ -680,11 +1636,17 @@ class Workbench extends Component<WorkbenchProps, WorkbenchState> {
         key={ann.id}
         annotation={ann}
         color={utils.getTagColor(this.props.tagColors, ann.annotation)}
+        confidence={getConfidenceRatio(this.props.confidenceLevels, ann.confidence)}
         timePxRatio={this.state.timePxRatio}
         freqPxRatio={this.state.freqPxRatio}
         offsetTop={offsetTop}
         offsetLeft={offsetLeft}
+        bandHeight={isTimeOnly(ann) ? CANVAS_HEIGHT : undefined}
+        duration={this.props.duration}
+        startFrequency={this.props.startFrequency}
+        frequencyRange={this.props.frequencyRange}
         onRegionDeleted={this.props.onAnnotationDeleted}
+        onRegionMoveStarted={this.props.onAnnotationMoveStarted}
         onRegionMoved={this.props.onAnnotationUpdated}
         onRegionPlayed={this.props.onAnnotationPlayed}
         onRegionClicked={this.props.onAnnotationSelected}
@@ -0,0 +1,166 @@
+// @flow
+import type { AnnotationType, RawAnnotation, Vertex } from './AudioAnnotator';
+import * as utils from '../utils';
+
+// Annotation helpers shared by the annotator modules
+
+// Selection read from the annotation file of another software
+export type ImportedSelection = {
+  startTime: number,
+  endTime: number,
+  // Undefined when the file has no frequencies: the selection is a time interval
+  startFrequency: ?number,
+  endFrequency: ?number,
+  labels: Array<string>, // tag names as written in the file
+};
+
+/**
+ * Labels of an annotation, for annotations saved before multi-label support (tag in `annotation` only)
+ */
+export function getLabels(ann: { +annotation: string, +labels?: ?Array<string> }): Array<string> {
+  if (ann.labels) {
+    return ann.labels;
+  }
+  return (ann.annotation !== '') ? [ann.annotation] : [];
+}
+
+/**
+ * Copy of an annotation with new labels, the first one being its main tag
+ */
+export function withLabels<T: RawAnnotation>(ann: T, labels: Array<string>): T {
+  return Object.assign({}, ann, {
+    annotation: (labels.length > 0) ? labels[0] : '',
+    labels,
+  });
+}
+
+/**
+ * Copy of an annotation with the fields sent to the server only
+ */
+export function toRawAnnotation(ann: RawAnnotation): RawAnnotation {
+  const labels: Array<string> = getLabels(ann);
+
+  return {
+    id: ann.id,
+    annotation: (labels.length > 0) ? labels[0] : '',
+    labels,
+    confidence: ann.confidence,
+    comment: ann.comment,
+    type: ann.type || 'box',
+    vertices: ann.vertices,
+    startTime: ann.startTime,
+    endTime: ann.endTime,
+    startFrequency: ann.startFrequency,
+    endFrequency: ann.endFrequency,
+  };
+}
+
+/**
+ * Highest numeric id of annotations, 0 without annotations
+ */
+export function getMaxAnnotationId(annotations: $ReadOnlyArray<{ +id: string }>): number {
+  return annotations
+    .map(ann => parseInt(ann.id, 10))
+    .filter(id => !isNaN(id))
+    .reduce((max, id) => Math.max(max, id), 0);
+}
+
+/**
+ * Position of a confidence level in the scale of the campaign
+ * @param {Array<string>} levels confidence scale, from the lowest level to the highest one
+ * @param {?string} confidence level of the annotation
+ * @return {?number} between 0 (excluded, lowest level) and 1 (highest level), undefined without level
+ */
+export function getConfidenceRatio(levels: Array<string>, confidence: ?string): ?number {
+  const idx: number = confidence ? levels.indexOf(confidence) : -1;
+  return (idx >= 0) ? (idx + 1) / levels.length : undefined;
+}
+
+/**
+ * Point and interval annotations only have a time extent, their frequencies are the whole task range
+ */
+export function isTimeOnly(ann: { +type: AnnotationType }): boolean {
+  return ann.type === 'point' || ann.type === 'interval';
+}
+
+/**
+ * Time extent of an annotation, as shown to users
+ */
+export function formatAnnotationTime(ann: RawAnnotation): string {
+  if (ann.type === 'point') {
+    return utils.formatTimestamp(ann.startTime);
+  }
+  return `${utils.formatTimestamp(ann.startTime)}\u00a0>\u00a0${utils.formatTimestamp(ann.endTime)}`;
+}
+
+/**
+ * Frequency range of an annotation, as shown to users
+ */
+export function formatAnnotationFrequency(ann: RawAnnotation): string {
+  if (isTimeOnly(ann)) {
+    return 'All frequencies';
+  }
+  return `${ann.startFrequency.toFixed(2)}\u00a0>\u00a0${ann.endFrequency.toFixed(2)} Hz`;
+}
+
+/**
+ * Whether an annotation intersects a time / frequency area (time-only annotations intersect any frequency range)
+ */
+export function overlapsArea(
+  ann: RawAnnotation,
+  area: { +startTime: number, +endTime: number, +startFrequency: number, +endFrequency: number }
+): boolean {
+  const overlapsTime: boolean = ann.startTime <= area.endTime && ann.endTime >= area.startTime;
+  const overlapsFrequency: boolean = isTimeOnly(ann) ||
+    (ann.startFrequency <= area.endFrequency && ann.endFrequency >= area.startFrequency);
+  return overlapsTime && overlapsFrequency;
+}
+
+/**
+ * Copy of an annotation moved along time, with its vertices
+ * @param {RawAnnotation} ann annotation to move
+ * @param {number} delta time shift (in seconds), negative to move backward
+ */
+export function shiftAnnotation<T: RawAnnotation>(ann: T, delta: number): T {
+  const vertices: ?Array<Vertex> = ann.vertices;
+
+  return Object.assign({}, ann, {
+    startTime: ann.startTime + delta,
+    endTime: ann.endTime + delta,
+    vertices: vertices ? vertices.map(vertex => ({ time: vertex.time + delta, frequency: vertex.frequency })) : vertices,
+  });
+}
+
+/**
+ * Copy of an annotation with new vertices, its bounds being their bounding box
+ */
+export function withVertices<T: RawAnnotation>(ann: T, vertices: Array<Vertex>): T {
+  const times: Array<number> = vertices.map(vertex => vertex.time);
+  const frequencies: Array<number> = vertices.map(vertex => vertex.frequency);
+
+  return Object.assign({}, ann, {
+    vertices,
+    startTime: Math.min(...times),
+    endTime: Math.max(...times),
+    startFrequency: Math.min(...frequencies),
+    endFrequency: Math.max(...frequencies),
+  });
+}
+
+/**
+ * Copy of an annotation within the frequency range of a task, time-only annotations covering the whole range
+ */
+export function clampFrequencies<T: RawAnnotation>(ann: T, startFrequency: number, endFrequency: number): T {
+  const clamp = (frequency: number): number => Math.min(Math.max(frequency, startFrequency), endFrequency);
+  const vertices: ?Array<Vertex> = ann.vertices;
+
+  if (isTimeOnly(ann)) {
+    return Object.assign({}, ann, { startFrequency, endFrequency });
+  } else if (vertices) {
+    return withVertices(ann, vertices.map(vertex => ({ time: vertex.time, frequency: clamp(vertex.frequency) })));
+  }
+  return Object.assign({}, ann, {
+    startFrequency: clamp(ann.startFrequency),
+    endFrequency: clamp(ann.endFrequency),
+  });
+}
@@ -0,0 +1,86 @@
+// @flow
+import type { RawAnnotation } from './AudioAnnotator';
+import type { ImportedSelection } from './annotations';
+import { getLabels, isTimeOnly } from './annotations';
+import { LABEL_SEPARATOR } from './raven';
+import * as utils from '../utils';
+
+// Audacity label tracks: one label per line ('start<tab>end<tab>text', in seconds),
+// optionally followed by a frequency line ('\<tab>low<tab>high', in Hz) for spectral selections
+
+const FREQUENCY_LINE_START: string = '\\';
+
+export function getAudacityFilename(audioUrl: string): string {
+  return `${utils.getFileBasename(audioUrl)}.labels.txt`;
+}
+
+/**
+ * Label track of annotations, with frequency lines except for time-only annotations
+ * (whole recording annotations are left out, as in Raven tables)
+ * @param {Array<RawAnnotation>} annotations annotations of the task
+ * @return {string} file content
+ */
+export function toAudacityLabels(annotations: $ReadOnlyArray<RawAnnotation>): string {
+  return annotations
+    .filter(ann => ann.type !== 'weak')
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(ann => {
+      const line: string = [ann.startTime.toFixed(6), ann.endTime.toFixed(6), getLabels(ann).join(LABEL_SEPARATOR)].join('\t');
+      if (isTimeOnly(ann)) {
+        return line;
+      }
+      return `${line}\n${[FREQUENCY_LINE_START, ann.startFrequency.toFixed(6), ann.endFrequency.toFixed(6)].join('\t')}`;
+    })
+    .map(line => line + '\n')
+    .join('');
+}
+
+/**
+ * Read the labels of an Audacity label track
+ * @param {string} content file content
+ * @return {Array<ImportedSelection>} labels, without the lines which cannot be read
+ * @throws {Error} if no line of the file is a label
+ */
+export function parseAudacityLabels(content: string): Array<ImportedSelection> {
+  const selections: Array<ImportedSelection> = [];
+  let previous: ?ImportedSelection = undefined;
+
+  content.split(/\r?\n/).filter(line => line.trim() !== '').forEach(line => {
+    const cells: Array<string> = line.split('\t');
+
+    if (cells[0].trim() === FREQUENCY_LINE_START) {
+      const low: number = parseFloat(cells[1]);
+      const high: number = parseFloat(cells[2]);
+      // Audacity writes negative frequencies for labels without spectral selection
+      if (previous && low >= 0 && high >= 0) {
+        previous.startFrequency = Math.min(low, high);
+        previous.endFrequency = Math.max(low, high);
+      }
+      previous = undefined;
+      return;
+    }
+
+    const startTime: number = parseFloat(cells[0]);
+    const endTime: number = parseFloat(cells[1]);
+    if (isNaN(startTime) || isNaN(endTime) || endTime < startTime) {
+      previous = undefined;
+      return;
+    }
+
+    // Texts may contain tabs
+    const text: string = cells.slice(2).join('\t');
+    previous = {
+      startTime,
+      endTime,
+      startFrequency: undefined,
+      endFrequency: undefined,
+      labels: text.split(LABEL_SEPARATOR.trim()).map(tag => tag.trim()).filter(tag => tag !== ''),
+    };
+    selections.push(previous);
+  });
+
+  if (selections.length === 0 && content.trim() !== '') {
+    throw new Error('Not an Audacity label track: lines must start with begin and end times');
+  }
+  return selections;
+}
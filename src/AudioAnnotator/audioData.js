@@ -0,0 +1,84 @@
+// @flow
+import request from 'superagent';
+
+// Decoded audio, mixed down to one channel
+export type AudioData = {
+  samples: Float32Array,
+  sampleRate: number,
+};
+
+// Sample rates accepted by all browsers for offline contexts
+const MIN_SAMPLE_RATE: number = 8000;
+const MAX_SAMPLE_RATE: number = 192000;
+
+function getOfflineContextClass(): any {
+  return window.OfflineAudioContext || window.webkitOfflineAudioContext;
+}
+
+export function isAudioDecodingSupported(): boolean {
+  return !!getOfflineContextClass();
+}
+
+/**
+ * Download and decode an audio file with the Web Audio API.
+ * Audio is resampled to the lowest rate keeping frequencies up to maxFrequency,
+ * to limit memory use on long recordings.
+ * @param {string} url URL of the audio file
+ * @param {number} maxFrequency highest frequency to keep (in Hz)
+ * @return {Promise<AudioData>}
+ */
+export function fetchAudioData(url: string, maxFrequency: number): Promise<AudioData> {
+  const OfflineContextClass = getOfflineContextClass();
+  if (!OfflineContextClass) {
+    return Promise.reject(new Error('Web Audio API is not supported by this browser'));
+  }
+
+  const sampleRate: number = Math.min(Math.max(Math.ceil(2 * maxFrequency), MIN_SAMPLE_RATE), MAX_SAMPLE_RATE);
+
+  return request.get(url)
+    .responseType('arraybuffer')
+    .then(result => {
+      const context = new OfflineContextClass(1, 1, sampleRate);
+
+      // Callback syntax is the only one available on Safari
+      return new Promise((resolve, reject) => {
+        context.decodeAudioData(result.body, resolve, reject);
+      });
+    })
+    .then((buffer: AudioBuffer) => {
+      const samples: Float32Array = new Float32Array(buffer.length);
+
+      for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data: Float32Array = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+          samples[i] += data[i] / buffer.numberOfChannels;
+        }
+      }
+
+      return { samples, sampleRate: buffer.sampleRate };
+    });
+}
+
+// Pitch correction switch of media elements when the playback rate changes, standard name first
+const PRESERVES_PITCH_PROPERTIES: Array<string> = ['preservesPitch', 'mozPreservesPitch', 'webkitPreservesPitch'];
+
+/**
+ * Whether pitch correction can be switched on and off for a media element (prefixed on older browsers)
+ */
+export function isPitchControlSupported(element: Object): boolean {
+  return PRESERVES_PITCH_PROPERTIES.some(prop => element[prop] !== undefined);
+}
+
+/**
+ * Keep the pitch of a media element when its playback rate changes, or shift it like a tape played faster / slower
+ * @param {HTMLMediaElement} element audio element
+ * @param {boolean} preservesPitch true to keep the pitch, false to shift it with the rate
+ * @return {boolean} false when the browser cannot switch pitch correction
+ */
+export function setPreservesPitch(element: Object, preservesPitch: boolean): boolean {
+  const prop: ?string = PRESERVES_PITCH_PROPERTIES.find(name => element[name] !== undefined);
+  if (prop) {
+    element[prop] = preservesPitch;
+  }
+  return !!prop;
+}
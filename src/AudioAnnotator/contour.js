@@ -0,0 +1,46 @@
+// @flow
+import type { Vertex } from './AudioAnnotator';
+
+// Frequency contours (pitch tracks) of tonal sounds, traced on the spectrogram
+
+// Distance (in pixels) between two recorded points of a contour
+export const CONTOUR_STEP: number = 4;
+
+// Half height (in pixels) of the spectrogram column searched when snapping to the spectral maximum
+export const SNAP_RANGE: number = 8;
+
+/**
+ * Brightest row of a one pixel wide RGBA image column,
+ * spectrogram color maps being brighter for higher intensities
+ * @param {Uint8ClampedArray} data RGBA pixels of the column, from top to bottom
+ * @return {number} index of the row, the closest to the center for equal intensities
+ */
+export function findMaximumRow(data: Uint8ClampedArray | Array<number>): number {
+  const nbRows: number = Math.floor(data.length / 4);
+  const center: number = (nbRows - 1) / 2;
+  let bestRow: number = Math.round(center);
+  let bestIntensity: number = -1;
+
+  for (let row = 0; row < nbRows; row++) {
+    // Relative luminance
+    const intensity: number = 0.2126 * data[row * 4] + 0.7152 * data[row * 4 + 1] + 0.0722 * data[row * 4 + 2];
+    const isCloser: boolean = Math.abs(row - center) < Math.abs(bestRow - center);
+    if (intensity > bestIntensity || (intensity === bestIntensity && isCloser)) {
+      bestRow = row;
+      bestIntensity = intensity;
+    }
+  }
+
+  return bestRow;
+}
+
+/**
+ * Contour points in time order, one point per time
+ * (the pointer may go back in time while tracing)
+ */
+export function cleanContour(vertices: Array<Vertex>): Array<Vertex> {
+  return vertices
+    .slice()
+    .sort((a, b) => a.time - b.time)
+    .filter((vertex, idx, sorted) => idx === 0 || vertex.time > sorted[idx - 1].time);
+}
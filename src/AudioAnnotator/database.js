@@ -0,0 +1,81 @@
+// @flow
+
+// Promise-based helpers around the IndexedDB database kept by the annotator
+
+const DB_NAME: string = 'aplose';
+const DB_VERSION: number = 2;
+
+// Object stores, all keyed by their 'key' field
+export const DRAFTS_STORE: string = 'drafts';
+export const SUBMISSIONS_STORE: string = 'submissions';
+export const TASKS_STORE: string = 'tasks';
+const STORES: Array<string> = [DRAFTS_STORE, SUBMISSIONS_STORE, TASKS_STORE];
+
+let dbPromise: ?Promise<IDBDatabase> = undefined;
+
+export function isDatabaseSupported(): boolean {
+  return !!window.indexedDB;
+}
+
+function requestToPromise(req: IDBRequest): Promise<any> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Open the database once, creating missing stores on version change
+ */
+export function openDatabase(): Promise<IDBDatabase> {
+  if (!isDatabaseSupported()) {
+    return Promise.reject(new Error('IndexedDB is not supported by this browser'));
+  }
+
+  if (!dbPromise) {
+    const openRequest: IDBOpenDBRequest = window.indexedDB.open(DB_NAME, DB_VERSION);
+    openRequest.onupgradeneeded = () => {
+      // Flow types the result of all requests as an object store
+      const db: any = openRequest.result;
+      const existingStores: Array<string> = Array.from(db.objectStoreNames);
+      STORES
+        .filter(store => !existingStores.includes(store))
+        .forEach(store => db.createObjectStore(store, { keyPath: 'key' }));
+    };
+
+    dbPromise = requestToPromise(openRequest).then((db: any) => {
+      // Another tab or worker needs a newer version
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = undefined;
+      };
+      return db;
+    });
+    // Allow retrying after a failure (e.g. private browsing)
+    dbPromise.catch(() => { dbPromise = undefined; });
+  }
+  return dbPromise;
+}
+
+function runRequest(store: string, mode: 'readonly' | 'readwrite', operation: (IDBObjectStore) => IDBRequest): Promise<any> {
+  return openDatabase().then((db: IDBDatabase) => {
+    const transaction: IDBTransaction = db.transaction([store], mode);
+    return requestToPromise(operation(transaction.objectStore(store)));
+  });
+}
+
+export function getItem(store: string, key: string): Promise<any> {
+  return runRequest(store, 'readonly', objectStore => objectStore.get(key));
+}
+
+export function getAllItems(store: string): Promise<Array<any>> {
+  return runRequest(store, 'readonly', (objectStore: any) => objectStore.getAll());
+}
+
+export function putItem(store: string, item: { key: string }): Promise<void> {
+  return runRequest(store, 'readwrite', objectStore => objectStore.put(item)).then(() => undefined);
+}
+
+export function deleteItem(store: string, key: string): Promise<void> {
+  return runRequest(store, 'readwrite', objectStore => objectStore.delete(key)).then(() => undefined);
+}
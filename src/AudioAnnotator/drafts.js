@@ -0,0 +1,63 @@
+// @flow
+import type { RawAnnotation } from './AudioAnnotator';
+import { toRawAnnotation } from './annotations';
+import { DRAFTS_STORE, getItem, putItem, deleteItem } from './database';
+
+// Local drafts of annotations, kept until the task is submitted
+
+export type Draft = {
+  key: string,
+  taskId: string,
+  user: string,
+  annotations: Array<RawAnnotation>,
+  taskComment?: string, // missing in drafts saved before task comments
+  savedAt: number, // timestamp (in ms)
+};
+
+export function buildDraftKey(taskId: number | string, user: string): string {
+  return `${user}/${taskId.toString()}`;
+}
+
+export function toRawAnnotations(annotations: $ReadOnlyArray<RawAnnotation>): Array<RawAnnotation> {
+  return annotations
+    .map(toRawAnnotation)
+    .sort((a, b) => a.startTime - b.startTime || a.id.localeCompare(b.id));
+}
+
+/**
+ * A draft is only worth restoring when it holds something else than the annotations from the server
+ * (or a task comment)
+ */
+export function isDraftDifferent(
+  draft: Draft,
+  annotations: $ReadOnlyArray<RawAnnotation>,
+  taskComment: string = ''
+): boolean {
+  return JSON.stringify(toRawAnnotations(draft.annotations)) !== JSON.stringify(toRawAnnotations(annotations)) ||
+    (draft.taskComment || '').trim() !== taskComment.trim();
+}
+
+export function loadDraft(taskId: number | string, user: string): Promise<?Draft> {
+  return getItem(DRAFTS_STORE, buildDraftKey(taskId, user));
+}
+
+export function saveDraft(
+  taskId: number | string,
+  user: string,
+  annotations: $ReadOnlyArray<RawAnnotation>,
+  taskComment: string
+): Promise<void> {
+  const draft: Draft = {
+    key: buildDraftKey(taskId, user),
+    taskId: taskId.toString(),
+    user,
+    annotations: toRawAnnotations(annotations),
+    taskComment,
+    savedAt: Date.now(),
+  };
+  return putItem(DRAFTS_STORE, draft);
+}
+
+export function clearDraft(taskId: number | string, user: string): Promise<void> {
+  return deleteItem(DRAFTS_STORE, buildDraftKey(taskId, user));
+}
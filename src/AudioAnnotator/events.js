@@ -0,0 +1,62 @@
+// @flow
+import type { RawAnnotation } from './AudioAnnotator';
+import { toRawAnnotation } from './annotations';
+
+// Tracking of user actions, sent with task results for annotation quality studies.
+// Event types follow CrowdCurio annotator naming.
+
+export type AnnotationEventType =
+  'start-to-create' |         // drawing of a new annotation started
+  'offline-create' |          // annotation created while the audio is paused
+  'online-create' |           // annotation created while the audio is playing
+  'import' |                  // annotation created from an imported file
+  'paste' |                   // annotation created from a copied one
+  'duplicate' |               // copy of an annotation along time
+  'add-annotation-label' |
+  'remove-annotation-label' |
+  'change-annotation-confidence' |
+  'change-annotation-comment' |
+  'delete' |
+  'play-region' |
+  'select-for-edit' |
+  'region-moved-start' |      // move or resize started
+  'region-moved-end' |
+  'undo' |
+  'redo';
+
+export type AnnotationEvent = {
+  type: AnnotationEventType,
+  timestamp: number, // in seconds, with ms precision
+  annotation_id: ?string,
+  // State of the annotation after the event
+  annotation: ?RawAnnotation,
+};
+
+export function createEvent(type: AnnotationEventType, annotation: ?RawAnnotation): AnnotationEvent {
+  return {
+    type,
+    timestamp: Date.now() / 1000,
+    annotation_id: annotation ? annotation.id : undefined,
+    annotation: annotation ? toRawAnnotation(annotation) : undefined,
+  };
+}
+
+/**
+ * Annotations deleted during the task and not restored (by undo) at its end
+ * @param {Array<AnnotationEvent>} events event log of the task
+ * @param {Array<RawAnnotation>} annotations annotations at the end of the task
+ * @return {Array<RawAnnotation>} deleted annotations, as they were when last deleted
+ */
+export function getDeletedAnnotations(events: Array<AnnotationEvent>, annotations: $ReadOnlyArray<RawAnnotation>): Array<RawAnnotation> {
+  const remainingIds: Array<string> = annotations.map(ann => ann.id);
+  const deleted: Map<string, RawAnnotation> = new Map();
+
+  events.forEach(event => {
+    const annotation: ?RawAnnotation = event.annotation;
+    if (event.type === 'delete' && annotation && !remainingIds.includes(annotation.id)) {
+      deleted.set(annotation.id, annotation);
+    }
+  });
+
+  return Array.from(deleted.values());
+}
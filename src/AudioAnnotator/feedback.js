@@ -0,0 +1,110 @@
+// @flow
+import type { RawAnnotation } from './AudioAnnotator';
+import { getLabels, isTimeOnly } from './annotations';
+
+// Comparison of annotations with the reference annotations of a task, to give feedback to annotators
+
+// Smallest overlap (intersection over union of time / frequency boxes) for two annotations to match
+export const MIN_OVERLAP: number = 0.3;
+
+// Largest time distance in seconds between a point and the annotation it matches
+export const POINT_TOLERANCE: number = 0.5;
+
+export type ReferenceMatch = {
+  annotation: RawAnnotation,
+  reference: RawAnnotation,
+  overlap: number, // closeness for points
+};
+
+export type ReferenceFeedback = {
+  hits: Array<ReferenceMatch>,
+  misses: Array<RawAnnotation>,       // reference annotations not found
+  falseAlarms: Array<RawAnnotation>,  // annotations matching no reference
+};
+
+function intersection(start1: number, end1: number, start2: number, end2: number): number {
+  return Math.max(0, Math.min(end1, end2) - Math.max(start1, start2));
+}
+
+/**
+ * Intersection over union of the time / frequency boxes of two annotations,
+ * of their time extents only when one of them is an interval
+ * @return {number} between 0 (disjoint) and 1 (same box)
+ */
+export function computeOverlap(a: RawAnnotation, b: RawAnnotation): number {
+  const timeInter: number = intersection(a.startTime, a.endTime, b.startTime, b.endTime);
+
+  if (isTimeOnly(a) || isTimeOnly(b)) {
+    const timeUnion: number = (a.endTime - a.startTime) + (b.endTime - b.startTime) - timeInter;
+    return (timeUnion > 0) ? timeInter / timeUnion : 0;
+  }
+
+  const area = (ann: RawAnnotation) => (ann.endTime - ann.startTime) * (ann.endFrequency - ann.startFrequency);
+
+  const inter: number = timeInter *
+    intersection(a.startFrequency, a.endFrequency, b.startFrequency, b.endFrequency);
+  const union: number = area(a) + area(b) - inter;
+
+  return (union > 0) ? inter / union : 0;
+}
+
+/**
+ * How well an annotation matches a reference. Points have no extent: they match annotations
+ * less than POINT_TOLERANCE away, from 1 (same time) to 0 (at the tolerance).
+ * @return {?number} the overlap or closeness, undefined when they do not match
+ */
+function computeMatch(a: RawAnnotation, b: RawAnnotation, minOverlap: number): ?number {
+  if (a.type === 'point' || b.type === 'point') {
+    const distance: number = Math.max(0, a.startTime - b.endTime, b.startTime - a.endTime);
+    return (distance <= POINT_TOLERANCE) ? 1 - distance / POINT_TOLERANCE : undefined;
+  }
+
+  const overlap: number = computeOverlap(a, b);
+  return (overlap >= minOverlap) ? overlap : undefined;
+}
+
+/**
+ * Match annotations with reference ones sharing a label, best overlaps first.
+ * Each annotation matches at most one reference.
+ * Points match within POINT_TOLERANCE, intervals on their time extent only.
+ * @param {Array<RawAnnotation>} annotations annotations of the annotator
+ * @param {Array<RawAnnotation>} references reference annotations of the task
+ * @param {number} minOverlap smallest overlap of a match
+ * @return {ReferenceFeedback}
+ */
+export function compareToReference(
+  annotations: $ReadOnlyArray<RawAnnotation>,
+  references: $ReadOnlyArray<RawAnnotation>,
+  minOverlap: number = MIN_OVERLAP
+): ReferenceFeedback {
+  const candidates: Array<ReferenceMatch> = [];
+  annotations.forEach(annotation => {
+    const labels: Array<string> = getLabels(annotation);
+    references
+      .filter(reference => getLabels(reference).some(label => labels.includes(label)))
+      .forEach(reference => {
+        const overlap: ?number = computeMatch(annotation, reference, minOverlap);
+        if (overlap !== undefined && overlap !== null) {
+          candidates.push({ annotation, reference, overlap });
+        }
+      });
+  });
+
+  const hits: Array<ReferenceMatch> = [];
+  candidates
+    .sort((a, b) => b.overlap - a.overlap)
+    .forEach(candidate => {
+      const isFree: boolean = !hits.some(hit =>
+        hit.annotation === candidate.annotation || hit.reference === candidate.reference
+      );
+      if (isFree) {
+        hits.push(candidate);
+      }
+    });
+
+  return {
+    hits,
+    misses: references.filter(reference => !hits.some(hit => hit.reference === reference)),
+    falseAlarms: annotations.filter(annotation => !hits.some(hit => hit.annotation === annotation)),
+  };
+}
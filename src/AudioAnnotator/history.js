@@ -0,0 +1,93 @@
+// @flow
+import type { Annotation } from './AudioAnnotator';
+
+// Annotation edit history
+// Each entry keeps a snapshot of the annotations as they were before (past)
+// or after (future) an action, so undo / redo only swaps snapshots.
+
+// Oldest entries are dropped past this size
+const MAX_HISTORY_SIZE: number = 200;
+
+export type HistoryEntry = {
+  action: string,
+  annotations: Array<Annotation>,
+};
+
+export type AnnotationHistory = {
+  past: Array<HistoryEntry>,
+  future: Array<HistoryEntry>,
+};
+
+export type HistoryStep = {
+  history: AnnotationHistory,
+  annotations: Array<Annotation>,
+  action: string,
+};
+
+export function emptyHistory(): AnnotationHistory {
+  return { past: [], future: [] };
+}
+
+/**
+ * Record an action, given the annotations as they were before it.
+ * Recording a new action discards the redo stack.
+ */
+export function recordAction(
+  history: AnnotationHistory,
+  action: string,
+  previousAnnotations: Array<Annotation>
+): AnnotationHistory {
+  const past: Array<HistoryEntry> = history.past
+    .concat({ action, annotations: previousAnnotations })
+    .slice(-MAX_HISTORY_SIZE);
+
+  return { past, future: [] };
+}
+
+export function canUndo(history: AnnotationHistory): boolean {
+  return history.past.length > 0;
+}
+
+export function canRedo(history: AnnotationHistory): boolean {
+  return history.future.length > 0;
+}
+
+/**
+ * Revert the last recorded action.
+ * Returns undefined if there is nothing to undo.
+ */
+export function undoAction(history: AnnotationHistory, currentAnnotations: Array<Annotation>): ?HistoryStep {
+  const entry: ?HistoryEntry = history.past[history.past.length - 1];
+
+  if (entry) {
+    return {
+      history: {
+        past: history.past.slice(0, -1),
+        future: history.future.concat({ action: entry.action, annotations: currentAnnotations }),
+      },
+      annotations: entry.annotations,
+      action: entry.action,
+    };
+  }
+  return undefined;
+}
+
+/**
+ * Re-apply the last undone action.
+ * Returns undefined if there is nothing to redo.
+ */
+export function redoAction(history: AnnotationHistory, currentAnnotations: Array<Annotation>): ?HistoryStep {
+  const entry: ?HistoryEntry = history.future[history.future.length - 1];
+
+  if (entry) {
+    return {
+      history: {
+        past: history.past.concat({ action: entry.action, annotations: currentAnnotations }),
+        future: history.future.slice(0, -1),
+      },
+      annotations: entry.annotations,
+      action: entry.action,
+    };
+  }
+  return undefined;
+}
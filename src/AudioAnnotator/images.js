@@ -0,0 +1,33 @@
+// @flow
+
+// Spectrogram images are read to snap contour points, which needs CORS headers when they come from another server
+
+const corsSupport: Map<string, Promise<boolean>> = new Map();
+
+/**
+ * Whether images of the server of a URL can be read, checked once per server by loading the URL in CORS mode.
+ * Images of servers without CORS headers are then loaded once, for display only.
+ * @param {string} src URL of an image of the server
+ * @return {Promise<boolean>}
+ */
+export function checkImageCors(src: string): Promise<boolean> {
+  const origin: string = new URL(src, window.location.href).origin;
+  if (origin === window.location.origin) {
+    return Promise.resolve(true);
+  }
+
+  const support: ?Promise<boolean> = corsSupport.get(origin);
+  if (support) {
+    return support;
+  }
+  const check: Promise<boolean> = new Promise(resolve => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(true);
+    image.onerror = () => resolve(false);
+    image.src = src;
+  });
+  corsSupport.set(origin, check);
+  return check;
+}
+
@@ -0,0 +1,64 @@
+// @flow
+import type { RawAnnotation } from './AudioAnnotator';
+
+// Playback of a part of the recording: annotation regions (with padding) and A–B loops
+
+// Shortest A–B loop (in seconds), shorter drags on the time axis are ignored
+export const MIN_LOOP_DURATION: number = 0.05;
+
+export type TimeRange = {
+  startTime: number,
+  endTime: number,
+};
+
+// Part of the recording being played: playback stops at its end, or starts again from its start when looped
+export type PlaybackRange = TimeRange & {
+  isLooped: boolean,
+};
+
+/**
+ * Padding (in seconds) typed by the user, invalid and negative values meaning no padding
+ */
+export function parsePadding(value: string): number {
+  const padding: number = parseFloat(value);
+  return (isNaN(padding) || padding < 0) ? 0 : padding;
+}
+
+/**
+ * Part of the recording played for an annotation, with padding before (pre-roll) and after it (post-roll)
+ * @param {RawAnnotation} ann played annotation
+ * @param {number} preRoll time played before the annotation (in seconds)
+ * @param {number} postRoll time played after the annotation (in seconds)
+ * @param {number} duration duration of the recording, the range being kept within it
+ * @param {boolean} isLooped whether the region is played again and again
+ */
+export function getRegionPlayback(
+  ann: RawAnnotation,
+  preRoll: number,
+  postRoll: number,
+  duration: number,
+  isLooped: boolean
+): PlaybackRange {
+  return {
+    startTime: Math.max(0, ann.startTime - preRoll),
+    endTime: Math.min(duration, ann.endTime + postRoll),
+    isLooped,
+  };
+}
+
+/**
+ * A–B loop between two times of the time axis, in any order
+ * @return {?TimeRange} undefined when the times are too close
+ */
+export function getLoopRange(time1: number, time2: number, duration: number): ?TimeRange {
+  const startTime: number = Math.max(0, Math.min(time1, time2));
+  const endTime: number = Math.min(duration, Math.max(time1, time2));
+  return (endTime - startTime >= MIN_LOOP_DURATION) ? { startTime, endTime } : undefined;
+}
+
+/**
+ * Whether the playhead went past the end of a played range
+ */
+export function isPastRange(range: ?PlaybackRange, seconds: number): boolean {
+  return !!range && seconds >= range.endTime;
+}
@@ -0,0 +1,120 @@
+// @flow
+import type { RawAnnotation } from './AudioAnnotator';
+import type { ImportedSelection } from './annotations';
+import { getLabels, isTimeOnly } from './annotations';
+import * as utils from '../utils';
+
+// Raven Pro selection tables: tab-separated text files, one selection per line,
+// with a header naming the columns (e.g. 'Begin Time (s)', 'Low Freq (Hz)')
+
+// Labels of an annotation are written in the tag column, separated by semicolons
+export const LABEL_SEPARATOR: string = '; ';
+
+// Names of the tag column, as set by Raven users (the first one is written)
+export const TAG_COLUMNS: Array<string> = ['Annotation', 'Tag', 'Label', 'Class', 'Species'];
+
+const HEADER: Array<string> = [
+  'Selection', 'View', 'Channel', 'Begin Time (s)', 'End Time (s)', 'Low Freq (Hz)', 'High Freq (Hz)', TAG_COLUMNS[0],
+];
+
+/**
+ * Name of the selection table of an audio file, as saved by Raven
+ */
+export function getRavenFilename(audioUrl: string): string {
+  return `${utils.getFileBasename(audioUrl)}.Table.1.selections.txt`;
+}
+
+/**
+ * Selection table of annotations (whole recording annotations have no place in Raven and are left out)
+ * @param {Array<RawAnnotation>} annotations annotations of the task
+ * @param {Object} boundaries frequency range of the task, for time-only annotations
+ * @return {string} file content
+ */
+export function toRavenTable(
+  annotations: $ReadOnlyArray<RawAnnotation>,
+  boundaries: { +startFrequency: number, +endFrequency: number }
+): string {
+  const rows: Array<Array<string>> = annotations
+    .filter(ann => ann.type !== 'weak')
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((ann, idx) => [
+      (idx + 1).toString(),
+      'Spectrogram 1',
+      '1',
+      ann.startTime.toFixed(6),
+      ann.endTime.toFixed(6),
+      (isTimeOnly(ann) ? boundaries.startFrequency : ann.startFrequency).toFixed(3),
+      (isTimeOnly(ann) ? boundaries.endFrequency : ann.endFrequency).toFixed(3),
+      getLabels(ann).join(LABEL_SEPARATOR),
+    ]);
+
+  return [HEADER].concat(rows).map(row => row.join('\t')).join('\n') + '\n';
+}
+
+function findColumn(header: Array<string>, names: Array<string>): number {
+  return header.findIndex(column => names.some(name => column === name || column.startsWith(name + ' (')));
+}
+
+/**
+ * Selection tables start with a header, other annotation files (Audacity labels) start with numbers
+ */
+export function isRavenTable(content: string): boolean {
+  const header: Array<string> = content.trim().split(/\r?\n/)[0].split('\t').map(cell => cell.trim());
+  return findColumn(header, ['Begin Time']) >= 0;
+}
+
+/**
+ * Read the selections of a Raven selection table.
+ * Selections shown in several views (waveform and spectrogram) are only read once.
+ * @param {string} content file content
+ * @return {Array<ImportedSelection>} selections, without the lines which cannot be read
+ * @throws {Error} if the file has no begin and end time columns
+ */
+export function parseRavenTable(content: string): Array<ImportedSelection> {
+  const lines: Array<Array<string>> = content
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => line.split('\t').map(cell => cell.trim()));
+  const header: Array<string> = lines.length > 0 ? lines[0] : [];
+
+  const selectionIdx: number = findColumn(header, ['Selection']);
+  const beginIdx: number = findColumn(header, ['Begin Time']);
+  const endIdx: number = findColumn(header, ['End Time']);
+  const lowIdx: number = findColumn(header, ['Low Freq']);
+  const highIdx: number = findColumn(header, ['High Freq']);
+  const tagIdx: number = findColumn(header, TAG_COLUMNS);
+
+  if (beginIdx < 0 || endIdx < 0) {
+    throw new Error('Not a Raven selection table: Begin Time and End Time columns are missing');
+  }
+
+  const readSelections: Array<string> = [];
+  const selections: Array<ImportedSelection> = [];
+  lines.slice(1).forEach(cells => {
+    const selectionId: string = (selectionIdx >= 0) ? cells[selectionIdx] : '';
+    const startTime: number = parseFloat(cells[beginIdx]);
+    const endTime: number = parseFloat(cells[endIdx]);
+    const startFrequency: number = (lowIdx >= 0) ? parseFloat(cells[lowIdx]) : NaN;
+    const endFrequency: number = (highIdx >= 0) ? parseFloat(cells[highIdx]) : NaN;
+    const tags: string = (tagIdx >= 0 && cells[tagIdx]) ? cells[tagIdx] : '';
+
+    if (selectionId && readSelections.includes(selectionId)) {
+      return;
+    }
+    if (isNaN(startTime) || isNaN(endTime) || endTime < startTime) {
+      return;
+    }
+    readSelections.push(selectionId);
+
+    const hasFrequencies: boolean = !isNaN(startFrequency) && !isNaN(endFrequency);
+    selections.push({
+      startTime,
+      endTime,
+      startFrequency: hasFrequencies ? Math.min(startFrequency, endFrequency) : undefined,
+      endFrequency: hasFrequencies ? Math.max(startFrequency, endFrequency) : undefined,
+      labels: tags.split(LABEL_SEPARATOR.trim()).map(tag => tag.trim()).filter(tag => tag !== ''),
+    });
+  });
+
+  return selections;
+}
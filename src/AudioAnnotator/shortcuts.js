@@ -0,0 +1,131 @@
+// @flow
+
+// Keyboard shortcuts management
+// Bindings map an action name to the list of key combinations triggering it.
+// A key combination is written as modifiers followed by the key, e.g. 'Ctrl+Shift+Z'.
+
+const STORAGE_KEY: string = 'aplose-shortcuts';
+
+// Number of tags reachable with a shortcut (digit keys)
+export const NB_TAG_SHORTCUTS: number = 9;
+
+export type ShortcutBindings = {
+  [action: string]: Array<string>,
+};
+
+export type ShortcutAction = {
+  action: string,
+  label: string,
+};
+
+export const SHORTCUT_ACTIONS: Array<ShortcutAction> = [
+  { action: 'play-pause', label: 'Play / pause' },
+  { action: 'next-annotation', label: 'Select next annotation' },
+  { action: 'previous-annotation', label: 'Select previous annotation' },
+  { action: 'delete-annotation', label: 'Delete selected annotation' },
+  { action: 'copy-annotation', label: 'Copy selected annotation' },
+  { action: 'paste-annotation', label: 'Paste annotation at the mouse position (or at the playhead)' },
+  { action: 'duplicate-annotation', label: 'Duplicate selected annotation along time' },
+  { action: 'zoom-in', label: 'Zoom in' },
+  { action: 'zoom-out', label: 'Zoom out' },
+  { action: 'undo', label: 'Undo' },
+  { action: 'redo', label: 'Redo' },
+  { action: 'submit', label: 'Submit & load next recording' },
+  { action: 'show-shortcuts', label: 'Show keyboard shortcuts' },
+].concat([...Array(NB_TAG_SHORTCUTS)].map((_, i) => ({
+  action: `tag-${i + 1}`,
+  label: `Toggle tag #${i + 1}`,
+})));
+
+export const DEFAULT_BINDINGS: ShortcutBindings = Object.assign({
+  'play-pause': ['Space'],
+  'next-annotation': ['Tab'],
+  'previous-annotation': ['Shift+Tab'],
+  'delete-annotation': ['Delete', 'Backspace'],
+  'copy-annotation': ['Ctrl+C'],
+  'paste-annotation': ['Ctrl+V'],
+  'duplicate-annotation': ['Ctrl+D'],
+  'zoom-in': ['+'],
+  'zoom-out': ['-'],
+  'undo': ['Ctrl+Z'],
+  'redo': ['Ctrl+Shift+Z', 'Ctrl+Y'],
+  'submit': ['Enter'],
+  'show-shortcuts': ['?'],
+}, ...[...Array(NB_TAG_SHORTCUTS)].map((_, i) => ({
+  [`tag-${i + 1}`]: [(i + 1).toString()],
+})));
+
+// Keys that do not make a combination on their own
+const MODIFIER_KEYS: Array<string> = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'OS'];
+
+/**
+ * Build the key combination matching a keyboard event
+ * @param {KeyboardEvent} event
+ * @return {?string} combination, undefined for modifier keys only
+ */
+export function comboFromEvent(event: KeyboardEvent): ?string {
+  const key: string = event.key;
+  if (!key || MODIFIER_KEYS.includes(key)) {
+    return undefined;
+  }
+
+  let keyName: string = key;
+  // Shift is part of printable symbols ('+', '?', or digits on some layouts)
+  let withShift: boolean = event.shiftKey;
+  if (key === ' ') {
+    keyName = 'Space';
+  } else if (key.length === 1) {
+    keyName = key.toUpperCase();
+    withShift = withShift && (keyName !== key.toLowerCase());
+  }
+
+  const modifiers: Array<string> = [];
+  // Cmd key is used instead of Ctrl on macOS
+  if (event.ctrlKey || event.metaKey) modifiers.push('Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (withShift) modifiers.push('Shift');
+
+  return modifiers.concat(keyName).join('+');
+}
+
+/**
+ * Find which action is bound to the given key combination
+ */
+export function findAction(bindings: ShortcutBindings, combo: string): ?string {
+  return Object.keys(bindings).find(action => bindings[action].includes(combo));
+}
+
+/**
+ * Bind an action to a single key combination, unbinding it from any other action
+ */
+export function rebind(bindings: ShortcutBindings, action: string, combo: string): ShortcutBindings {
+  const newBindings: ShortcutBindings = {};
+  Object.keys(bindings).forEach(key => {
+    newBindings[key] = bindings[key].filter(c => c !== combo);
+  });
+  newBindings[action] = [combo];
+  return newBindings;
+}
+
+/**
+ * Read user bindings from local storage, falling back to defaults
+ */
+export function loadBindings(): ShortcutBindings {
+  try {
+    const stored: ?string = window.localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      return Object.assign({}, DEFAULT_BINDINGS, JSON.parse(stored));
+    }
+  } catch (err) {
+    // Unavailable storage or corrupted value: use defaults
+  }
+  return Object.assign({}, DEFAULT_BINDINGS);
+}
+
+export function saveBindings(bindings: ShortcutBindings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch (err) {
+    // Unavailable storage: bindings only last until the page is closed
+  }
+}
@@ -0,0 +1,82 @@
+// @flow
+import type { AudioData } from './audioData';
+
+// Client-side spectrogram computation, used when a task has no precomputed images
+
+export type SpectrogramParams = {
+  nfft: number,
+  winsize: number,
+  overlap: number, // in percent
+};
+
+export type SpectrogramImageData = {
+  width: number,
+  height: number,
+  pixels: Uint8ClampedArray,
+};
+
+// Values offered to the user
+export const NFFT_VALUES: Array<number> = [256, 512, 1024, 2048, 4096];
+export const WINSIZE_VALUES: Array<number> = [256, 512, 1024, 2048, 4096];
+export const OVERLAP_VALUES: Array<number> = [0, 25, 50, 75, 90];
+
+export const DEFAULT_PARAMS: SpectrogramParams = {
+  nfft: 1024,
+  winsize: 1024,
+  overlap: 50,
+};
+
+// Static worker script (public/spectrogram-worker.js), served without build step
+const WORKER_URL: string = `${process.env.PUBLIC_URL || ''}/spectrogram-worker.js`;
+
+function computeInWorker(message: Object): Promise<SpectrogramImageData> {
+  const worker: Worker = new Worker(WORKER_URL);
+
+  return new Promise((resolve, reject) => {
+    worker.onmessage = (event: MessageEvent) => {
+      worker.terminate();
+      resolve((event.data: any));
+    };
+    worker.onerror = (err: any) => {
+      worker.terminate();
+      reject(new Error(err.message || 'Spectrogram computation failed'));
+    };
+    worker.postMessage(message);
+  });
+}
+
+/**
+ * Compute the spectrogram of decoded audio, in a Web Worker
+ * @param {AudioData} audioData decoded audio
+ * @param {SpectrogramParams} params STFT parameters
+ * @param {number} minFrequency lowest displayed frequency (in Hz)
+ * @param {number} maxFrequency highest displayed frequency (in Hz)
+ * @return {Promise<HTMLCanvasElement>} canvas holding the spectrogram image
+ */
+export function computeSpectrogramImage(
+  audioData: AudioData,
+  params: SpectrogramParams,
+  minFrequency: number,
+  maxFrequency: number
+): Promise<HTMLCanvasElement> {
+  const message = {
+    samples: audioData.samples,
+    sampleRate: audioData.sampleRate,
+    params,
+    minFrequency,
+    maxFrequency,
+  };
+
+  if (!window.Worker) {
+    return Promise.reject(new Error('Web Workers are not supported by this browser'));
+  }
+
+  return computeInWorker(message).then((result: SpectrogramImageData) => {
+    const canvas: HTMLCanvasElement = document.createElement('canvas');
+    canvas.width = result.width;
+    canvas.height = result.height;
+    const context: CanvasRenderingContext2D = canvas.getContext('2d');
+    context.putImageData(new ImageData(result.pixels, result.width, result.height), 0, 0);
+    return canvas;
+  });
+}
@@ -0,0 +1,100 @@
+// @flow
+
+// Hierarchical tag sets: tags of an annotation set are paths from a root tag,
+// e.g. 'Odontocete > Sperm whale > Click train'. Flat tag sets have root tags only.
+
+export const TAG_SEPARATOR: string = ' > ';
+
+export type TagNode = {
+  path: string,     // full label path, as sent to the server
+  name: string,     // last part of the path
+  children: Array<TagNode>,
+};
+
+export function getTagName(path: string): string {
+  const parts: Array<string> = path.split(TAG_SEPARATOR);
+  return parts[parts.length - 1];
+}
+
+export function isTagAncestor(ancestor: string, path: string): boolean {
+  return path.startsWith(ancestor + TAG_SEPARATOR);
+}
+
+/**
+ * Paths of the parents of a tag, from the root one
+ */
+export function getTagAncestors(path: string): Array<string> {
+  const parts: Array<string> = path.split(TAG_SEPARATOR);
+  return parts.slice(0, -1).map((part, idx) => parts.slice(0, idx + 1).join(TAG_SEPARATOR));
+}
+
+/**
+ * Tree of the tags of an annotation set, in their order.
+ * Parents which are not listed themselves are added before their first child.
+ * @param {Array<string>} tags label paths of the annotation set
+ * @return {Array<TagNode>} root tags
+ */
+export function buildTagTree(tags: Array<string>): Array<TagNode> {
+  const roots: Array<TagNode> = [];
+  const nodes: Map<string, TagNode> = new Map();
+
+  tags.forEach(tag => {
+    getTagAncestors(tag).concat(tag).forEach(path => {
+      if (!nodes.has(path)) {
+        const node: TagNode = { path, name: getTagName(path), children: [] };
+        const parentPath: ?string = getTagAncestors(path).pop();
+        const parent: ?TagNode = parentPath ? nodes.get(parentPath) : undefined;
+        if (parent) {
+          parent.children.push(node);
+        } else {
+          roots.push(node);
+        }
+        nodes.set(path, node);
+      }
+    });
+  });
+
+  return roots;
+}
+
+/**
+ * Paths of all the tags of a tree, parents before their children
+ */
+export function flattenTagTree(nodes: Array<TagNode>): Array<string> {
+  return nodes.reduce((paths, node) => paths.concat(node.path, flattenTagTree(node.children)), []);
+}
+
+/**
+ * Label path of the annotation set matching a tag name from another software:
+ * same path or same tag name (the last part of the path), ignoring case
+ * @param {Array<string>} tags label paths of the annotation set
+ * @param {string} name tag name to match
+ * @return {?string} matching label path, undefined when none or several tags match
+ */
+export function matchTag(tags: Array<string>, name: string): ?string {
+  const normalize = (text: string) => text.trim().toLowerCase();
+
+  // Parents which are not tags of the set do not exist on the server
+  const samePath: ?string = tags.find(tag => normalize(tag) === normalize(name));
+  if (samePath) {
+    return samePath;
+  }
+  const sameName: Array<string> = tags.filter(tag => normalize(getTagName(tag)) === normalize(name));
+  return (sameName.length === 1) ? sameName[0] : undefined;
+}
+
+/**
+ * Add or remove a label of an annotation.
+ * A label replaces its parents and children: the most specific one is kept.
+ * @param {Array<string>} labels current labels of the annotation
+ * @param {string} tag label path to toggle
+ * @return {Array<string>} new labels
+ */
+export function toggleLabel(labels: Array<string>, tag: string): Array<string> {
+  if (labels.includes(tag)) {
+    return labels.filter(label => label !== tag);
+  }
+  return labels
+    .filter(label => !isTagAncestor(label, tag) && !isTagAncestor(tag, label))
+    .concat(tag);
+}
@@ -0,0 +1,82 @@
+// @flow
+import type { AnnotationTask } from './AudioAnnotator';
+import { TASKS_STORE, getItem, putItem } from './database';
+
+// Local copies of task descriptions, so that annotators can go on with the next tasks while offline
+
+// Same status as in the task list
+const TASK_STATUS_FINISHED: number = 2;
+
+export type TaskListItem = {
+  id: number,
+  status: number,
+};
+
+function buildTaskKey(taskId: number | string, user: string): string {
+  return `${user}/task/${taskId.toString()}`;
+}
+
+function buildCampaignKey(campaignId: number | string, user: string): string {
+  return `${user}/campaign/${campaignId.toString()}`;
+}
+
+export function cacheTask(taskId: number | string, user: string, task: AnnotationTask): Promise<void> {
+  return putItem(TASKS_STORE, { key: buildTaskKey(taskId, user), task });
+}
+
+export function getCachedTask(taskId: number | string, user: string): Promise<?AnnotationTask> {
+  return getItem(TASKS_STORE, buildTaskKey(taskId, user))
+    .then(item => item ? item.task : undefined);
+}
+
+export function cacheCampaignTasks(campaignId: number | string, user: string, tasks: Array<TaskListItem>): Promise<void> {
+  const items: Array<TaskListItem> = tasks.map(task => ({ id: task.id, status: task.status }));
+  return putItem(TASKS_STORE, { key: buildCampaignKey(campaignId, user), tasks: items });
+}
+
+export function getCachedCampaignTasks(campaignId: number | string, user: string): Promise<Array<TaskListItem>> {
+  return getItem(TASKS_STORE, buildCampaignKey(campaignId, user))
+    .then(item => item ? item.tasks : []);
+}
+
+/**
+ * Unfinished tasks coming after the current one in the task list (wrapping around)
+ * @param {Array<TaskListItem>} tasks task list of the campaign
+ * @param {number | string} currentTaskId task being annotated
+ * @param {Array<string>} excludedIds tasks to skip (e.g. with a pending submission)
+ * @return {Array<number>} ids of the candidate tasks, in order
+ */
+export function getNextTaskIds(
+  tasks: Array<TaskListItem>,
+  currentTaskId: number | string,
+  excludedIds: Array<string>
+): Array<number> {
+  const currentIdx: number = tasks.findIndex(task => task.id.toString() === currentTaskId.toString());
+  const ordered: Array<TaskListItem> = tasks.slice(currentIdx + 1).concat(tasks.slice(0, Math.max(currentIdx, 0)));
+
+  return ordered
+    .filter(task => task.status !== TASK_STATUS_FINISHED)
+    .filter(task => !excludedIds.includes(task.id.toString()))
+    .map(task => task.id);
+}
+
+/**
+ * First next task of the campaign with a cached description
+ */
+export function findNextCachedTask(
+  campaignId: number | string,
+  user: string,
+  currentTaskId: number | string,
+  excludedIds: Array<string>
+): Promise<?number> {
+  return getCachedCampaignTasks(campaignId, user)
+    .then((tasks: Array<TaskListItem>) => getNextTaskIds(tasks, currentTaskId, excludedIds).reduce(
+      (found: Promise<?number>, taskId: number) => found.then((foundId: ?number) => {
+        if (foundId) {
+          return foundId;
+        }
+        return getCachedTask(taskId, user).then(task => task ? taskId : undefined);
+      }),
+      Promise.resolve(undefined)
+    ));
+}
@@ -0,0 +1,133 @@
+// @flow
+import request from 'superagent';
+
+import { SUBMISSIONS_STORE, getAllItems, putItem, deleteItem } from './database';
+import { clearDraft } from './drafts';
+
+// Queue of annotation submissions which could not reach the server, sent again by the annotator page
+// (also when woken up by the background sync worker, public/sync-worker.js)
+
+export const SYNC_TAG: string = 'aplose-submissions';
+
+// Submissions are sent with the token of the current session, tokens are never stored in the browser database
+export type Submission = {
+  key: string,
+  taskId: string,
+  user: string,
+  url: string,
+  payload: Object,
+  queuedAt: number, // timestamp (in ms)
+  attempts: number,
+  error: ?string,
+};
+
+// Submissions given up after being sent again, and submissions still queued
+export type UploadResult = {
+  pending: Array<Submission>,
+  rejected: Array<Submission>,
+};
+
+/**
+ * Superagent errors of requests which never reached the server (offline, timeout, DNS...):
+ * no response, and a network error code (or the cross-domain flag browsers set on network failures).
+ * Other exceptions (e.g. thrown while handling a response) are not network errors.
+ */
+export function isNetworkError(err: any): boolean {
+  return !!err && typeof err === 'object' && !err.response && !!(err.crossDomain || err.code);
+}
+
+/**
+ * What to do with a queued submission which could not be sent
+ * - 'offline': server not reached, sending stops and the submission is sent again later
+ * - 'unauthorized': expired session, sending stops until the user logs in again
+ * - 'rejected': invalid submission (other 4xx), removed from the queue (its draft is kept)
+ * - 'failed': server error, sent again later
+ */
+export function getUploadFailure(err: any): 'offline' | 'unauthorized' | 'rejected' | 'failed' {
+  if (isNetworkError(err)) {
+    return 'offline';
+  } else if (err && err.status === 401) {
+    return 'unauthorized';
+  } else if (err && err.status >= 400 && err.status < 500) {
+    return 'rejected';
+  }
+  return 'failed';
+}
+
+export function queueSubmission(
+  taskId: number | string,
+  user: string,
+  url: string,
+  payload: Object
+): Promise<void> {
+  const submission: Submission = {
+    // A new submission of the same task replaces the queued one
+    key: `${user}/${taskId.toString()}`,
+    taskId: taskId.toString(),
+    user,
+    url,
+    payload,
+    queuedAt: Date.now(),
+    attempts: 0,
+    error: undefined,
+  };
+  return putItem(SUBMISSIONS_STORE, submission);
+}
+
+export function getPendingSubmissions(user: string): Promise<Array<Submission>> {
+  return getAllItems(SUBMISSIONS_STORE)
+    .then((submissions: Array<Submission>) => submissions
+      .filter(submission => submission.user === user)
+      .sort((a, b) => a.queuedAt - b.queuedAt)
+    );
+}
+
+function sendSubmission(submission: Submission, token: string): Promise<void> {
+  return request.post(submission.url)
+    .set('Authorization', 'Bearer ' + token)
+    .send(submission.payload)
+    .then(() => deleteItem(SUBMISSIONS_STORE, submission.key))
+    .then(() => clearDraft(submission.taskId, submission.user).catch(() => undefined));
+}
+
+/**
+ * Send queued submissions of the user, oldest first.
+ * Sending stops at the first network or authentication error. Submissions rejected by the server are removed
+ * from the queue (their draft stays on the computer), the ones failing on server errors stay queued with their error.
+ * @param {string} user identifier of the user
+ * @param {string} token authentication token of the current session
+ * @return {Promise<UploadResult>}
+ */
+export function sendPendingSubmissions(user: string, token: string): Promise<UploadResult> {
+  const rejected: Array<Submission> = [];
+
+  return getPendingSubmissions(user)
+    .then((submissions: Array<Submission>) => submissions.reduce(
+      (previous: Promise<boolean>, submission: Submission) => previous.then((canSend: boolean) => {
+        if (!canSend) {
+          return false;
+        }
+        return sendSubmission(submission, token)
+          .then(() => true)
+          .catch(err => {
+            const failure = getUploadFailure(err);
+            if (failure === 'offline' || failure === 'unauthorized') {
+              return false;
+            }
+
+            const updated: Submission = Object.assign({}, submission, {
+              attempts: submission.attempts + 1,
+              error: err.status ? `${err.status}: ${err.message}` : err.message,
+            });
+            if (failure === 'rejected') {
+              rejected.push(updated);
+              return deleteItem(SUBMISSIONS_STORE, submission.key).then(() => true);
+            }
+            return putItem(SUBMISSIONS_STORE, updated).then(() => true);
+          });
+      }),
+      Promise.resolve(true)
+    ))
+    .then(() => getPendingSubmissions(user))
+    .then((pending: Array<Submission>) => ({ pending, rejected }));
+}
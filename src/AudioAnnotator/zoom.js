@@ -0,0 +1,111 @@
+// @flow
+
+// Zoom and scroll of the visible part of the spectrogram
+
+// Highest frequency zoom factor
+export const MAX_FREQ_ZOOM: number = 16;
+
+// Frequency range of a task
+export type FrequencyBounds = {
+  startFrequency: number,
+  frequencyRange: number,
+};
+
+/**
+ * Frequency zoom factor after zooming in or out, between 1 and MAX_FREQ_ZOOM
+ * @param {number} zoom current zoom factor
+ * @param {number} direction number of steps (doubling the zoom), positive to zoom in
+ */
+export function getFrequencyZoom(zoom: number, direction: number): number {
+  return Math.min(Math.max(zoom * Math.pow(2, direction), 1), MAX_FREQ_ZOOM);
+}
+
+/**
+ * Keep the visible frequency band inside task boundaries
+ * @param {number} frequency lowest visible frequency
+ * @param {number} freqZoom frequency zoom factor
+ * @param {FrequencyBounds} bounds frequency range of the task
+ * @return {number} lowest visible frequency, the band staying within the task range
+ */
+export function clampVisibleStartFrequency(frequency: number, freqZoom: number, bounds: FrequencyBounds): number {
+  const visibleRange: number = bounds.frequencyRange / freqZoom;
+  const maxStartFrequency: number = bounds.startFrequency + bounds.frequencyRange - visibleRange;
+  return Math.min(Math.max(frequency, bounds.startFrequency), maxStartFrequency);
+}
+
+/**
+ * Lowest visible frequency after a frequency zoom, the anchor frequency staying at the same place
+ * @param {number} visibleStartFrequency lowest visible frequency before the zoom
+ * @param {number} anchor frequency staying in place (under the pointer, or center of the band)
+ * @param {number} oldZoom frequency zoom factor before the zoom
+ * @param {number} newZoom frequency zoom factor after the zoom
+ * @param {FrequencyBounds} bounds frequency range of the task
+ */
+export function zoomVisibleStartFrequency(
+  visibleStartFrequency: number,
+  anchor: number,
+  oldZoom: number,
+  newZoom: number,
+  bounds: FrequencyBounds
+): number {
+  const newStart: number = anchor - (anchor - visibleStartFrequency) * oldZoom / newZoom;
+  return clampVisibleStartFrequency(newStart, newZoom, bounds);
+}
+
+// Pixels scrolled by one wheel line, for mouse wheels reporting lines
+const WHEEL_LINE_HEIGHT: number = 16;
+
+// What a wheel event over the spectrogram does, with its delta in pixels (positive when scrolling down)
+export type WheelAction = {
+  type: 'pinch' | 'time-zoom' | 'frequency-zoom' | 'frequency-pan',
+  delta: number,
+};
+
+/**
+ * Wheel delta in pixels, for mouse wheels reporting lines or pages
+ * @param {number} delta wheel delta, in the unit of deltaMode
+ * @param {number} deltaMode 0 for pixels, 1 for lines, 2 for pages
+ * @param {number} pageSize height of a page (in pixels)
+ */
+export function getWheelDeltaPx(delta: number, deltaMode: number, pageSize: number): number {
+  if (deltaMode === 1) {
+    return delta * WHEEL_LINE_HEIGHT;
+  } else if (deltaMode === 2) {
+    return delta * pageSize;
+  }
+  return delta;
+}
+
+/**
+ * Action of a wheel event over the spectrogram
+ * @param {WheelEvent} event wheel event
+ * @param {number} pageSize height of a page (in pixels)
+ * @return {?WheelAction} undefined for horizontal scrolling (trackpads), left to the browser to move along time
+ */
+export function getWheelAction(
+  event: {
+    +ctrlKey: boolean,
+    +shiftKey: boolean,
+    +altKey: boolean,
+    +deltaX: number,
+    +deltaY: number,
+    +deltaMode: number,
+  },
+  pageSize: number
+): ?WheelAction {
+  const deltaX: number = getWheelDeltaPx(event.deltaX, event.deltaMode, pageSize);
+  const deltaY: number = getWheelDeltaPx(event.deltaY, event.deltaMode, pageSize);
+
+  if (event.ctrlKey) {
+    // Trackpad pinch (reported as wheel with ctrl key), or ctrl + mouse wheel
+    return { type: 'pinch', delta: deltaY };
+  } else if (event.shiftKey) {
+    // Some browsers (Chrome, Edge) report Shift + wheel as horizontal scrolling
+    return { type: 'frequency-pan', delta: deltaY || deltaX };
+  } else if (Math.abs(deltaX) > Math.abs(deltaY)) {
+    return undefined;
+  } else if (event.altKey) {
+    return { type: 'frequency-zoom', delta: deltaY };
+  }
+  return { type: 'time-zoom', delta: deltaY };
+}
@@ -10,6 +10,13 @@ const GET_ANNOTATION_SETS_API_URL = process.env.REACT_APP_API_URL + '/annotation
 const GET_USERS_API_URL = process.env.REACT_APP_API_URL + '/user/list';
 const POST_ANNOTATION_CAMPAIGN_API_URL = process.env.REACT_APP_API_URL + '/annotation-campaign/new';
 
+// Predefined confidence scales, from the lowest level
+const CONFIDENCE_SCALES = {
+  'none': [],
+  'low-high': ['low', 'medium', 'high'],
+  '1-5': ['1', '2', '3', '4', '5'],
+};
+
 type choices_type = {
   [?number]: {
     id: number,
@@ -133,13 +140,18 @@ type CACState = {
   new_ac_name: string,
   new_ac_desc: string,
   new_ac_datasets: choices_type,
+  new_ac_reference_datasets: choices_type,
   new_ac_start: string,
   new_ac_end: string,
   new_ac_annotation_set: number,
   new_ac_annotators: choices_type,
   new_ac_annotation_goal: number,
   new_ac_annotation_method: number,
+  new_ac_annotation_mode: string,
+  new_ac_confidence_scale: string,
+  new_ac_confidence_levels: string,
   dataset_choices: choices_type,
+  reference_dataset_choices: choices_type,
   annotation_set_choices: {
     [?number]: annotation_set_type
   },
@@ -155,13 +167,18 @@ class CreateAnnotationCampaign extends Component<CACProps, CACState> {
     new_ac_name: '',
     new_ac_desc: '',
     new_ac_datasets: {},
+    new_ac_reference_datasets: {},
     new_ac_start: '',
     new_ac_end: '',
     new_ac_annotation_set: 0,
     new_ac_annotators: {},
     new_ac_annotation_goal: 0,
     new_ac_annotation_method: -1,
+    new_ac_annotation_mode: 'strong',
+    new_ac_confidence_scale: 'none',
+    new_ac_confidence_levels: '',
     dataset_choices: {},
+    reference_dataset_choices: {},
     annotation_set_choices: {},
     annotator_choices: {},
     error: null
@@ -178,7 +195,8 @@ class CreateAnnotationCampaign extends Component<CACProps, CACState> {
       this.getDatasets.set('Authorization', 'Bearer ' + this.props.app_token).then(req => {
         let datasets = req.body.filter(dataset => { return dataset.files_type === '.wav'});
         this.setState({
-          dataset_choices: utils.arrayToObject(datasets, 'id')
+          dataset_choices: utils.arrayToObject(datasets, 'id'),
+          reference_dataset_choices: utils.arrayToObject(datasets, 'id')
         });
       }).catch(err => {
         if (err.status && err.status === 401) {
@@ -261,6 +279,29 @@ class CreateAnnotationCampaign extends Component<CACProps, CACState> {
     });
   }
 
+  handleAddReferenceDataset = (event: SyntheticEvent<HTMLInputElement>) => {
+    let dataset_id = parseInt(event.currentTarget.value, 10);
+    let reference_dataset_choices = Object.assign({}, this.state.reference_dataset_choices);
+    let new_ac_reference_datasets = Object.assign({}, this.state.new_ac_reference_datasets);
+    new_ac_reference_datasets[dataset_id] = reference_dataset_choices[dataset_id];
+    delete reference_dataset_choices[dataset_id];
+    this.setState({
+      new_ac_reference_datasets: new_ac_reference_datasets,
+      reference_dataset_choices: reference_dataset_choices
+    });
+  }
+
+  handleRemoveReferenceDataset = (dataset_id: number) => {
+    let reference_dataset_choices = Object.assign({}, this.state.reference_dataset_choices);
+    let new_ac_reference_datasets = Object.assign({}, this.state.new_ac_reference_datasets);
+    reference_dataset_choices[dataset_id] = new_ac_reference_datasets[dataset_id];
+    delete new_ac_reference_datasets[dataset_id];
+    this.setState({
+      new_ac_reference_datasets: new_ac_reference_datasets,
+      reference_dataset_choices: reference_dataset_choices
+    });
+  }
+
   handleAddAnnotator = (event: SyntheticEvent<HTMLInputElement>) => {
     let annotator_id = parseInt(event.currentTarget.value, 10);
     let annotator_choices = Object.assign({}, this.state.annotator_choices);
@@ -311,6 +352,27 @@ class CreateAnnotationCampaign extends Component<CACProps, CACState> {
     this.setState({new_ac_annotation_method: parseInt(event.currentTarget.value, 10)});
   }
 
+  handleAnnotationModeChange = (event: SyntheticEvent<HTMLInputElement>) => {
+    this.setState({new_ac_annotation_mode: event.currentTarget.value});
+  }
+
+  handleConfidenceScaleChange = (event: SyntheticEvent<HTMLInputElement>) => {
+    this.setState({new_ac_confidence_scale: event.currentTarget.value});
+  }
+
+  handleConfidenceLevelsChange = (event: SyntheticEvent<HTMLInputElement>) => {
+    this.setState({new_ac_confidence_levels: event.currentTarget.value});
+  }
+
+  getConfidenceLevels = (): Array<string> => {
+    if (this.state.new_ac_confidence_scale === 'custom') {
+      return this.state.new_ac_confidence_levels.split(',')
+        .map(level => level.trim())
+        .filter(level => level.length > 0);
+    }
+    return CONFIDENCE_SCALES[this.state.new_ac_confidence_scale] || [];
+  }
+
   handleSubmit = (event: SyntheticEvent<HTMLInputElement>) => {
     event.preventDefault();
     this.setState({error: null});
@@ -318,12 +380,15 @@ class CreateAnnotationCampaign extends Component<CACProps, CACState> {
       name: this.state.new_ac_name.trim() || 'Unnamed Campaign',
       desc: this.state.new_ac_desc.trim(),
       datasets: Object.keys(this.state.new_ac_datasets),
+      reference_datasets: Object.keys(this.state.new_ac_reference_datasets),
       start: this.state.new_ac_start.trim(),
       end: this.state.new_ac_end.trim(),
       annotation_set: this.state.new_ac_annotation_set,
       annotators: Object.keys(this.state.new_ac_annotators),
       annotation_goal: this.state.new_ac_annotation_goal,
-      annotation_method: this.state.new_ac_annotation_method
+      annotation_method: this.state.new_ac_annotation_method,
+      annotation_mode: this.state.new_ac_annotation_mode,
+      confidence_levels: this.getConfidenceLevels()
     };
     this.postAnnotationCampaign = request.post(POST_ANNOTATION_CAMPAIGN_API_URL);
     return this.postAnnotationCampaign.set('Authorization', 'Bearer ' + this.props.app_token).send(res)
@@ -366,6 +431,11 @@ class CreateAnnotationCampaign extends Component<CACProps, CACState> {
             <ListChooser choice_type="dataset" choices_list={this.state.dataset_choices} chosen_list={this.state.new_ac_datasets} onSelectChange={this.handleAddDataset} onDelClick={this.handleRemoveDataset} />
           </div>
 
+          <div className="form-group">
+            <label>Reference datasets (optional), already annotated by experts: their files are added to the tasks and annotators get feedback on them</label>
+            <ListChooser choice_type="reference" choices_list={this.state.reference_dataset_choices} chosen_list={this.state.new_ac_reference_datasets} onSelectChange={this.handleAddReferenceDataset} onDelClick={this.handleRemoveReferenceDataset} />
+          </div>
+
           <div className="form-group row">
             <div className="col-sm-6">
               <input id="cac-start" className="form-control" type="text" value={this.state.new_ac_start} onChange={this.handleStartChange} placeholder="Start Date (YYYY-MM-DD)" />
@@ -401,6 +471,34 @@ class CreateAnnotationCampaign extends Component<CACProps, CACState> {
               </select>
             </div>
           </div>
+
+          <div className="form-group row">
+            <label className="col-sm-5 col-form-label">Expected annotations:</label>
+            <div className="col-sm-5">
+              <select id="cac-annotation-mode" value={this.state.new_ac_annotation_mode} className="form-control" onChange={this.handleAnnotationModeChange}>
+                <option value="strong">Boxes on the spectrogram</option>
+                <option value="weak">Presence / absence of each tag in the file</option>
+                <option value="both">Both</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group row">
+            <label className="col-sm-5 col-form-label">Confidence level of annotations:</label>
+            <div className="col-sm-3">
+              <select id="cac-confidence-scale" value={this.state.new_ac_confidence_scale} className="form-control" onChange={this.handleConfidenceScaleChange}>
+                <option value="none">Not asked</option>
+                <option value="low-high">Low / Medium / High</option>
+                <option value="1-5">1 to 5</option>
+                <option value="custom">Custom</option>
+              </select>
+            </div>
+            {this.state.new_ac_confidence_scale === 'custom' &&
+              <div className="col-sm-4">
+                <input id="cac-confidence-levels" className="form-control" type="text" value={this.state.new_ac_confidence_levels} onChange={this.handleConfidenceLevelsChange} placeholder="Levels, lowest first (comma separated)" />
+              </div>
+            }
+          </div>
           <div className="text-center">
             <input className="btn btn-primary" type="submit" value="Submit" />
           </div>
@@ -117,3 +117,46 @@ export function unregister() {
     });
   }
 }
+
+// Background sync of annotation submissions queued while offline.
+// The worker handling sync events has its own scope, so it does not interfere
+// with the cache-first service worker registered above.
+export function registerBackgroundSync(tag) {
+  if (!('serviceWorker' in navigator) || !('SyncManager' in window)) {
+    // Submissions will only be sent while the annotator is open
+    return Promise.resolve(false);
+  }
+
+  const syncUrl = `${process.env.PUBLIC_URL || ''}/sync-worker.js`;
+  const scope = `${process.env.PUBLIC_URL || ''}/sync-worker/`;
+
+  return navigator.serviceWorker
+    .register(syncUrl, { scope })
+    .then(waitForActivation)
+    .then(registration => {
+      if (!registration.active) {
+        return false;
+      }
+      return registration.sync.register(tag).then(() => true);
+    })
+    .catch(error => {
+      console.error('Error during background sync registration:', error);
+      return false;
+    });
+}
+
+// Sync can only be registered once the worker is active
+function waitForActivation(registration) {
+  const worker = registration.installing || registration.waiting;
+  if (!worker) {
+    return Promise.resolve(registration);
+  }
+
+  return new Promise(resolve => {
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'activated' || worker.state === 'redundant') {
+        resolve(registration);
+      }
+    });
+  });
+}
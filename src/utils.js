@@ -43,3 +43,53 @@ export function getTagColor(tags: Map<string, string>, tag: string): string {
   const color: ?string = tags.get(tag);
   return color ? color : '#bbbbbb';
 }
+
+/**
+ * Identify the user of an authentication token (JWT), without checking its signature
+ * @param {string} token JSON Web Token
+ * @return {?string} user identifier from the token payload, undefined if the token cannot be decoded
+ */
+export function getTokenUser(token: string): ?string {
+  try {
+    const payload: string = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims: Object = JSON.parse(window.atob(payload));
+    const user: any = claims.user_id || claims.id || claims.sub || claims.username;
+    if (user !== undefined && user !== null) {
+      return user.toString();
+    }
+  } catch (err) {
+    // Not a JWT: unknown user
+  }
+  return undefined;
+}
+
+/**
+ * Name of a file without its extension, from its URL
+ */
+export function getFileBasename(url: string): string {
+  const filename: string = url.split('?')[0].split('/').pop();
+  return filename.replace(/\.[^.]*$/, '');
+}
+
+/**
+ * Save a file on the user's computer, using the <a>-linking trick (https://stackoverflow.com/a/19328891/2730032)
+ * @param {string} content file content
+ * @param {string} filename name suggested to the user
+ * @param {string} type MIME type of the file
+ */
+export function downloadFile(content: string, filename: string, type: string) {
+  const url: string = URL.createObjectURL(new Blob([content], { type }));
+  const a: HTMLAnchorElement = document.createElement('a');
+  a.style.display = 'none';
+  a.href = url;
+  a.download = filename;
+  if (!document.body) throw new Error('Unexpectedly missing <body>');
+  document.body.appendChild(a);
+  a.click();
+
+  // Released once the download has started
+  setTimeout(() => {
+    a.remove();
+    URL.revokeObjectURL(url);
+  }, 1000);
+}
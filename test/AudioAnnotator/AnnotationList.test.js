@@ -0,0 +1,134 @@
+import assert from 'assert';
+import React from 'react';
+import { mount } from 'enzyme';
+
+import AnnotationList from '../../src/AudioAnnotator/AnnotationList';
+import { buildAnnotation } from '../utils/annotations';
+
+const TAGS = ['Odontocete > Sperm whale', 'Odontocete > Dolphin', 'Boat'];
+
+const ANNOTATIONS = [
+  buildAnnotation({id: '1', labels: ['Boat'], startTime: 30, endTime: 40, startFrequency: 100}),
+  buildAnnotation({id: '2', labels: ['Odontocete > Dolphin'], startTime: 5, endTime: 6}),
+  buildAnnotation({id: '3', labels: [], startTime: 12, endTime: 12, type: 'point', startFrequency: 0, endFrequency: 64000}),
+  buildAnnotation({id: '4', labels: ['Odontocete > Sperm whale'], startTime: 50, endTime: 51}),
+];
+
+function mountList(callbacks = {}) {
+  return mount(
+    <AnnotationList
+      annotations={ANNOTATIONS}
+      tags={TAGS}
+      confidenceLevels={[]}
+      boundaries={{startFrequency: 0, endFrequency: 64000}}
+      duration={60}
+      onAnnotationSelected={callbacks.onAnnotationSelected || (() => {})}
+      onAnnotationsSelected={callbacks.onAnnotationsSelected || (() => {})}
+      onAnnotationUpdated={callbacks.onAnnotationUpdated || (() => {})}
+    />
+  );
+}
+
+// Ids of the listed annotations, from the key of their rows
+const listedIds = (wrapper) => wrapper.find('tbody > tr').map(row => row.key().replace('listann-', ''));
+
+describe('testing AnnotationList component', function () {
+  it('lists annotations by start time', () => {
+    const wrapper = mountList();
+    assert.deepEqual(listedIds(wrapper), ['2', '3', '1', '4']);
+    assert.equal(wrapper.find('thead th').first().text(), 'Annotations (4 / 4)');
+    wrapper.unmount();
+  });
+
+  it('sorts by column, twice for a descending order', () => {
+    const wrapper = mountList();
+    wrapper.find('th.sort-frequency').simulate('click');
+    assert.deepEqual(listedIds(wrapper), ['3', '1', '2', '4']);
+    wrapper.find('th.sort-tag').simulate('click');
+    wrapper.find('th.sort-tag').simulate('click');
+    assert.deepEqual(listedIds(wrapper), ['4', '2', '1', '3']);
+    wrapper.unmount();
+  });
+
+  it('filters by tag, including child tags, and by time range', () => {
+    const wrapper = mountList();
+    const select = wrapper.find('.annotation-filters select');
+    select.instance().value = 'Odontocete';
+    select.simulate('change');
+    assert.deepEqual(listedIds(wrapper), ['2', '4']);
+
+    select.instance().value = '-';
+    select.simulate('change');
+    assert.deepEqual(listedIds(wrapper), ['3']);
+
+    select.instance().value = '';
+    select.simulate('change');
+    const from = wrapper.find('#filter-from-time');
+    from.instance().value = '10';
+    from.simulate('change');
+    const to = wrapper.find('#filter-to-time');
+    to.instance().value = '35';
+    to.simulate('change');
+    assert.deepEqual(listedIds(wrapper), ['3', '1']);
+    wrapper.unmount();
+  });
+
+  it('selects ranges of listed annotations with Shift', () => {
+    const selected = [];
+    const ranges = [];
+    const wrapper = mountList({
+      onAnnotationSelected: (ann, isExtending) => { selected.push([ann.id, isExtending]); },
+      onAnnotationsSelected: (annotations, isExtending) => {
+        ranges.push([annotations.map(ann => ann.id), isExtending]);
+      },
+    });
+    wrapper.find('tbody > tr').at(0).simulate('click');
+    wrapper.find('tbody > tr').at(2).simulate('click', { ctrlKey: true });
+    wrapper.find('tbody > tr').at(3).simulate('click', { shiftKey: true });
+    wrapper.find('tbody > tr').at(1).simulate('click', { shiftKey: true, metaKey: true });
+    assert.deepEqual(selected, [['2', false], ['1', true]]);
+    assert.deepEqual(ranges, [[['1', '4'], false], [['3', '1'], true]]);
+    wrapper.unmount();
+  });
+
+  it('edits bounds within the task boundaries', () => {
+    let updated = null;
+    const wrapper = mountList({ onAnnotationUpdated: (ann, action) => { updated = { ann, action }; } });
+    wrapper.find('button.edit-bounds').at(0).simulate('click');
+
+    const inputs = wrapper.find('.edited-annotation input');
+    assert.equal(inputs.length, 4);
+    inputs.at(1).instance().value = '70';
+    inputs.at(1).simulate('change');
+    wrapper.find('button.save-bounds').simulate('click');
+    assert.equal(updated, null);
+    assert.equal(wrapper.find('.edit-error').text(), 'Times must be between 0 and 60.000 s.');
+
+    inputs.at(1).instance().value = '6.5';
+    inputs.at(1).simulate('change');
+    inputs.at(2).instance().value = '1200';
+    inputs.at(2).simulate('change');
+    inputs.at(2).simulate('keydown', { key: 'Enter' });
+    assert.equal(updated.action, 'edit');
+    assert.deepEqual(
+      [updated.ann.id, updated.ann.startTime, updated.ann.endTime, updated.ann.startFrequency, updated.ann.endFrequency],
+      ['2', 5, 6.5, 1200, 2000]
+    );
+    assert.equal(wrapper.find('.edited-annotation').length, 0);
+    wrapper.unmount();
+  });
+
+  it('edits points with a single time', () => {
+    let updated = null;
+    const wrapper = mountList({ onAnnotationUpdated: (ann) => { updated = ann; } });
+    wrapper.find('button.edit-bounds').at(1).simulate('click');
+
+    const inputs = wrapper.find('.edited-annotation input');
+    assert.equal(inputs.length, 1);
+    inputs.at(0).instance().value = '13';
+    inputs.at(0).simulate('change');
+    wrapper.find('button.save-bounds').simulate('click');
+    assert.deepEqual([updated.startTime, updated.endTime, updated.startFrequency], [13, 13, 0]);
+    wrapper.unmount();
+  });
+});
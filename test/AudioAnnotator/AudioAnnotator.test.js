@@ -0,0 +1,453 @@
+import assert from 'assert';
+import React from 'react';
+import nock from 'nock';
+import { shallow } from 'enzyme';
+
+import AudioAnnotator from '../../src/AudioAnnotator/AudioAnnotator';
+import { getDeletedAnnotations } from '../../src/AudioAnnotator/events';
+import { emptyHistory } from '../../src/AudioAnnotator/history';
+import { buildAnnotation } from '../utils/annotations';
+
+// Task of a 60 seconds recording, from 0 to 8000 Hz
+function buildTask(fields) {
+  return Object.assign({
+    annotationTags: ['Whale', 'Boat'],
+    boundaries: {
+      startTime: '2020-01-01T00:00:00.000Z',
+      endTime: '2020-01-01T00:01:00.000Z',
+      startFrequency: 0,
+      endFrequency: 8000,
+    },
+    audioUrl: 'http://test.ode/audio.wav',
+    spectroUrls: [{nfft: 1024, winsize: 1024, overlap: 50, urls: []}],
+    prevAnnotations: [],
+    campaignId: 1,
+    instructionsUrl: undefined,
+    annotationMode: undefined,
+    confidenceLevels: undefined,
+    referenceAnnotations: undefined,
+  }, fields);
+}
+
+// Annotator showing a task, without loading it from the server
+function loadAnnotator(task) {
+  const wrapper = shallow(
+    <AudioAnnotator
+      match={{params: {annotation_task_id: 1}}}
+      app_token="token"
+      history={{push: () => {}}}
+    />,
+    { disableLifecycleMethods: true }
+  );
+  wrapper.instance().setTask(1, task);
+  return wrapper;
+}
+
+describe('testing AudioAnnotator component', function () {
+  describe('annotation ids', function () {
+    it('does not reuse the id of a deleted annotation', () => {
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [buildAnnotation({id: '3', labels: ['Whale']}), buildAnnotation({id: '7', labels: ['Boat']})],
+      }));
+      const annotator = wrapper.instance();
+
+      annotator.saveAnnotation(buildAnnotation({startTime: 20, endTime: 22}));
+      const created = wrapper.state('annotations').find(ann => ann.startTime === 20);
+      assert.equal(created.id, '8');
+
+      annotator.deleteAnnotation(created);
+      annotator.saveAnnotation(buildAnnotation({startTime: 30, endTime: 32}));
+      const ids = wrapper.state('annotations').map(ann => ann.id);
+      assert.deepEqual(ids, ['3', '7', '9']);
+
+      // The deleted annotation is still reported to the server
+      assert.deepEqual(getDeletedAnnotations(annotator.events, wrapper.state('annotations')).map(ann => ann.id), ['8']);
+    });
+
+    it('gives unique ids to annotations added at once', () => {
+      const wrapper = loadAnnotator(buildTask({prevAnnotations: [buildAnnotation({id: '2', labels: ['Whale']})]}));
+      const annotator = wrapper.instance();
+
+      annotator.addAnnotations('import', 'import', [buildAnnotation({}), buildAnnotation({startTime: 20, endTime: 21})]);
+      annotator.deleteAnnotations(wrapper.state('annotations').filter(ann => ann.id === '4'));
+      annotator.togglePresence('Boat');
+
+      assert.deepEqual(wrapper.state('annotations').map(ann => ann.id), ['2', '3', '5']);
+    });
+  });
+
+  describe('copy, paste and duplicate', function () {
+    it('pastes the copied annotation at the playhead, within the frequency range of the task', () => {
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [buildAnnotation({id: '1', labels: ['Whale'], comment: 'Faint', startFrequency: 1000, endFrequency: 6000})],
+      }));
+      const annotator = wrapper.instance();
+
+      annotator.selectAnnotation(wrapper.state('annotations')[0], false);
+      annotator.copyAnnotation();
+
+      // Pasted in another task, up to 4000 Hz
+      annotator.setTask(2, buildTask({
+        boundaries: {
+          startTime: '2020-01-01T00:00:00.000Z',
+          endTime: '2020-01-01T00:01:00.000Z',
+          startFrequency: 0,
+          endFrequency: 4000,
+        },
+        prevAnnotations: [buildAnnotation({id: '5', labels: ['Boat']})],
+      }));
+      wrapper.setState({duration: 60, currentTime: 30});
+      annotator.pasteAnnotation();
+
+      const pasted = wrapper.state('annotations').find(ann => ann.startTime === 30);
+      assert.deepEqual(
+        [pasted.endTime, pasted.startFrequency, pasted.endFrequency],
+        [31, 1000, 4000]
+      );
+      assert.deepEqual(pasted.labels, ['Whale']);
+      assert.equal(pasted.comment, undefined);
+      assert.equal(pasted.id, '6');
+      assert.equal(pasted.active, true);
+    });
+
+    it('adds copies at a fixed interval, with new ids, within the recording', () => {
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [buildAnnotation({id: '1', labels: ['Whale'], startTime: 10, endTime: 12})],
+      }));
+      const annotator = wrapper.instance();
+
+      wrapper.setState({duration: 60, duplicateCount: '3', duplicateInterval: '20'});
+      annotator.selectAnnotation(wrapper.state('annotations')[0], false);
+      annotator.duplicateAnnotation();
+
+      const annotations = wrapper.state('annotations');
+      assert.deepEqual(annotations.map(ann => ann.startTime).sort((a, b) => a - b), [10, 30, 50]);
+      assert.deepEqual(annotations.map(ann => ann.id).sort(), ['1', '2', '3']);
+      assert.ok(annotations.every(ann => ann.labels.includes('Whale')));
+      // The third copy would end after the recording
+      assert.equal(wrapper.state('toastMsg').msg, '1 copies past the end of the recording were not added.');
+
+      annotator.selectAnnotation(annotations.find(ann => ann.startTime === 50), false);
+      wrapper.setState({duplicateCount: '1', duplicateInterval: ''});
+      annotator.duplicateAnnotation();
+      assert.equal(wrapper.state('annotations').find(ann => ann.startTime === 52).id, '4');
+    });
+  });
+
+  describe('bulk actions', function () {
+    // Two boxes and a presence annotation, all selected, and an unselected box
+    function loadSelection() {
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [
+          buildAnnotation({id: '1', labels: ['Whale'], startTime: 10, endTime: 12}),
+          buildAnnotation({id: '2', labels: ['Whale', 'Boat'], startTime: 20, endTime: 22}),
+          buildAnnotation({id: '3', labels: ['Whale'], type: 'weak', startTime: 0, endTime: 60}),
+          buildAnnotation({id: '4', labels: ['Whale'], startTime: 30, endTime: 32}),
+        ],
+      }));
+      wrapper.setState({
+        duration: 60,
+        annotations: wrapper.state('annotations').map(ann => Object.assign({}, ann, {active: ann.id !== '4'})),
+      });
+      return wrapper;
+    }
+
+    function getLabelsById(wrapper) {
+      return wrapper.state('annotations')
+        .slice()
+        .sort((a, b) => Number(a.id) - Number(b.id))
+        .map(ann => ann.labels);
+    }
+
+    it('replaces the selection with a range of the list, or adds the range to it', () => {
+      const wrapper = loadSelection();
+      const annotator = wrapper.instance();
+      const getSelectedIds = () => annotator.getSelectedAnnotations().map(ann => ann.id).sort();
+      const getById = (id) => wrapper.state('annotations').find(ann => ann.id === id);
+
+      annotator.selectAnnotations([getById('2'), getById('4')], false);
+      assert.deepEqual(getSelectedIds(), ['2', '4']);
+
+      annotator.selectAnnotations([getById('1')], true);
+      assert.deepEqual(getSelectedIds(), ['1', '2', '4']);
+    });
+
+    it('adds a tag to the selected annotations, then removes it, presence annotations excepted', () => {
+      const wrapper = loadSelection();
+      const annotator = wrapper.instance();
+
+      annotator.toggleTag('Boat');
+      assert.deepEqual(getLabelsById(wrapper), [['Whale', 'Boat'], ['Whale', 'Boat'], ['Whale'], ['Whale']]);
+
+      annotator.toggleTag('Boat');
+      assert.deepEqual(getLabelsById(wrapper), [['Whale'], ['Whale'], ['Whale'], ['Whale']]);
+
+      // A single undo step for each bulk action
+      annotator.undo();
+      assert.deepEqual(getLabelsById(wrapper), [['Whale', 'Boat'], ['Whale', 'Boat'], ['Whale'], ['Whale']]);
+    });
+
+    it('deletes the selected annotations', () => {
+      const wrapper = loadSelection();
+      const annotator = wrapper.instance();
+
+      annotator.deleteAnnotations(annotator.getSelectedAnnotations());
+      assert.deepEqual(wrapper.state('annotations').map(ann => ann.id), ['4']);
+
+      annotator.undo();
+      assert.equal(wrapper.state('annotations').length, 4);
+    });
+
+    it('moves the selected annotations, unless one would leave the recording', () => {
+      const wrapper = loadSelection();
+      const annotator = wrapper.instance();
+      const getStartTimes = () => wrapper.state('annotations')
+        .slice()
+        .sort((a, b) => Number(a.id) - Number(b.id))
+        .map(ann => ann.startTime);
+
+      wrapper.setState({timeShift: '-5'});
+      annotator.shiftSelectedAnnotations();
+      assert.deepEqual(getStartTimes(), [5, 15, 0, 30]);
+
+      wrapper.setState({timeShift: '-6'});
+      annotator.shiftSelectedAnnotations();
+      assert.deepEqual(getStartTimes(), [5, 15, 0, 30]);
+      assert.equal(wrapper.state('toastMsg').lvl, 'danger');
+    });
+  });
+
+  describe('drafts', function () {
+    // Run the draft autosave check of an update from the given state (lifecycle methods are disabled)
+    function update(wrapper, prevState) {
+      wrapper.instance().componentDidUpdate(wrapper.instance().props, prevState);
+    }
+
+    it('saves a draft after edits only', () => {
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [buildAnnotation({id: '1', labels: ['Whale']})],
+      }));
+      const annotator = wrapper.instance();
+
+      // Loading the task
+      update(wrapper, Object.assign({}, wrapper.state(), {isLoading: true, annotations: [], history: emptyHistory()}));
+      assert.equal(annotator.draftTimer, undefined);
+
+      // Selecting an annotation
+      let prevState = wrapper.state();
+      annotator.selectAnnotation(wrapper.state('annotations')[0], false);
+      update(wrapper, prevState);
+      assert.equal(annotator.draftTimer, undefined);
+
+      prevState = wrapper.state();
+      annotator.saveAnnotation(buildAnnotation({startTime: 20, endTime: 22, labels: ['Boat']}));
+      update(wrapper, prevState);
+      assert.notEqual(annotator.draftTimer, undefined);
+      annotator.flushDraft();
+
+      prevState = wrapper.state();
+      annotator.changeTaskComment({target: {value: 'Rain'}});
+      update(wrapper, prevState);
+      assert.notEqual(annotator.draftTimer, undefined);
+      annotator.flushDraft();
+    });
+
+    it('does not save a draft once the task is submitted', () => {
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [buildAnnotation({id: '1', labels: ['Whale']})],
+      }));
+      const annotator = wrapper.instance();
+
+      // Feedback of a reference task
+      wrapper.setState({feedback: {hits: [], misses: [], falseAlarms: []}});
+      let prevState = wrapper.state();
+      annotator.deleteAnnotation(wrapper.state('annotations')[0]);
+      update(wrapper, prevState);
+      assert.equal(annotator.draftTimer, undefined);
+
+      wrapper.setState({feedback: undefined});
+      annotator.isSubmitted = true;
+      prevState = wrapper.state();
+      annotator.undo();
+      update(wrapper, prevState);
+      assert.equal(annotator.draftTimer, undefined);
+    });
+  });
+
+  describe('unknown users', function () {
+    it('neither reads nor writes local records without a known user', () => {
+      const annotator = loadAnnotator(buildTask({})).instance();
+      let isRun = false;
+
+      return annotator.runForUser(() => { isRun = true; return Promise.resolve(); })
+        .then(() => assert.fail('Should be refused'), err => {
+          assert.equal(isRun, false);
+          assert.ok(err.message.startsWith('Unknown user'));
+        });
+    });
+
+    it('does not queue submissions without a known user', () => {
+      // Not a JWT: the user cannot be identified
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [buildAnnotation({id: '1', labels: ['Whale']})],
+      }));
+      const annotator = wrapper.instance();
+      let isNavigated = false;
+      annotator.leaveTask = () => { isNavigated = true; };
+
+      annotator.queueSubmission(1, 'http://test.ode/annotation-task/1/update-results', {}, {crossDomain: true});
+      return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+        assert.equal(isNavigated, false);
+        assert.equal(wrapper.state('toastMsg').lvl, 'danger');
+        assert.equal(wrapper.state('annotations').length, 1);
+      });
+    });
+  });
+
+  describe('comments', function () {
+    it('sets the comment of the selected annotation', () => {
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [buildAnnotation({id: '1', labels: ['Whale']}), buildAnnotation({id: '2', labels: ['Boat']})],
+      }));
+      const annotator = wrapper.instance();
+
+      annotator.selectAnnotation(wrapper.state('annotations').find(ann => ann.id === '2'), false);
+      annotator.setComment({currentTarget: {value: ' Overlapping with a call '}});
+
+      const annotations = wrapper.state('annotations');
+      assert.equal(annotations.find(ann => ann.id === '2').comment, 'Overlapping with a call');
+      assert.equal(annotations.find(ann => ann.id === '1').comment, undefined);
+      assert.equal(annotator.events[annotator.events.length - 1].type, 'change-annotation-comment');
+    });
+
+    it('submits the task comment and the annotation comments', () => {
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [buildAnnotation({id: '1', labels: ['Whale'], comment: 'Faint'})],
+      }));
+      const annotator = wrapper.instance();
+      let payload = undefined;
+
+      annotator.changeTaskComment({target: {value: ' Rain all along '}});
+      nock(process.env.REACT_APP_API_URL)
+        .post('/annotation-task/1/update-results', body => {
+          payload = body;
+          return true;
+        })
+        .reply(400);
+
+      return annotator.submitAnnotations().then(() => {
+        assert.equal(payload.task_comment, 'Rain all along');
+        assert.deepEqual(payload.annotations.map(ann => ann.comment), ['Faint']);
+      });
+    });
+  });
+
+  describe('submission checks', function () {
+    it('blocks submission while imported tags are unknown', () => {
+      const wrapper = loadAnnotator(buildTask({
+        prevAnnotations: [buildAnnotation({id: '1', labels: ['Whale']})],
+      }));
+      const annotator = wrapper.instance();
+      const imported = buildAnnotation({id: '2', labels: ['Whale'], unmatchedLabels: ['Dolphin'], startTime: 30, endTime: 32});
+      wrapper.setState({annotations: wrapper.state('annotations').concat(imported)});
+      let submitted = [];
+      nock(process.env.REACT_APP_API_URL)
+        .post('/annotation-task/1/update-results', body => {
+          submitted.push(body);
+          return true;
+        })
+        .times(2)
+        .reply(400);
+
+      annotator.checkAndSubmitAnnotations();
+      assert.equal(wrapper.state('toastMsg').lvl, 'danger');
+      assert.equal(wrapper.state('annotations').find(ann => ann.active).id, '2');
+
+      // Changing its tags confirms the annotation
+      annotator.toggleTag('Boat');
+      assert.equal(wrapper.state('annotations').find(ann => ann.id === '2').unmatchedLabels, undefined);
+      return annotator.checkAndSubmitAnnotations().then(() => {
+        assert.equal(submitted.length, 1);
+        assert.deepEqual(submitted[0].annotations.map(ann => ann.annotation), ['Whale', 'Whale']);
+        nock.cleanAll();
+      });
+    });
+  });
+
+  describe('playback', function () {
+    it('keeps drawn annotations while the playhead moves', () => {
+      const wrapper = loadAnnotator(buildTask({
+        annotationMode: 'weak',
+        prevAnnotations: [buildAnnotation({id: '1', labels: ['Whale'], type: 'weak'})],
+      }));
+      const annotations = wrapper.find('Workbench').prop('annotations');
+      assert.deepEqual(annotations, []);
+
+      wrapper.instance().updateProgress(1.5);
+      wrapper.instance().updateProgress(1.51);
+      assert.equal(wrapper.find('Workbench').prop('annotations'), annotations);
+
+      wrapper.instance().togglePresence('Boat');
+      assert.notEqual(wrapper.find('Workbench').prop('annotations'), annotations);
+    });
+
+    it('plays audio from servers without CORS headers', () => {
+      const wrapper = loadAnnotator(buildTask({}));
+      assert.equal(wrapper.find('AudioPlayer').prop('crossOrigin'), null);
+    });
+
+    it('plays at the chosen rate, shifting the pitch unless it is kept', () => {
+      const wrapper = loadAnnotator(buildTask({}));
+      wrapper.find('.select-rate').simulate('change', {target: {value: '0.5'}});
+      assert.equal(wrapper.find('AudioPlayer').prop('playbackRate'), 0.5);
+      assert.equal(wrapper.find('AudioPlayer').prop('preservesPitch'), false);
+    });
+
+    it('shows the pitch mode once pitch correction is known to be supported', () => {
+      const wrapper = loadAnnotator(buildTask({}));
+      assert.equal(wrapper.find('.select-pitch').length, 0);
+
+      wrapper.setState({isPitchControlSupported: true});
+      assert.equal(wrapper.find('.select-pitch').length, 1);
+      wrapper.find('.select-pitch').simulate('change', {target: {value: 'preserve'}});
+      assert.equal(wrapper.find('AudioPlayer').prop('preservesPitch'), true);
+    });
+  });
+
+  describe('presence / absence mode', function () {
+    it('marks a tag as present in the whole recording, then as absent', () => {
+      const wrapper = loadAnnotator(buildTask({
+        annotationMode: 'weak',
+        boundaries: {
+          startTime: '2020-01-01T00:00:00.000Z',
+          endTime: '2020-01-01T00:01:00.000Z',
+          startFrequency: 100,
+          endFrequency: 8000,
+        },
+      }));
+      const annotator = wrapper.instance();
+
+      annotator.togglePresence('Whale');
+      const presences = wrapper.state('annotations');
+      assert.equal(presences.length, 1);
+      assert.equal(presences[0].type, 'weak');
+      assert.deepEqual(presences[0].labels, ['Whale']);
+      assert.deepEqual(
+        [presences[0].startTime, presences[0].endTime, presences[0].startFrequency, presences[0].endFrequency],
+        [0, 60, 100, 8000]
+      );
+
+      annotator.togglePresence('Boat');
+      annotator.togglePresence('Whale');
+      assert.deepEqual(wrapper.state('annotations').map(ann => ann.labels), [['Boat']]);
+    });
+
+    it('does not let annotators draw on the spectrogram', () => {
+      const weakWrapper = loadAnnotator(buildTask({annotationMode: 'weak'}));
+      assert.equal(weakWrapper.find('Workbench').prop('canDraw'), false);
+
+      const strongWrapper = loadAnnotator(buildTask({}));
+      assert.equal(strongWrapper.find('Workbench').prop('canDraw'), true);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import assert from 'assert';
+import React from 'react';
+import { mount } from 'enzyme';
+
+import AudioPlayer from '../../src/AudioAnnotator/AudioPlayer';
+
+describe('testing AudioPlayer component', function () {
+  // Standard pitch correction switch, missing from jsdom
+  beforeEach(() => {
+    window.HTMLMediaElement.prototype.preservesPitch = true;
+  });
+
+  afterEach(() => {
+    delete window.HTMLMediaElement.prototype.preservesPitch;
+  });
+
+  it('sets the playback rate and pitch correction of the audio element', () => {
+    const wrapper = mount(<AudioPlayer src="http://test.ode/audio.wav" playbackRate={0.5} />);
+    const audioElement = wrapper.instance().audioElement;
+    assert.equal(audioElement.playbackRate, 0.5);
+    assert.equal(audioElement.preservesPitch, false);
+
+    wrapper.setProps({playbackRate: 2, preservesPitch: true});
+    assert.equal(audioElement.playbackRate, 2);
+    assert.equal(audioElement.preservesPitch, true);
+    wrapper.unmount();
+  });
+
+  it('changes the rate of browsers which cannot switch pitch correction', () => {
+    delete window.HTMLMediaElement.prototype.preservesPitch;
+    const wrapper = mount(<AudioPlayer src="http://test.ode/audio.wav" playbackRate={0.5} preservesPitch={false} />);
+    const audioElement = wrapper.instance().audioElement;
+    assert.equal(audioElement.playbackRate, 0.5);
+    assert.equal(audioElement.preservesPitch, undefined);
+    wrapper.unmount();
+  });
+
+  it('reports the playback position while playing, until unmounted', () => {
+    const wrapper = mount(<AudioPlayer src="http://test.ode/audio.wav" listenInterval={10} />);
+    const player = wrapper.instance();
+
+    wrapper.find('audio').simulate('play');
+    assert.ok(player.listenTracker);
+    wrapper.find('audio').simulate('pause');
+    assert.equal(player.listenTracker, null);
+
+    wrapper.find('audio').simulate('play');
+    wrapper.unmount();
+    assert.equal(player.listenTracker, null);
+  });
+});
@@ -0,0 +1,254 @@
+import assert from 'assert';
+import React from 'react';
+import { mount } from 'enzyme';
+
+import Region from '../../src/AudioAnnotator/Region';
+
+const annotation = {
+  id: '1',
+  annotation: 'Whale',
+  startTime: 10,
+  endTime: 20,
+  startFrequency: 1000,
+  endFrequency: 2000,
+  active: false,
+};
+
+function mountRegion(onRegionMoved, onRegionClicked = () => {}, onRegionMoveStarted = () => {}) {
+  return mount(
+    <Region
+      annotation={annotation}
+      color="#00b1b9"
+      timePxRatio={10}
+      freqPxRatio={0.1}
+      offsetTop={300}
+      offsetLeft={100}
+      duration={60}
+      startFrequency={0}
+      frequencyRange={5000}
+      onRegionDeleted={() => {}}
+      onRegionMoveStarted={onRegionMoveStarted}
+      onRegionMoved={onRegionMoved}
+      onRegionPlayed={() => {}}
+      onRegionClicked={onRegionClicked}
+    />
+  );
+}
+
+function pointer(type, clientX, clientY) {
+  document.dispatchEvent(new window.MouseEvent(type, { clientX, clientY }));
+}
+
+describe('testing Region component', function() {
+  it('moves the annotation when dragging its body', () => {
+    let moved = null;
+    let wrapper = mountRegion((ann, action) => { moved = { ann, action }; });
+    wrapper.find('.region-body').simulate('pointerdown', { clientX: 150, clientY: 350 });
+    pointer('pointermove', 200, 340);
+    pointer('pointerup', 200, 340);
+    assert.deepEqual(moved.action, 'move');
+    assert.deepEqual(moved.ann.startTime, 15);
+    assert.deepEqual(moved.ann.endTime, 25);
+    assert.deepEqual(moved.ann.startFrequency, 1100);
+    assert.deepEqual(moved.ann.endFrequency, 2100);
+    wrapper.unmount();
+  });
+
+  it('keeps the annotation inside task boundaries', () => {
+    let moved = null;
+    let wrapper = mountRegion((ann) => { moved = ann; });
+    wrapper.find('.region-body').simulate('pointerdown', { clientX: 150, clientY: 350 });
+    pointer('pointermove', 1000, 0);
+    pointer('pointerup', 1000, 0);
+    assert.deepEqual(moved.endTime, 60);
+    assert.deepEqual(moved.endFrequency, 5000);
+    wrapper.unmount();
+  });
+
+  it('resizes the annotation when dragging a corner', () => {
+    let moved = null;
+    let wrapper = mountRegion((ann, action) => { moved = { ann, action }; });
+    wrapper.find('.region-handle-sw').simulate('pointerdown', { clientX: 100, clientY: 400 });
+    pointer('pointermove', 80, 410);
+    pointer('pointerup', 80, 410);
+    assert.deepEqual(moved.action, 'resize');
+    assert.deepEqual(moved.ann.startTime, 8);
+    assert.deepEqual(moved.ann.endTime, 20);
+    assert.deepEqual(moved.ann.startFrequency, 900);
+    assert.deepEqual(moved.ann.endFrequency, 2000);
+    wrapper.unmount();
+  });
+
+  it('selects the annotation on a simple click', () => {
+    let clicked = null;
+    let wrapper = mountRegion(() => assert.fail('Should not move'), (ann) => { clicked = ann; });
+    wrapper.find('.region-body').simulate('pointerdown', { clientX: 150, clientY: 350 });
+    pointer('pointerup', 150, 350);
+    assert.deepEqual(clicked.id, '1');
+    wrapper.unmount();
+  });
+
+  it('extends the selection on clicks with a modifier key', () => {
+    let clicks = [];
+    let wrapper = mountRegion(() => {}, (ann, isExtending) => { clicks.push(isExtending); });
+    const header = wrapper.find('.region-header > span').first();
+    header.simulate('click');
+    header.simulate('click', { ctrlKey: true });
+    header.simulate('click', { shiftKey: true });
+    assert.deepEqual(clicks, [false, true, true]);
+    wrapper.unmount();
+  });
+
+  it('reports the start of a drag once', () => {
+    let started = [];
+    let wrapper = mountRegion(() => {}, () => {}, (ann, action) => { started.push(action); });
+    wrapper.find('.region-handle-e').simulate('pointerdown', { clientX: 200, clientY: 350 });
+    pointer('pointermove', 201, 350);
+    assert.deepEqual(started, []);
+    pointer('pointermove', 210, 350);
+    pointer('pointermove', 220, 350);
+    pointer('pointerup', 220, 350);
+    assert.deepEqual(started, ['resize']);
+    wrapper.unmount();
+  });
+
+  it('shades the header with the confidence level', () => {
+    let wrapper = mountRegion(() => {});
+    const headerColor = () => wrapper.find('.region-header').prop('style').backgroundColor;
+
+    assert.equal(headerColor(), '#00b1b988');
+    wrapper.setProps({ confidence: 1 });
+    assert.equal(headerColor(), '#00b1b988');
+    wrapper.setProps({ confidence: 0.5 });
+    assert.equal(headerColor(), '#00b1b958');
+    wrapper.setProps({ annotation: Object.assign({}, annotation, { active: true }) });
+    assert.equal(headerColor(), '#00b1b9a6');
+    wrapper.unmount();
+  });
+
+  it('shows the comment as a tooltip', () => {
+    let wrapper = mountRegion(() => {});
+
+    assert.equal(wrapper.find('.region-comment').length, 0);
+    wrapper.setProps({ annotation: Object.assign({}, annotation, { comment: 'Ship noise' }) });
+    assert.equal(wrapper.find('.region-comment').prop('title'), 'Ship noise');
+    assert.equal(wrapper.find('.region-body').prop('title'), 'Ship noise');
+    wrapper.unmount();
+  });
+
+  it('moves time-only annotations in time only', () => {
+    let moved = null;
+    let wrapper = mountRegion((ann) => { moved = ann; });
+    wrapper.setProps({
+      annotation: Object.assign({}, annotation, { type: 'interval', startFrequency: 0, endFrequency: 5000 }),
+      bandHeight: 400,
+      offsetTop: 0,
+    });
+
+    assert.deepEqual(wrapper.find('.region-handle').map(handle => handle.prop('className')),
+      ['region-handle region-handle-e', 'region-handle region-handle-w']);
+    // Header inside the band
+    assert.equal(wrapper.find('.region').prop('style').top, 0);
+    assert.equal(wrapper.find('.region-body').prop('style').height, 379);
+
+    // Moved by the header, the body lets drawing events through
+    wrapper.find('.region-header > span').first().simulate('pointerdown', { clientX: 150, clientY: 10 });
+    pointer('pointermove', 200, 50);
+    pointer('pointerup', 200, 50);
+    assert.deepEqual(moved.startTime, 15);
+    assert.deepEqual(moved.startFrequency, 0);
+    assert.deepEqual(moved.endFrequency, 5000);
+
+    wrapper.setProps({ annotation: Object.assign({}, moved, { type: 'point', endTime: moved.startTime }) });
+    assert.equal(wrapper.find('.region-handle').length, 0);
+    assert.equal(wrapper.find('.region-point').length, 1);
+    wrapper.unmount();
+  });
+
+  it('shows points as markers, selected by a click on their header', () => {
+    let clicks = [];
+    let wrapper = mountRegion(() => assert.fail('Should not move'), (ann, isExtending) => { clicks.push(isExtending); });
+    wrapper.setProps({
+      annotation: Object.assign({}, annotation, { type: 'point', endTime: 10, startFrequency: 0, endFrequency: 5000 }),
+      bandHeight: 400,
+      offsetTop: 0,
+    });
+
+    // Visible, and centered on the point
+    assert.equal(wrapper.find('.region').prop('style').width, 3);
+    assert.equal(wrapper.find('.region').prop('style').left, 99);
+
+    const header = wrapper.find('.region-header > span').first();
+    header.simulate('pointerdown', { clientX: 100, clientY: 10 });
+    pointer('pointerup', 100, 10);
+    header.simulate('click');
+    assert.deepEqual(clicks, [false]);
+    wrapper.unmount();
+  });
+
+  it('reshapes polygons from their vertices', () => {
+    let moved = null;
+    const polygon = Object.assign({}, annotation, {
+      type: 'polygon',
+      vertices: [{time: 10, frequency: 1000}, {time: 20, frequency: 1500}, {time: 15, frequency: 2000}],
+    });
+    let wrapper = mountRegion((ann, action) => { moved = { ann, action }; });
+    wrapper.setProps({ annotation: polygon });
+
+    assert.equal(wrapper.find('.region-handle').length, 0);
+    assert.equal(wrapper.find('polygon').prop('points'), '0,100 100,50 50,0');
+
+    // Dragging the last vertex above the bounding box
+    wrapper.find('.region-vertex').at(2).simulate('pointerdown', { clientX: 150, clientY: 300 });
+    pointer('pointermove', 160, 290);
+    pointer('pointerup', 160, 290);
+    assert.equal(moved.action, 'reshape');
+    assert.deepEqual(moved.ann.vertices[2], {time: 16, frequency: 2100});
+    assert.deepEqual(moved.ann.vertices.slice(0, 2), polygon.vertices.slice(0, 2));
+    assert.equal(moved.ann.endFrequency, 2100);
+
+    // Moving the whole polygon
+    wrapper.find('.region-body').simulate('pointerdown', { clientX: 150, clientY: 350 });
+    pointer('pointermove', 200, 350);
+    pointer('pointerup', 200, 350);
+    assert.equal(moved.action, 'move');
+    assert.deepEqual(moved.ann.vertices.map(vertex => vertex.time), [15, 25, 20]);
+    wrapper.unmount();
+  });
+
+  it('draws contours as open lines', () => {
+    const contour = Object.assign({}, annotation, {
+      type: 'contour',
+      vertices: [{time: 10, frequency: 1000}, {time: 15, frequency: 2000}, {time: 20, frequency: 1500}],
+    });
+    let wrapper = mountRegion(() => {});
+    wrapper.setProps({ annotation: contour });
+
+    assert.equal(wrapper.find('polygon').length, 0);
+    assert.equal(wrapper.find('polyline').prop('points'), '0,100 50,0 100,50');
+    assert.equal(wrapper.find('.contour-vertex').length, 3);
+    wrapper.unmount();
+  });
+
+  it('keeps contours in time order after dragging a point', () => {
+    let moved = null;
+    const contour = Object.assign({}, annotation, {
+      type: 'contour',
+      vertices: [{time: 10, frequency: 1000}, {time: 15, frequency: 2000}, {time: 20, frequency: 1500}],
+    });
+    let wrapper = mountRegion((ann) => { moved = ann; });
+    wrapper.setProps({ annotation: contour });
+
+    // Dragging the first point after the second one
+    wrapper.find('.contour-vertex').at(0).simulate('pointerdown', { clientX: 100, clientY: 400 });
+    pointer('pointermove', 170, 400);
+    pointer('pointerup', 170, 400);
+    assert.deepEqual(moved.vertices, [
+      {time: 15, frequency: 2000},
+      {time: 17, frequency: 1000},
+      {time: 20, frequency: 1500},
+    ]);
+    assert.equal(moved.startTime, 15);
+    wrapper.unmount();
+  });
+});
@@ -0,0 +1,76 @@
+import assert from 'assert';
+import React from 'react';
+import { mount } from 'enzyme';
+
+import TagPicker from '../../src/AudioAnnotator/TagPicker';
+
+const TAGS = ['Odontocete > Sperm whale', 'Odontocete > Dolphin', 'Boat'];
+
+function mountPicker(labels, onTagToggled = () => {}) {
+  return mount(
+    <TagPicker
+      tags={TAGS}
+      labels={labels}
+      tagColors={new Map()}
+      onTagToggled={onTagToggled}
+    />
+  );
+}
+
+describe('testing TagPicker component', function () {
+  it('shows tags as a tree', () => {
+    const wrapper = mountPicker([]);
+    const names = wrapper.find('button.btn').map(button => button.text());
+
+    assert.deepEqual(names, ['Odontocete', 'Sperm whale', 'Dolphin', 'Boat']);
+    assert.equal(wrapper.find('.tag-children').length, 1);
+  });
+
+  it('toggles full label paths', () => {
+    const toggled = [];
+    const wrapper = mountPicker([], tag => toggled.push(tag));
+
+    wrapper.find('button[title="Odontocete > Dolphin"]').simulate('click');
+    wrapper.find('button[title="Boat"]').simulate('click');
+    assert.deepEqual(toggled, ['Odontocete > Dolphin', 'Boat']);
+  });
+
+  it('only lets annotators choose tags of the annotation set', () => {
+    const toggled = [];
+    const wrapper = mountPicker([], tag => toggled.push(tag));
+    const group = wrapper.find('button.tag-group');
+
+    assert.equal(group.text(), 'Odontocete');
+    assert.equal(group.prop('disabled'), true);
+    group.simulate('click');
+    assert.deepEqual(toggled, []);
+
+    // Parents listed in the annotation set can be chosen
+    const listed = mount(
+      <TagPicker
+        tags={TAGS.concat('Odontocete')}
+        labels={[]}
+        tagColors={new Map()}
+        onTagToggled={tag => toggled.push(tag)}
+      />
+    );
+    listed.find('button[title="Odontocete"]').simulate('click');
+    assert.deepEqual(toggled, ['Odontocete']);
+  });
+
+  it('collapses child tags', () => {
+    const wrapper = mountPicker([]);
+
+    wrapper.find('button[title="Hide child tags"]').simulate('click');
+    assert.equal(wrapper.find('.tag-children').length, 0);
+    assert.equal(wrapper.find('button.btn').length, 2);
+  });
+
+  it('outlines selected labels and their parents', () => {
+    const wrapper = mountPicker(['Odontocete > Dolphin']);
+
+    assert.equal(wrapper.find('button[title="Odontocete > Dolphin"]').prop('style').border.includes('solid'), true);
+    assert.equal(wrapper.find('button.tag-group').prop('style').border.includes('dashed'), true);
+    assert.equal(wrapper.find('button[title="Boat"]').prop('style').border, 'none');
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'assert';
+
+import Waveform, { computeEnvelope, resampleEnvelope } from '../../src/AudioAnnotator/Waveform';
+
+describe('testing waveform envelope', function() {
+  it('computes min / max amplitude per bucket', () => {
+    const samples = new Float32Array([0.5, -0.25, 0.1, 0.2, -1, 0.75]);
+    const envelope = computeEnvelope(samples, 3);
+    assert.deepEqual(Array.from(envelope.maxs), [0.5, 0.20000000298023224, 0.75]);
+    assert.deepEqual(Array.from(envelope.mins), [-0.25, 0, -1]);
+  });
+
+  it('does not compute more buckets than samples', () => {
+    const envelope = computeEnvelope(new Float32Array([0.5, -0.5]), 10);
+    assert.deepEqual(envelope.maxs.length, 2);
+  });
+
+  it('aggregates an envelope to a smaller width', () => {
+    const samples = new Float32Array([0.5, -0.25, 0.1, 0.2, -1, 0.75, 0, 0]);
+    const envelope = resampleEnvelope(computeEnvelope(samples, 4), 2);
+    assert.deepEqual(Array.from(envelope.maxs), [0.5, 0.75]);
+    assert.deepEqual(Array.from(envelope.mins), [-0.25, -1]);
+  });
+
+  it('builds the track once for playhead updates', () => {
+    const props = {
+      audioData: {samples: new Float32Array([0.5, -0.5]), sampleRate: 2},
+      error: undefined,
+      tagColors: new Map(),
+      annotations: [],
+      currentTime: 0,
+      duration: 1,
+      timePxRatio: 100,
+      width: 100,
+      height: 50,
+      top: 0,
+      onSeek: () => {},
+    };
+    const waveform = new Waveform(props);
+    let nbRenders = 0;
+    waveform.renderTrack = () => { nbRenders += 1; };
+
+    waveform.getTrack();
+    waveform.props = Object.assign({}, props, {currentTime: 0.5});
+    waveform.getTrack();
+    assert.equal(nbRenders, 1);
+
+    waveform.props = Object.assign({}, props, {annotations: []});
+    waveform.getTrack();
+    assert.equal(nbRenders, 2);
+  });
+});
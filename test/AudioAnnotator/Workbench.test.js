@@ -0,0 +1,44 @@
+import assert from 'assert';
+
+import Workbench from '../../src/AudioAnnotator/Workbench';
+
+describe('testing workbench', function() {
+  const props = {
+    tagColors: new Map(),
+    currentTime: 0,
+    duration: 10,
+    startFrequency: 0,
+    frequencyRange: 1000,
+    audioUrl: '/audio.wav',
+    spectroUrlsParams: [],
+    annotations: [],
+    confidenceLevels: [],
+    canDraw: true,
+    feedback: undefined,
+    abLoop: undefined,
+  };
+
+  it('draws the spectrogram images again only when they or the view change', () => {
+    const workbench = new Workbench(props);
+    const images = [{start: 0, end: 5, src: '/0.png', image: undefined}];
+    let nbRenders = 0;
+    workbench.getImagesToDraw = () => images.slice();
+    workbench.renderSpectroCanvas = () => { nbRenders += 1; };
+
+    workbench.getSpectroCanvas(100, 50);
+    workbench.props = Object.assign({}, props, {currentTime: 5});
+    workbench.getSpectroCanvas(100, 50);
+    assert.equal(nbRenders, 1);
+
+    images.push({start: 5, end: 10, src: '/1.png', image: undefined});
+    workbench.getSpectroCanvas(100, 50);
+    assert.equal(nbRenders, 2);
+
+    workbench.state = Object.assign({}, workbench.state, {visibleStartFrequency: 100});
+    workbench.getSpectroCanvas(100, 50);
+    assert.equal(nbRenders, 3);
+
+    workbench.getSpectroCanvas(200, 50);
+    assert.equal(nbRenders, 4);
+  });
+});
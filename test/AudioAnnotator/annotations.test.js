@@ -0,0 +1,110 @@
+import assert from 'assert';
+
+import { getLabels, withLabels, toRawAnnotation, getConfidenceRatio, isTimeOnly, withVertices, shiftAnnotation, clampFrequencies, overlapsArea } from '../../src/AudioAnnotator/annotations';
+
+const annotation = {
+  id: '1',
+  annotation: 'Whale',
+  startTime: 10,
+  endTime: 20,
+  startFrequency: 1000,
+  endFrequency: 2000,
+  active: true,
+};
+
+describe('testing annotation helpers', function () {
+  it('reads labels of annotations saved with a single tag', () => {
+    assert.deepEqual(getLabels(annotation), ['Whale']);
+    assert.deepEqual(getLabels(Object.assign({}, annotation, {annotation: ''})), []);
+    assert.deepEqual(getLabels(Object.assign({}, annotation, {labels: ['Boat', 'Whale']})), ['Boat', 'Whale']);
+  });
+
+  it('keeps the main tag in sync with labels', () => {
+    const labelled = withLabels(annotation, ['Odontocete > Dolphin', 'Boat']);
+    assert.equal(labelled.annotation, 'Odontocete > Dolphin');
+    assert.equal(labelled.active, true);
+    assert.equal(withLabels(labelled, []).annotation, '');
+  });
+
+  it('sends full label paths', () => {
+    const raw = toRawAnnotation(withLabels(annotation, ['Odontocete > Dolphin', 'Boat']));
+    assert.deepEqual(raw, {
+      id: '1',
+      annotation: 'Odontocete > Dolphin',
+      labels: ['Odontocete > Dolphin', 'Boat'],
+      confidence: undefined,
+      comment: undefined,
+      type: 'box',
+      vertices: undefined,
+      startTime: 10,
+      endTime: 20,
+      startFrequency: 1000,
+      endFrequency: 2000,
+    });
+    assert.deepEqual(toRawAnnotation(annotation).labels, ['Whale']);
+  });
+
+  it('places confidence levels in the scale', () => {
+    const levels = ['low', 'medium', 'high'];
+
+    assert.equal(getConfidenceRatio(levels, 'high'), 1);
+    assert.equal(getConfidenceRatio(levels, 'low'), 1 / 3);
+    assert.equal(getConfidenceRatio(levels, undefined), undefined);
+    assert.equal(getConfidenceRatio(levels, 'unknown'), undefined);
+    assert.equal(getConfidenceRatio([], 'high'), undefined);
+  });
+
+  it('tells time-only annotations', () => {
+    assert.equal(isTimeOnly({type: 'point'}), true);
+    assert.equal(isTimeOnly({type: 'interval'}), true);
+    assert.equal(isTimeOnly({type: 'box'}), false);
+    assert.equal(isTimeOnly({type: 'weak'}), false);
+  });
+
+  it('keeps the bounding box of polygons', () => {
+    const vertices = [{time: 12, frequency: 1500}, {time: 18, frequency: 1200}, {time: 14, frequency: 1900}];
+    const polygon = withVertices(Object.assign({}, annotation, {type: 'polygon'}), vertices);
+
+    assert.deepEqual(polygon.vertices, vertices);
+    assert.deepEqual(
+      [polygon.startTime, polygon.endTime, polygon.startFrequency, polygon.endFrequency],
+      [12, 18, 1200, 1900]
+    );
+    assert.deepEqual(toRawAnnotation(polygon).vertices, vertices);
+  });
+
+  it('moves annotations along time with their vertices', () => {
+    const moved = shiftAnnotation(annotation, 5);
+    assert.deepEqual([moved.startTime, moved.endTime, moved.startFrequency], [15, 25, 1000]);
+    assert.equal(annotation.startTime, 10);
+
+    const polygon = withVertices(Object.assign({}, annotation, {type: 'polygon'}), [
+      {time: 12, frequency: 1500}, {time: 18, frequency: 1200},
+    ]);
+    assert.deepEqual(shiftAnnotation(polygon, -2).vertices, [
+      {time: 10, frequency: 1500}, {time: 16, frequency: 1200},
+    ]);
+  });
+
+  it('keeps annotations within the frequency range of a task', () => {
+    const box = clampFrequencies(Object.assign({}, annotation, {startFrequency: 500, endFrequency: 9000}), 1000, 8000);
+    assert.deepEqual([box.startFrequency, box.endFrequency], [1000, 8000]);
+
+    const interval = clampFrequencies(Object.assign({}, annotation, {type: 'interval'}), 100, 4000);
+    assert.deepEqual([interval.startFrequency, interval.endFrequency], [100, 4000]);
+
+    const contour = clampFrequencies(withVertices(Object.assign({}, annotation, {type: 'contour'}), [
+      {time: 12, frequency: 7000}, {time: 14, frequency: 9500},
+    ]), 0, 8000);
+    assert.deepEqual(contour.vertices, [{time: 12, frequency: 7000}, {time: 14, frequency: 8000}]);
+    assert.equal(contour.endFrequency, 8000);
+  });
+
+  it('finds annotations in a rubber band', () => {
+    const area = {startTime: 15, endTime: 30, startFrequency: 1500, endFrequency: 5000};
+    assert.equal(overlapsArea(Object.assign({}, annotation, {type: 'box'}), area), true);
+    assert.equal(overlapsArea(Object.assign({}, annotation, {type: 'box', startFrequency: 100, endFrequency: 500}), area), false);
+    assert.equal(overlapsArea(Object.assign({}, annotation, {type: 'interval', startFrequency: 100, endFrequency: 500}), area), true);
+    assert.equal(overlapsArea(Object.assign({}, annotation, {type: 'point', startTime: 40, endTime: 40}), area), false);
+  });
+});
@@ -0,0 +1,51 @@
+import assert from 'assert';
+
+import { getAudacityFilename, toAudacityLabels, parseAudacityLabels } from '../../src/AudioAnnotator/audacity';
+import { buildAnnotation } from '../utils/annotations';
+
+describe('testing Audacity label tracks', function () {
+  it('names label tracks after the audio file', () => {
+    assert.equal(getAudacityFilename('/wav/A32C0004.wav'), 'A32C0004.labels.txt');
+  });
+
+  it('writes frequency lines for boxes only', () => {
+    const labels = toAudacityLabels([
+      buildAnnotation({ id: '2', type: 'interval', startTime: 3, endTime: 4.5, labels: [], annotation: '' }),
+      buildAnnotation({ id: '1', labels: ['A', 'B'] }),
+      buildAnnotation({ id: '3', type: 'weak' }),
+    ]);
+
+    assert.equal(labels, [
+      '1.000000\t2.000000\tA; B',
+      '\\\t1000.000000\t2000.000000',
+      '3.000000\t4.500000\t',
+      '',
+    ].join('\n'));
+  });
+
+  it('reads back exported label tracks', () => {
+    const labels = toAudacityLabels([
+      buildAnnotation({ labels: ['Odontocete > Dolphin'] }),
+      buildAnnotation({ type: 'point', startTime: 3, endTime: 3, labels: [] }),
+    ]);
+
+    assert.deepEqual(parseAudacityLabels(labels), [
+      { startTime: 1, endTime: 2, startFrequency: 1000, endFrequency: 2000, labels: ['Odontocete > Dolphin'] },
+      { startTime: 3, endTime: 3, startFrequency: undefined, endFrequency: undefined, labels: [] },
+    ]);
+  });
+
+  it('ignores frequency lines without spectral selection', () => {
+    const labels = '0.5\t1.5\tWhistle\r\n\\\t-1.000000\t-1.000000\r\n2\t2.5\tClick\r\n\\\t8000\t3000\r\n';
+
+    assert.deepEqual(parseAudacityLabels(labels), [
+      { startTime: 0.5, endTime: 1.5, startFrequency: undefined, endFrequency: undefined, labels: ['Whistle'] },
+      { startTime: 2, endTime: 2.5, startFrequency: 3000, endFrequency: 8000, labels: ['Click'] },
+    ]);
+  });
+
+  it('rejects other files', () => {
+    assert.deepEqual(parseAudacityLabels(''), []);
+    assert.throws(() => parseAudacityLabels('start,end,label\nfoo,bar,A'), /Audacity label track/);
+  });
+});
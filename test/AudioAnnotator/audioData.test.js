@@ -0,0 +1,26 @@
+import assert from 'assert';
+
+import { isPitchControlSupported, setPreservesPitch } from '../../src/AudioAnnotator/audioData';
+
+describe('testing playback pitch control', function () {
+  it('switches the standard pitch correction property', () => {
+    const element = {preservesPitch: true};
+    assert.equal(isPitchControlSupported(element), true);
+    assert.equal(setPreservesPitch(element, false), true);
+    assert.deepEqual(element, {preservesPitch: false});
+  });
+
+  it('falls back to prefixed properties', () => {
+    const element = {mozPreservesPitch: true};
+    assert.equal(setPreservesPitch(element, false), true);
+    assert.equal(element.mozPreservesPitch, false);
+    assert.equal(element.preservesPitch, undefined);
+  });
+
+  it('reports browsers without pitch control', () => {
+    const element = {};
+    assert.equal(isPitchControlSupported(element), false);
+    assert.equal(setPreservesPitch(element, true), false);
+    assert.deepEqual(element, {});
+  });
+});
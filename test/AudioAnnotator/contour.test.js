@@ -0,0 +1,37 @@
+import assert from 'assert';
+
+import { findMaximumRow, cleanContour } from '../../src/AudioAnnotator/contour';
+
+// RGBA column from gray levels, from top to bottom
+function column(levels) {
+  return levels.reduce((data, level) => data.concat([level, level, level, 255]), []);
+}
+
+describe('testing contour tracing', function () {
+  it('finds the brightest row of a spectrogram column', () => {
+    assert.equal(findMaximumRow(column([10, 20, 200, 30, 10])), 2);
+    assert.equal(findMaximumRow(column([250, 20, 10, 30, 10])), 0);
+    // Green weighs more than blue in the luminance
+    assert.equal(findMaximumRow([0, 0, 255, 255, 0, 255, 0, 255]), 1);
+  });
+
+  it('prefers the row closest to the pointer for equal intensities', () => {
+    assert.equal(findMaximumRow(column([100, 0, 100, 0, 0, 0, 100])), 2);
+    assert.equal(findMaximumRow(column([0, 0, 0, 0, 0])), 2);
+  });
+
+  it('sorts contour points by time', () => {
+    const vertices = [
+      {time: 1, frequency: 1000},
+      {time: 1.2, frequency: 1100},
+      {time: 1.1, frequency: 1050},
+      {time: 1.2, frequency: 1200},
+    ];
+    assert.deepEqual(cleanContour(vertices), [
+      {time: 1, frequency: 1000},
+      {time: 1.1, frequency: 1050},
+      {time: 1.2, frequency: 1100},
+    ]);
+    assert.equal(vertices.length, 4);
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'assert';
+
+import { buildDraftKey, toRawAnnotations, isDraftDifferent } from '../../src/AudioAnnotator/drafts';
+
+const ANNOTATIONS = [
+  {id: '2', annotation: 'B', startTime: 5, endTime: 6, startFrequency: 10, endFrequency: 20, active: true},
+  {id: '1', annotation: 'A', startTime: 1, endTime: 2, startFrequency: 10, endFrequency: 20, active: false},
+];
+
+const buildDraft = (annotations) => ({
+  key: buildDraftKey(1, 'user'),
+  taskId: '1',
+  user: 'user',
+  annotations,
+  savedAt: 0,
+});
+
+describe('testing annotation drafts', function () {
+  it('builds a key per user and task', () => {
+    assert.equal(buildDraftKey(12, '3'), '3/12');
+    assert.equal(buildDraftKey('12', '3'), buildDraftKey(12, '3'));
+    assert.notEqual(buildDraftKey(12, '3'), buildDraftKey(12, '4'));
+  });
+
+  it('keeps only raw annotation fields, sorted by time', () => {
+    const raw = toRawAnnotations(ANNOTATIONS);
+
+    assert.deepEqual(raw.map(ann => ann.id), ['1', '2']);
+    assert.equal(raw[0].active, undefined);
+    assert.deepEqual(raw[1], {id: '2', annotation: 'B', labels: ['B'], confidence: undefined, comment: undefined, type: 'box', vertices: undefined, startTime: 5, endTime: 6, startFrequency: 10, endFrequency: 20});
+  });
+
+  it('ignores order and selection when comparing a draft', () => {
+    const sameDraft = buildDraft(toRawAnnotations(ANNOTATIONS).reverse());
+    const otherDraft = buildDraft(toRawAnnotations(ANNOTATIONS).slice(1));
+    const retaggedDraft = buildDraft(toRawAnnotations(ANNOTATIONS).map(ann => Object.assign({}, ann, {annotation: 'C', labels: ['C']})));
+
+    assert.equal(isDraftDifferent(sameDraft, ANNOTATIONS), false);
+    assert.equal(isDraftDifferent(otherDraft, ANNOTATIONS), true);
+    assert.equal(isDraftDifferent(retaggedDraft, ANNOTATIONS), true);
+    assert.equal(isDraftDifferent(buildDraft([]), []), false);
+  });
+
+  it('compares the task comment of a draft', () => {
+    const draft = Object.assign(buildDraft(toRawAnnotations(ANNOTATIONS)), {taskComment: 'Rain noise '});
+
+    assert.equal(isDraftDifferent(draft, ANNOTATIONS, 'Rain noise'), false);
+    assert.equal(isDraftDifferent(draft, ANNOTATIONS), true);
+    // Drafts saved before task comments
+    assert.equal(isDraftDifferent(buildDraft(toRawAnnotations(ANNOTATIONS)), ANNOTATIONS, ''), false);
+  });
+});
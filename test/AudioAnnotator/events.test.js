@@ -0,0 +1,44 @@
+import assert from 'assert';
+
+import { createEvent, getDeletedAnnotations } from '../../src/AudioAnnotator/events';
+
+const annotation = (id, tag) => ({
+  id,
+  annotation: tag,
+  startTime: 1,
+  endTime: 2,
+  startFrequency: 100,
+  endFrequency: 200,
+  active: true,
+});
+
+describe('testing annotation events', function () {
+  it('creates timestamped events with a raw copy of the annotation', () => {
+    const before = Date.now() / 1000;
+    const event = createEvent('delete', annotation('3', 'Whale'));
+
+    assert.equal(event.type, 'delete');
+    assert.equal(event.annotation_id, '3');
+    assert.equal(event.annotation.active, undefined);
+    assert.equal(event.annotation.annotation, 'Whale');
+    assert.ok(event.timestamp >= before && event.timestamp <= Date.now() / 1000);
+
+    const noAnnotation = createEvent('undo');
+    assert.equal(noAnnotation.annotation_id, undefined);
+    assert.equal(noAnnotation.annotation, undefined);
+  });
+
+  it('lists deleted annotations which have not been restored', () => {
+    const events = [
+      createEvent('offline-create', annotation('1', '')),
+      createEvent('delete', annotation('1', 'Whale')),
+      createEvent('delete', annotation('2', 'Boat')),
+      createEvent('undo'),
+      createEvent('delete', annotation('1', 'Dolphin')),
+    ];
+
+    const deleted = getDeletedAnnotations(events, [annotation('2', 'Boat')]);
+    assert.deepEqual(deleted.map(ann => ann.id), ['1']);
+    assert.equal(deleted[0].annotation, 'Dolphin');
+  });
+});
@@ -0,0 +1,98 @@
+import assert from 'assert';
+
+import { computeOverlap, compareToReference } from '../../src/AudioAnnotator/feedback';
+
+const box = (id, tag, startTime, endTime, startFrequency, endFrequency) => ({
+  id, annotation: tag, type: 'box', startTime, endTime, startFrequency, endFrequency,
+});
+const interval = (id, tag, startTime, endTime) => ({
+  id, annotation: tag, type: 'interval', startTime, endTime, startFrequency: 0, endFrequency: 0,
+});
+const point = (id, tag, time) => ({
+  id, annotation: tag, type: 'point', startTime: time, endTime: time, startFrequency: 0, endFrequency: 0,
+});
+
+describe('testing reference feedback', function () {
+  it('computes the overlap of two boxes', () => {
+    const a = box('1', 'A', 0, 10, 0, 100);
+
+    assert.equal(computeOverlap(a, a), 1);
+    assert.equal(computeOverlap(a, box('2', 'A', 10, 20, 0, 100)), 0);
+    assert.equal(computeOverlap(a, box('2', 'A', 5, 15, 0, 100)), 1 / 3);
+    assert.equal(computeOverlap(a, box('2', 'A', 0, 5, 0, 50)), 0.25);
+  });
+
+  it('sorts annotations in hits, misses and false alarms', () => {
+    const references = [
+      box('r1', 'Whale', 0, 10, 0, 100),
+      box('r2', 'Whale', 20, 30, 0, 100),
+      box('r3', 'Boat', 40, 50, 0, 100),
+    ];
+    const annotations = [
+      box('1', 'Whale', 1, 10, 0, 100),
+      box('2', 'Boat', 20, 30, 0, 100),   // right place, wrong tag
+      box('3', 'Boat', 41, 49, 10, 90),
+      box('4', 'Whale', 60, 70, 0, 100),  // nothing there
+    ];
+
+    const feedback = compareToReference(annotations, references);
+    assert.deepEqual(feedback.hits.map(hit => [hit.annotation.id, hit.reference.id]), [['1', 'r1'], ['3', 'r3']]);
+    assert.deepEqual(feedback.misses.map(ann => ann.id), ['r2']);
+    assert.deepEqual(feedback.falseAlarms.map(ann => ann.id), ['2', '4']);
+  });
+
+  it('matches each reference once, best overlap first', () => {
+    const references = [box('r1', 'Whale', 0, 10, 0, 100)];
+    const annotations = [
+      box('1', 'Whale', 0, 6, 0, 100),
+      box('2', 'Whale', 0, 9, 0, 100),
+    ];
+
+    const feedback = compareToReference(annotations, references);
+    assert.deepEqual(feedback.hits.map(hit => hit.annotation.id), ['2']);
+    assert.deepEqual(feedback.falseAlarms.map(ann => ann.id), ['1']);
+    assert.deepEqual(feedback.misses, []);
+  });
+
+  it('matches annotations sharing one of their labels', () => {
+    const references = [Object.assign(box('r1', 'Whale', 0, 10, 0, 100), {labels: ['Whale', 'Boat']})];
+    const annotations = [Object.assign(box('1', 'Boat', 0, 10, 0, 100), {labels: ['Boat']})];
+
+    const feedback = compareToReference(annotations, references);
+    assert.equal(feedback.hits.length, 1);
+  });
+
+  it('computes the overlap of intervals on their time extent', () => {
+    const a = interval('1', 'A', 0, 10);
+
+    assert.equal(computeOverlap(a, a), 1);
+    assert.equal(computeOverlap(a, interval('2', 'A', 5, 15)), 1 / 3);
+    assert.equal(computeOverlap(a, box('2', 'A', 0, 10, 0, 100)), 1);
+    assert.equal(computeOverlap(a, interval('2', 'A', 10, 20)), 0);
+  });
+
+  it('matches intervals on their time extent', () => {
+    const references = [interval('r1', 'Whale', 0, 10), interval('r2', 'Whale', 20, 30)];
+    const annotations = [interval('1', 'Whale', 1, 9), interval('2', 'Whale', 28, 40)];
+
+    const feedback = compareToReference(annotations, references);
+    assert.deepEqual(feedback.hits.map(hit => [hit.annotation.id, hit.reference.id]), [['1', 'r1']]);
+    assert.deepEqual(feedback.misses.map(ann => ann.id), ['r2']);
+    assert.deepEqual(feedback.falseAlarms.map(ann => ann.id), ['2']);
+  });
+
+  it('matches points within the time tolerance, closest first', () => {
+    const references = [point('r1', 'Click', 10), point('r2', 'Click', 20), point('r3', 'Click', 30)];
+    const annotations = [
+      point('1', 'Click', 10.4),
+      point('2', 'Click', 10),
+      point('3', 'Click', 21),          // too far
+      interval('4', 'Click', 29, 31),   // point within the interval
+    ];
+
+    const feedback = compareToReference(annotations, references);
+    assert.deepEqual(feedback.hits.map(hit => [hit.annotation.id, hit.reference.id]), [['2', 'r1'], ['4', 'r3']]);
+    assert.deepEqual(feedback.misses.map(ann => ann.id), ['r2']);
+    assert.deepEqual(feedback.falseAlarms.map(ann => ann.id), ['1', '3']);
+  });
+});
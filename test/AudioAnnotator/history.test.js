@@ -0,0 +1,45 @@
+import assert from 'assert';
+
+import { emptyHistory, recordAction, undoAction, redoAction, canUndo, canRedo } from '../../src/AudioAnnotator/history';
+
+const annotation = {
+  id: '1',
+  annotation: 'Whale',
+  startTime: 1,
+  endTime: 2,
+  startFrequency: 100,
+  endFrequency: 200,
+  active: false,
+};
+
+describe('testing annotation edit history', function() {
+  it('starts empty', () => {
+    const history = emptyHistory();
+    assert(!canUndo(history), 'Empty history should not allow undo');
+    assert(!canRedo(history), 'Empty history should not allow redo');
+    assert.strictEqual(undoAction(history, []), undefined);
+    assert.strictEqual(redoAction(history, []), undefined);
+  });
+
+  it('undoes and redoes an action', () => {
+    const history = recordAction(emptyHistory(), 'create', []);
+    const current = [annotation];
+
+    const undone = undoAction(history, current);
+    assert.deepEqual(undone.annotations, []);
+    assert.deepEqual(undone.action, 'create');
+    assert(canRedo(undone.history), 'Undone action should be redoable');
+
+    const redone = redoAction(undone.history, undone.annotations);
+    assert.deepEqual(redone.annotations, current);
+    assert(canUndo(redone.history), 'Redone action should be undoable');
+    assert(!canRedo(redone.history), 'Nothing left to redo');
+  });
+
+  it('discards redo stack when a new action is recorded', () => {
+    const history = recordAction(emptyHistory(), 'create', []);
+    const undone = undoAction(history, [annotation]);
+    const newHistory = recordAction(undone.history, 'create', []);
+    assert(!canRedo(newHistory), 'Redo stack should be empty after a new action');
+  });
+});
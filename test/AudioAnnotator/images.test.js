@@ -0,0 +1,45 @@
+import assert from 'assert';
+
+import { checkImageCors } from '../../src/AudioAnnotator/images';
+
+describe('testing spectrogram images', function() {
+  const DOMImage = global.Image;
+  let loaded = [];
+
+  // Images of hosts named 'cors' load in CORS mode, others fail
+  beforeEach(() => {
+    loaded = [];
+    global.Image = class {
+      set src(src) {
+        loaded.push({src, crossOrigin: this.crossOrigin});
+        setTimeout(() => (src.includes('//cors') ? this.onload() : this.onerror()));
+      }
+    };
+  });
+
+  afterEach(() => {
+    global.Image = DOMImage;
+  });
+
+  it('reads images of the same origin', () => {
+    return checkImageCors('/spectro/0.png').then(isCors => {
+      assert.equal(isCors, true);
+      assert.deepEqual(loaded, []);
+    });
+  });
+
+  it('checks each server once', () => {
+    return Promise.all([
+      checkImageCors('http://cors.example/0.png'),
+      checkImageCors('http://cors.example/1.png'),
+      checkImageCors('http://nocors.example/0.png'),
+      checkImageCors('http://nocors.example/1.png'),
+    ]).then(results => {
+      assert.deepEqual(results, [true, true, false, false]);
+      assert.deepEqual(loaded, [
+        {src: 'http://cors.example/0.png', crossOrigin: 'anonymous'},
+        {src: 'http://nocors.example/0.png', crossOrigin: 'anonymous'},
+      ]);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import assert from 'assert';
+
+import { parsePadding, getRegionPlayback, getLoopRange, isPastRange } from '../../src/AudioAnnotator/playback';
+
+describe('testing region and A–B loop playback', function () {
+  const ann = {
+    id: '1',
+    annotation: 'Whale',
+    labels: ['Whale'],
+    confidence: undefined,
+    comment: undefined,
+    type: 'box',
+    vertices: undefined,
+    startTime: 2,
+    endTime: 4,
+    startFrequency: 100,
+    endFrequency: 200,
+  };
+
+  it('parses padding, invalid values meaning no padding', () => {
+    assert.equal(parsePadding('0.5'), 0.5);
+    assert.equal(parsePadding(''), 0);
+    assert.equal(parsePadding('-1'), 0);
+  });
+
+  it('pads annotation regions within the recording', () => {
+    assert.deepEqual(getRegionPlayback(ann, 0.5, 1, 10, false), {startTime: 1.5, endTime: 5, isLooped: false});
+    assert.deepEqual(getRegionPlayback(ann, 3, 8, 10, true), {startTime: 0, endTime: 10, isLooped: true});
+  });
+
+  it('builds A–B loops in any drag direction', () => {
+    assert.deepEqual(getLoopRange(3, 1, 10), {startTime: 1, endTime: 3});
+    assert.deepEqual(getLoopRange(-1, 12, 10), {startTime: 0, endTime: 10});
+    assert.equal(getLoopRange(3, 3.01, 10), undefined);
+  });
+
+  it('detects the end of played ranges', () => {
+    const range = {startTime: 1, endTime: 3, isLooped: true};
+    assert.equal(isPastRange(range, 2), false);
+    assert.equal(isPastRange(range, 3), true);
+    assert.equal(isPastRange(undefined, 30), false);
+  });
+});
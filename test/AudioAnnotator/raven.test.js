@@ -0,0 +1,67 @@
+import assert from 'assert';
+
+import { getRavenFilename, isRavenTable, toRavenTable, parseRavenTable } from '../../src/AudioAnnotator/raven';
+import { buildAnnotation } from '../utils/annotations';
+
+const BOUNDARIES = { startFrequency: 0, endFrequency: 64000 };
+
+describe('testing Raven selection tables', function () {
+  it('names tables after the audio file', () => {
+    assert.equal(getRavenFilename('https://example.org/wav/A32C0004.wav?token=x'), 'A32C0004.Table.1.selections.txt');
+  });
+
+  it('writes annotations as selections, by start time', () => {
+    const table = toRavenTable([
+      buildAnnotation({ id: '2', startTime: 5, endTime: 5, type: 'point', labels: ['Odontocete > Dolphin', 'Boat'] }),
+      buildAnnotation({ id: '1' }),
+      buildAnnotation({ id: '3', type: 'weak' }),
+    ], BOUNDARIES);
+
+    assert.deepEqual(table.split('\n'), [
+      'Selection\tView\tChannel\tBegin Time (s)\tEnd Time (s)\tLow Freq (Hz)\tHigh Freq (Hz)\tAnnotation',
+      '1\tSpectrogram 1\t1\t1.000000\t2.000000\t1000.000\t2000.000\tA',
+      '2\tSpectrogram 1\t1\t5.000000\t5.000000\t0.000\t64000.000\tOdontocete > Dolphin; Boat',
+      '',
+    ]);
+  });
+
+  it('reads back exported tables', () => {
+    const selections = parseRavenTable(toRavenTable([
+      buildAnnotation({ labels: ['A', 'B'] }),
+    ], BOUNDARIES));
+
+    assert.deepEqual(selections, [
+      { startTime: 1, endTime: 2, startFrequency: 1000, endFrequency: 2000, labels: ['A', 'B'] },
+    ]);
+  });
+
+  it('reads tables saved by Raven', () => {
+    const table = [
+      'Selection\tView\tChannel\tBegin Time (s)\tEnd Time (s)\tLow Freq (Hz)\tHigh Freq (Hz)\tSpecies',
+      '1\tWaveform 1\t1\t0.5\t1.25\t300\t1200\tHumpback',
+      '1\tSpectrogram 1\t1\t0.5\t1.25\t300\t1200\tHumpback',
+      '2\tSpectrogram 1\t1\tnot a time\t3\t300\t1200\tHumpback',
+      '3\tSpectrogram 1\t1\t4\t5\t300\t1200\t',
+      '',
+    ].join('\r\n');
+
+    assert.deepEqual(parseRavenTable(table), [
+      { startTime: 0.5, endTime: 1.25, startFrequency: 300, endFrequency: 1200, labels: ['Humpback'] },
+      { startTime: 4, endTime: 5, startFrequency: 300, endFrequency: 1200, labels: [] },
+    ]);
+  });
+
+  it('reads tables without frequencies as time events', () => {
+    const table = 'Begin Time (s)\tEnd Time (s)\tAnnotation\n2\t3\tClick';
+
+    assert.deepEqual(parseRavenTable(table), [
+      { startTime: 2, endTime: 3, startFrequency: undefined, endFrequency: undefined, labels: ['Click'] },
+    ]);
+  });
+
+  it('rejects other files', () => {
+    assert.equal(isRavenTable('1.5\t2\tA\n'), false);
+    assert.equal(isRavenTable('\nBegin Time (s)\tEnd Time (s)\n1\t2\n'), true);
+    assert.throws(() => parseRavenTable('start,end,label\n1,2,A'), /Begin Time and End Time/);
+  });
+});
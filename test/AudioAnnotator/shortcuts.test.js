@@ -0,0 +1,35 @@
+import assert from 'assert';
+
+import { DEFAULT_BINDINGS, comboFromEvent, findAction, rebind } from '../../src/AudioAnnotator/shortcuts';
+
+function keyEvent(key, modifiers = {}) {
+  return new window.KeyboardEvent('keydown', Object.assign({ key }, modifiers));
+}
+
+describe('testing keyboard shortcuts', function() {
+  it('builds key combinations from events', () => {
+    assert.deepEqual(comboFromEvent(keyEvent(' ')), 'Space');
+    assert.deepEqual(comboFromEvent(keyEvent('z', { ctrlKey: true })), 'Ctrl+Z');
+    assert.deepEqual(comboFromEvent(keyEvent('Z', { metaKey: true, shiftKey: true })), 'Ctrl+Shift+Z');
+    assert.deepEqual(comboFromEvent(keyEvent('Tab', { shiftKey: true })), 'Shift+Tab');
+    // Shift is part of the symbol itself
+    assert.deepEqual(comboFromEvent(keyEvent('+', { shiftKey: true })), '+');
+    assert.strictEqual(comboFromEvent(keyEvent('Shift', { shiftKey: true })), undefined);
+  });
+
+  it('finds actions from default bindings', () => {
+    assert.deepEqual(findAction(DEFAULT_BINDINGS, 'Space'), 'play-pause');
+    assert.deepEqual(findAction(DEFAULT_BINDINGS, '3'), 'tag-3');
+    assert.deepEqual(findAction(DEFAULT_BINDINGS, 'Ctrl+Y'), 'redo');
+    assert.strictEqual(findAction(DEFAULT_BINDINGS, 'Ctrl+Q'), undefined);
+  });
+
+  it('rebinds an action and frees the key from other actions', () => {
+    const bindings = rebind(DEFAULT_BINDINGS, 'submit', 'Space');
+    assert.deepEqual(bindings['submit'], ['Space']);
+    assert.deepEqual(bindings['play-pause'], []);
+    assert.deepEqual(findAction(bindings, 'Enter'), undefined);
+    // Defaults are left untouched
+    assert.deepEqual(DEFAULT_BINDINGS['play-pause'], ['Space']);
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+// Worker script run as in a worker global scope
+function loadWorker() {
+  const source = fs.readFileSync(path.join(__dirname, '../../public/spectrogram-worker.js'), 'utf8');
+  const scope = { addEventListener: () => {} };
+  scope.self = scope;
+  vm.runInNewContext(source, scope);
+  return scope;
+}
+
+describe('testing client-side spectrogram computation', function() {
+  const scope = loadWorker();
+
+  const sampleRate = 8000;
+  const samples = new Float32Array(sampleRate);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.sin(2 * Math.PI * 1000 * i / sampleRate);
+  }
+
+  it('computes image dimensions from STFT params', () => {
+    const result = scope.computeSpectrogram(samples, sampleRate, { nfft: 256, winsize: 256, overlap: 50 }, 0, 4000);
+    assert.deepEqual(result.height, 128);
+    assert.deepEqual(result.width, Math.floor((sampleRate - 256) / 128) + 1);
+    assert.deepEqual(result.pixels.length, result.width * result.height * 4);
+  });
+
+  it('shows most energy at the signal frequency', () => {
+    const result = scope.computeSpectrogram(samples, sampleRate, { nfft: 256, winsize: 256, overlap: 50 }, 0, 4000);
+    // 1000 Hz is bin 32, highest frequencies on first row
+    const column = 10;
+    let brightestRow = 0;
+    let brightest = -1;
+    for (let row = 0; row < result.height; row++) {
+      const red = result.pixels[(row * result.width + column) * 4];
+      if (red > brightest) {
+        brightest = red;
+        brightestRow = row;
+      }
+    }
+    assert.deepEqual(result.height - 1 - brightestRow, 32);
+  });
+
+  it('crops to the requested frequency range', () => {
+    const result = scope.computeSpectrogram(samples, sampleRate, { nfft: 256, winsize: 128, overlap: 0 }, 500, 1500);
+    assert.deepEqual(result.height, 32);
+    assert.deepEqual(result.width, Math.floor((sampleRate - 128) / 128) + 1);
+  });
+});
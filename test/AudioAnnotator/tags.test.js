@@ -0,0 +1,70 @@
+import assert from 'assert';
+
+import {
+  getTagName, getTagAncestors, isTagAncestor, buildTagTree, flattenTagTree, toggleLabel, matchTag
+} from '../../src/AudioAnnotator/tags';
+
+const TAGS = [
+  'Odontocete > Sperm whale > Click train',
+  'Odontocete > Sperm whale > Coda',
+  'Odontocete > Dolphin',
+  'Boat',
+];
+
+describe('testing hierarchical tags', function () {
+  it('splits label paths', () => {
+    assert.equal(getTagName('Odontocete > Sperm whale'), 'Sperm whale');
+    assert.equal(getTagName('Boat'), 'Boat');
+    assert.deepEqual(getTagAncestors('Odontocete > Sperm whale > Coda'), ['Odontocete', 'Odontocete > Sperm whale']);
+    assert.deepEqual(getTagAncestors('Boat'), []);
+    assert.equal(isTagAncestor('Odontocete', 'Odontocete > Dolphin'), true);
+    assert.equal(isTagAncestor('Odontocete > Dolphin', 'Odontocete'), false);
+    assert.equal(isTagAncestor('Odonto', 'Odontocete > Dolphin'), false);
+  });
+
+  it('builds a tree with implicit parents', () => {
+    const tree = buildTagTree(TAGS);
+
+    assert.deepEqual(tree.map(node => node.name), ['Odontocete', 'Boat']);
+    assert.deepEqual(tree[0].children.map(node => node.path), ['Odontocete > Sperm whale', 'Odontocete > Dolphin']);
+    assert.deepEqual(tree[0].children[0].children.map(node => node.name), ['Click train', 'Coda']);
+    assert.deepEqual(flattenTagTree(tree), [
+      'Odontocete',
+      'Odontocete > Sperm whale',
+      'Odontocete > Sperm whale > Click train',
+      'Odontocete > Sperm whale > Coda',
+      'Odontocete > Dolphin',
+      'Boat',
+    ]);
+  });
+
+  it('keeps flat tag sets flat', () => {
+    const tree = buildTagTree(['A', 'B']);
+    assert.deepEqual(tree, [{path: 'A', name: 'A', children: []}, {path: 'B', name: 'B', children: []}]);
+  });
+
+  it('toggles labels, keeping the most specific one', () => {
+    assert.deepEqual(toggleLabel([], 'Boat'), ['Boat']);
+    assert.deepEqual(toggleLabel(['Boat'], 'Boat'), []);
+    assert.deepEqual(toggleLabel(['Boat'], 'Odontocete > Dolphin'), ['Boat', 'Odontocete > Dolphin']);
+    assert.deepEqual(toggleLabel(['Odontocete', 'Boat'], 'Odontocete > Dolphin'), ['Boat', 'Odontocete > Dolphin']);
+    assert.deepEqual(toggleLabel(['Odontocete > Dolphin'], 'Odontocete'), ['Odontocete']);
+    assert.deepEqual(
+      toggleLabel(['Odontocete > Dolphin'], 'Odontocete > Sperm whale'),
+      ['Odontocete > Dolphin', 'Odontocete > Sperm whale']
+    );
+  });
+
+  it('matches tag names from other software', () => {
+    assert.equal(matchTag(TAGS, 'odontocete > dolphin '), 'Odontocete > Dolphin');
+    assert.equal(matchTag(TAGS, 'Coda'), 'Odontocete > Sperm whale > Coda');
+    // Implicit parent tags are not tags of the set
+    assert.equal(matchTag(TAGS, 'Sperm whale'), undefined);
+    assert.equal(matchTag(TAGS.concat('Odontocete > Sperm whale'), 'Sperm whale'), 'Odontocete > Sperm whale');
+    assert.equal(matchTag(TAGS, 'Humpback'), undefined);
+  });
+
+  it('does not guess between tags with the same name', () => {
+    assert.equal(matchTag(['Boat > Engine', 'Ship > Engine'], 'Engine'), undefined);
+  });
+});
@@ -0,0 +1,27 @@
+import assert from 'assert';
+
+import { getNextTaskIds } from '../../src/AudioAnnotator/taskCache';
+
+const TASKS = [
+  {id: 1, status: 2},
+  {id: 2, status: 0},
+  {id: 3, status: 1},
+  {id: 4, status: 2},
+  {id: 5, status: 0},
+];
+
+describe('testing offline task cache', function () {
+  it('lists unfinished tasks after the current one, wrapping around', () => {
+    assert.deepEqual(getNextTaskIds(TASKS, 3, []), [5, 2]);
+    assert.deepEqual(getNextTaskIds(TASKS, '5', []), [2, 3]);
+  });
+
+  it('skips excluded tasks', () => {
+    assert.deepEqual(getNextTaskIds(TASKS, 3, ['5']), [2]);
+    assert.deepEqual(getNextTaskIds(TASKS, 2, ['3', '5']), []);
+  });
+
+  it('starts from the beginning for unknown tasks', () => {
+    assert.deepEqual(getNextTaskIds(TASKS, 42, []), [2, 3, 5]);
+  });
+});
@@ -0,0 +1,37 @@
+import assert from 'assert';
+
+import { isNetworkError, getUploadFailure } from '../../src/AudioAnnotator/uploads';
+
+// Errors as built by superagent
+function networkError(fields) {
+  return Object.assign(new Error('Request has been terminated'), fields);
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`Error ${status}`), {status, response: {status}});
+}
+
+describe('testing offline submission queue', function () {
+  it('tells network errors from server errors', () => {
+    assert.equal(isNetworkError(networkError({crossDomain: true})), true);
+    assert.equal(isNetworkError(networkError({code: 'ECONNABORTED', timeout: 30000})), true);
+    assert.equal(isNetworkError(networkError({code: 'ECONNREFUSED'})), true);
+    assert.equal(isNetworkError(httpError(400)), false);
+    assert.equal(isNetworkError(httpError(502)), false);
+    assert.equal(isNetworkError(undefined), false);
+  });
+
+  it('does not take other exceptions for network errors', () => {
+    // e.g. thrown while handling the response of an accepted submission
+    assert.equal(isNetworkError(new TypeError('Cannot read property \'toString\' of undefined')), false);
+  });
+
+  it('decides what to do with submissions which could not be sent', () => {
+    assert.equal(getUploadFailure(networkError({crossDomain: true})), 'offline');
+    assert.equal(getUploadFailure(httpError(401)), 'unauthorized');
+    assert.equal(getUploadFailure(httpError(400)), 'rejected');
+    assert.equal(getUploadFailure(httpError(404)), 'rejected');
+    assert.equal(getUploadFailure(httpError(500)), 'failed');
+    assert.equal(getUploadFailure(new Error('Unexpected')), 'failed');
+  });
+});
@@ -0,0 +1,74 @@
+import assert from 'assert';
+
+import {
+  MAX_FREQ_ZOOM, getFrequencyZoom, clampVisibleStartFrequency, zoomVisibleStartFrequency,
+  getWheelAction, getWheelDeltaPx,
+} from '../../src/AudioAnnotator/zoom';
+
+describe('testing spectrogram zoom', function () {
+  // Task from 1000 Hz to 9000 Hz
+  const bounds = {startFrequency: 1000, frequencyRange: 8000};
+
+  it('keeps frequency zoom between 1x and the highest factor', () => {
+    assert.equal(getFrequencyZoom(1, 1), 2);
+    assert.equal(getFrequencyZoom(2, -1), 1);
+    assert.equal(getFrequencyZoom(1, -1), 1);
+    assert.equal(getFrequencyZoom(MAX_FREQ_ZOOM, 1), MAX_FREQ_ZOOM);
+  });
+
+  it('keeps the frequency under the cursor in place', () => {
+    // 1000 - 9000 Hz visible, zoom in around 3000 Hz: 2000 - 6000 Hz visible, 3000 Hz still at 1/4 of the band
+    assert.equal(zoomVisibleStartFrequency(1000, 3000, 1, 2, bounds), 2000);
+    // And back
+    assert.equal(zoomVisibleStartFrequency(2000, 3000, 2, 1, bounds), 1000);
+    // Around the center of a zoomed band (3000 - 5000 Hz visible at 4x)
+    assert.equal(zoomVisibleStartFrequency(3000, 4000, 4, 8, bounds), 3500);
+  });
+
+  it('clamps the visible band at the lowest task frequency', () => {
+    assert.equal(clampVisibleStartFrequency(0, 2, bounds), 1000);
+    assert.equal(clampVisibleStartFrequency(-500, 4, {startFrequency: 0, frequencyRange: 8000}), 0);
+    // Zooming in near the bottom edge
+    assert.equal(zoomVisibleStartFrequency(1000, 1100, 1, 2, bounds), 1050);
+    assert.equal(zoomVisibleStartFrequency(1000, 1000, 2, 1, bounds), 1000);
+  });
+
+  it('clamps the visible band at the highest task frequency', () => {
+    // 4000 Hz visible at 2x: the band starts at 5000 Hz at most
+    assert.equal(clampVisibleStartFrequency(6000, 2, bounds), 5000);
+    assert.equal(clampVisibleStartFrequency(4000, 2, bounds), 4000);
+    // Zooming out from the top of the range shows the whole range
+    assert.equal(zoomVisibleStartFrequency(7000, 9000, 4, 2, bounds), 5000);
+    assert.equal(zoomVisibleStartFrequency(5000, 9000, 2, 1, bounds), 1000);
+  });
+});
+
+describe('testing spectrogram wheel actions', function () {
+  const wheel = (fields) => Object.assign(
+    {ctrlKey: false, shiftKey: false, altKey: false, deltaX: 0, deltaY: 0, deltaMode: 0},
+    fields
+  );
+
+  it('zooms on time with the wheel, and on frequency with Alt', () => {
+    assert.deepEqual(getWheelAction(wheel({deltaY: -100}), 512), {type: 'time-zoom', delta: -100});
+    assert.deepEqual(getWheelAction(wheel({deltaY: 100, altKey: true}), 512), {type: 'frequency-zoom', delta: 100});
+    assert.deepEqual(getWheelAction(wheel({deltaY: 10, ctrlKey: true}), 512), {type: 'pinch', delta: 10});
+  });
+
+  it('leaves horizontal scrolling to the browser', () => {
+    assert.equal(getWheelAction(wheel({deltaX: 50, deltaY: 10}), 512), undefined);
+  });
+
+  it('pans frequencies with Shift, for vertical or horizontal deltas', () => {
+    assert.deepEqual(getWheelAction(wheel({deltaY: 30, shiftKey: true}), 512), {type: 'frequency-pan', delta: 30});
+    // Chrome and Edge report Shift + wheel as horizontal scrolling
+    assert.deepEqual(getWheelAction(wheel({deltaX: -30, shiftKey: true}), 512), {type: 'frequency-pan', delta: -30});
+  });
+
+  it('converts line and page deltas to pixels', () => {
+    assert.equal(getWheelDeltaPx(3, 0, 512), 3);
+    assert.equal(getWheelDeltaPx(3, 1, 512), 48);
+    assert.equal(getWheelDeltaPx(-1, 2, 512), -512);
+    assert.deepEqual(getWheelAction(wheel({deltaX: 2, deltaMode: 1, shiftKey: true}), 512), {type: 'frequency-pan', delta: 32});
+  });
+});
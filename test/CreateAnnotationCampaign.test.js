@@ -89,6 +89,12 @@ describe('testing CreateAnnotationCampaign component', function () {
                     assert(!dataset_text.includes(dataset.name), dataset.name + ' should not be here');
                 }
             })
+            let reference_text = wrapper.find('#cac-reference').text();
+            datasets.forEach(dataset => {
+                if (dataset.files_type === '.wav') {
+                    assert(reference_text.includes(dataset.name), dataset.name + ' not found in references');
+                }
+            })
             let as_text = wrapper.find('#cac-annotation-set').text();
             annotation_sets.forEach(annotation_set => {
                 assert(as_text.includes(annotation_set.name), annotation_set.name + ' not found');
@@ -106,12 +112,15 @@ describe('testing CreateAnnotationCampaign component', function () {
             'name',
             'desc',
             'datasets',
+            'reference_datasets',
             'start',
             'end',
             'annotation_set',
             'annotators',
             'annotation_goal',
-            'annotation_method'
+            'annotation_method',
+            'annotation_mode',
+            'confidence_levels'
         ];
         nock(process.env.REACT_APP_API_URL).post('/annotation-campaign/new', body => {
             expectedFields.forEach(field => {
@@ -127,4 +136,23 @@ describe('testing CreateAnnotationCampaign component', function () {
         });
     });
 
+    it('sends the chosen confidence scale', () => {
+        let sent = null;
+        nock(process.env.REACT_APP_API_URL).post('/annotation-campaign/new', body => {
+            sent = body.confidence_levels;
+            return true;
+        }).reply(200);
+        let wrapper = mount(<CreateAnnotationCampaign history={[]} />);
+        let scaleSelect = wrapper.find('#cac-confidence-scale');
+        scaleSelect.instance().value = 'custom';
+        scaleSelect.simulate('change');
+        let levelsInput = wrapper.find('#cac-confidence-levels');
+        levelsInput.instance().value = 'unsure, probable,certain,';
+        levelsInput.simulate('change');
+        return wrapper.instance().handleSubmit({preventDefault: () => null}).then(() => {
+            assert.deepEqual(sent, ['unsure', 'probable', 'certain']);
+            wrapper.unmount();
+        });
+    });
+
 });
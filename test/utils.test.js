@@ -0,0 +1,22 @@
+import assert from 'assert';
+
+import { getTokenUser } from '../src/utils';
+
+// Header and signature are not checked
+const buildToken = (claims) => [
+  'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9',
+  window.btoa(JSON.stringify(claims)).replace(/=+$/, ''),
+  'signature',
+].join('.');
+
+describe('testing utils', function () {
+  it('reads the user from a token', () => {
+    assert.equal(getTokenUser(buildToken({id: 42, exp: 1000})), '42');
+    assert.equal(getTokenUser(buildToken({sub: 'jdoe'})), 'jdoe');
+  });
+
+  it('does not identify users of unknown tokens', () => {
+    assert.equal(getTokenUser('not-a-token'), undefined);
+    assert.equal(getTokenUser(buildToken({exp: 1000})), undefined);
+  });
+});
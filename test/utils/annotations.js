@@ -0,0 +1,20 @@
+// Annotation fixtures for AudioAnnotator tests
+
+// Box annotation tagged 'A', from 1 to 2 seconds and 1000 to 2000 Hz, with the given fields
+export function buildAnnotation(fields) {
+  const labels = fields.labels || ['A'];
+  return Object.assign({
+    id: '1',
+    annotation: (labels.length > 0) ? labels[0] : '',
+    labels,
+    confidence: undefined,
+    comment: undefined,
+    type: 'box',
+    vertices: undefined,
+    startTime: 1,
+    endTime: 2,
+    startFrequency: 1000,
+    endFrequency: 2000,
+    active: false,
+  }, fields);
+}